@@ -1,8 +1,62 @@
+import path from "node:path";
+import { pathToFileURL } from "node:url";
 import express from "express";
 import morgan from "morgan";
+import { requireHubSpotSignature } from "./src/signature.js";
+import { createStateStore } from "./src/state.js";
+import { createQueue, queueRoutes } from "./src/queue.js";
+import { requireAdmin } from "./src/admin.js";
+import { createIntentEngine } from "./src/intents.js";
+import { createTemplateEngine } from "./src/templates.js";
+import { detectLocale } from "./src/language.js";
+import { createSuppressionList, suppressionRoutes } from "./src/suppression.js";
+import { createDraftStore, draftRoutes } from "./src/drafts.js";
+import { auditRoutes, createAuditLog } from "./src/audit.js";
+import { loadBusinessCalendar, sendDelayMs } from "./src/schedule.js";
+import { detectAutomated, markEmailInvalid, outboundRecipients } from "./src/automated.js";
+import { createPortalRegistry, oauthRoutes, portalRoutes } from "./src/portals.js";
+import { log, withCorrelation, correlationId } from "./src/log.js";
+import { metricsRoute, registry, eventsTotal, intentsTotal, repliesTotal } from "./src/metrics.js";
+import { createReadinessProbe, readinessRoute } from "./src/health.js";
+import { debugRoutes, DebugError } from "./src/debug.js";
+import { createConversationTracker, loadSequences, planReply, soundsFrustrated } from "./src/conversation.js";
+import { createRouter, describeRouting, loadRoutingRules } from "./src/routing.js";
+import { createCrmSync, loadCrmRules } from "./src/crm.js";
+import { htmlToText, normalizeMessage } from "./src/normalize.js";
+import { createClassifier } from "./src/classifier.js";
+import { createCircuitBreaker, createSendLimits, describeBreaker, domainBlock, guardRoutes } from "./src/guard.js";
+import { answersChannel, channelTypeOf, checkChannelConfig, fitToChannel, recipientFor, templateVariants } from "./src/channels.js";
+import {
+  postThreadComment,
+  sendThreadMessage,
+  getRecentMessages,
+  getThread,
+  updateThread,
+  listThreads,
+  getActor,
+  findContactByEmail,
+  getContactByEmail,
+  createContact,
+  updateContact,
+  getOwner,
+  withPortal,
+  currentPortalId,
+  setTokenResolver,
+} from "./src/hubspot.js";
 
 const app = express();
-app.use(morgan("tiny"));
+app.set("trust proxy", true); // Render terminates TLS; signature v3 signs the https URL
+// Access log as structured lines; probes and scrapes only at debug level.
+app.use(morgan((t, req, res) => {
+  const quiet = ["/healthz", "/readyz", "/metrics"].includes(req.path);
+  log[quiet ? "debug" : "info"]("http", {
+    method: req.method,
+    path: req.originalUrl,
+    status: Number(t.status(req, res)) || undefined,
+    ms: Number(t["response-time"](req, res)) || undefined,
+  });
+  return null;
+}));
 app.use("/hubspot/webhook", express.raw({ type: "*/*" }));
 
 app.get("/healthz", (_req, res) => res.status(200).send("ok"));
@@ -12,143 +66,79 @@ const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
 const nowIso = () => new Date().toISOString();
 
-// ===== In-memory state with TTL =====
-const processedEventIds = new Set();
-const commentedThreads = new Set();
-const repliedThreads = new Set();
-function remember(set, key, ms) {
-  set.add(key);
-  const t = setTimeout(() => set.delete(key), ms);
-  if (typeof t.unref === "function") t.unref();
-}
-
-// ===== HubSpot API helpers =====
-async function hubspotFetch(url, init) {
-  const token = process.env.HUBSPOT_TOKEN;
-  if (!token) throw new Error("HUBSPOT_TOKEN not set");
-  const resp = await fetch(url, {
-    ...(init || {}),
-    headers: {
-      Authorization: `Bearer ${token}`,
-      "Content-Type": "application/json",
-      ...(init?.headers || {}),
-    },
-  });
-  return resp;
-}
-
-async function postThreadComment(threadId, text) {
-  const url = `https://api.hubapi.com/conversations/v3/conversations/threads/${threadId}/messages`;
-  const resp = await hubspotFetch(url, { method: "POST", body: JSON.stringify({ type: "COMMENT", text }) });
-  if (!resp.ok) throw new Error(`POST comment ${resp.status}: ${await resp.text().catch(() => "")}`);
-  return resp.json().catch(() => ({}));
-}
-
-async function sendThreadMessage(threadId, { text, subject, toEmail, senderActorId, channelId, channelAccountId }) {
-  const url = `https://api.hubapi.com/conversations/v3/conversations/threads/${threadId}/messages`;
-  const body = {
-    type: "MESSAGE",
-    text,
-    subject,
-    senderActorId,
-    channelId,
-    channelAccountId,
-    recipients: [{
-      recipientField: "TO",
-      deliveryIdentifier:  { type: "HS_EMAIL_ADDRESS", value: toEmail },
-      deliveryIdentifiers: [{ type: "HS_EMAIL_ADDRESS", value: toEmail }]
-    }],
-  };
-  const resp = await hubspotFetch(url, { method: "POST", body: JSON.stringify(body) });
-  if (!resp.ok) throw new Error(`POST message ${resp.status}: ${await resp.text().catch(() => "")}`);
-  return resp.json().catch(() => ({}));
-}
-
-async function getRecentMessages(threadId, limit = 20) {
-  const url = `https://api.hubapi.com/conversations/v3/conversations/threads/${threadId}/messages?limit=${limit}&sort=-createdAt`;
-  const resp = await hubspotFetch(url, { method: "GET", headers: {} });
-  if (!resp.ok) throw new Error(`GET messages ${resp.status}: ${await resp.text().catch(() => "")}`);
-  const data = await resp.json().catch(() => ({}));
-  const items = Array.isArray(data?.results) ? data.results : (Array.isArray(data) ? data : []);
-  return items;
-}
-
-async function getActor(actorId) {
-  if (!actorId) return null;
-  try {
-    const url = `https://api.hubapi.com/conversations/v3/conversations/actors/${actorId}`;
-    const resp = await hubspotFetch(url, { method: "GET", headers: {} });
-    if (!resp.ok) return null;
-    return await resp.json().catch(() => ({}));
-  } catch {
-    return null;
-  }
-}
-
-// ===== CRM helpers (contact tagging) =====
-async function findContactByEmail(email) {
-  try {
-    const url = `https://api.hubapi.com/crm/v3/objects/contacts/search`;
-    const body = {
-      filterGroups: [{
-        filters: [{ propertyName: "email", operator: "EQ", value: email }]
-      }],
-      properties: ["email"]
-    };
-    const resp = await hubspotFetch(url, { method: "POST", body: JSON.stringify(body) });
-    if (!resp.ok) {
-      const t = await resp.text().catch(() => "");
-      console.warn("Search contact failed", resp.status, t);
-      return null;
-    }
-    const data = await resp.json().catch(() => ({}));
-    const first = data?.results?.[0];
-    return first?.id || null;
-  } catch (e) {
-    console.warn("Search contact error", e?.message || e);
-    return null;
-  }
-}
-
-async function createContact(email, props = {}) {
-  try {
-    const url = `https://api.hubapi.com/crm/v3/objects/contacts`;
-    const body = { properties: { email, ...props } };
-    const resp = await hubspotFetch(url, { method: "POST", body: JSON.stringify(body) });
-    if (!resp.ok) {
-      const t = await resp.text().catch(() => "");
-      console.warn("Create contact failed", resp.status, t);
-      return null;
-    }
-    const data = await resp.json().catch(() => ({}));
-    return data?.id || null;
-  } catch (e) {
-    console.warn("Create contact error", e?.message || e);
-    return null;
-  }
-}
-
-async function updateContact(contactId, props) {
-  try {
-    const url = `https://api.hubapi.com/crm/v3/objects/contacts/${contactId}`;
-    const body = { properties: props };
-    const resp = await hubspotFetch(url, { method: "PATCH", body: JSON.stringify(body) });
-    if (!resp.ok) {
-      const t = await resp.text().catch(() => "");
-      console.warn("Update contact failed", resp.status, t);
-      return false;
+// ===== Dedupe/throttle state with TTL (STATE_STORE=memory|file|redis) =====
+const state = await createStateStore();
+const PROCESSED_EVENTS = "event";
+const COMMENTED_THREADS = "commented";
+const REPLIED_THREADS = "replied";
+const ROUTED_THREADS = "routed";
+const CRM_SYNCED = "crm-synced";
+// Keys are per portal when handling a portal's event (thread IDs are only unique within a portal).
+const stateKey = (ns, key) => {
+  const portalId = currentPortalId();
+  return portalId ? `${ns}:${portalId}:${key}` : `${ns}:${key}`;
+};
+const has = async (ns, key) => (await state.get(stateKey(ns, key))) != null;
+// Atomic remember-if-absent: only one instance wins the claim for a given key.
+const claim = (ns, key, ms) => state.setIfAbsent(stateKey(ns, key), nowIso(), ms);
+const forget = (ns, key) => state.del(stateKey(ns, key));
+
+// ===== Suppression list (never send to these emails/domains) =====
+const suppressions = createSuppressionList(state);
+
+// ===== Conversation state (bot turns, sequences, escalation) =====
+const conversations = createConversationTracker(state);
+const sequences = loadSequences();
+
+// ===== Send guards: caps, domain lists, circuit breaker around sends and comments =====
+const limits = createSendLimits(state);
+const breaker = createCircuitBreaker(state, {
+  onOpen: (open, { threadId }) => (threadId ? postThreadComment(threadId, describeBreaker(open)) : null),
+});
+const sendMessage = breaker.wrap("send", sendThreadMessage);
+const postComment = breaker.wrap("comment", postThreadComment);
+
+// ===== Audit log (every decision on an event or send, queried via /admin/audit) =====
+const audit = createAuditLog(state);
+// Never fails the caller: a lost audit record is logged, the reply still goes out.
+const recordAudit = (entry) => audit.record({ eventId: correlationId() ?? undefined, portalId: currentPortalId() ?? undefined, ...entry })
+  .catch((e) => log.warn("audit.write_failed", { threadId: entry.threadId, action: entry.action, error: e }));
+
+// ===== Review-mode drafts (approved via /admin/drafts) =====
+const drafts = createDraftStore(state, {
+  checkSuppressed: (email) => suppressions.check(email),
+  send: (d) => withPortal(d.portalId, async () => {
+    // Edited drafts are re-fitted so a chat reply still respects the channel's limits.
+    const out = fitToChannel({ subject: d.subject, text: d.text, html: d.html }, d.channel || "email");
+    const sent = { threadId: d.threadId, messageId: d.inboundMessageId, email: d.toEmail, channel: d.channel || "email", intent: d.intent, template: d.template, templateVersion: d.templateVersion, reason: "draft_approved", detail: { draftId: d.id, edited: !!d.edited } };
+    let resp;
+    try {
+      resp = await sendMessage(d.threadId, {
+        text: out.text,
+        richText: out.html,
+        subject: out.subject,
+        toEmail: d.toEmail,
+        recipients: d.recipients,
+        senderActorId: d.senderActorId,
+        channelId: d.channelId,
+        channelAccountId: d.channelAccountId,
+      });
+    } catch (e) {
+      await recordAudit({ ...sent, action: "failed", hubspotStatus: e?.status || undefined });
+      throw e;
     }
-    return true;
-  } catch (e) {
-    console.warn("Update contact error", e?.message || e);
-    return false;
-  }
-}
+    await recordAudit({ ...sent, action: "sent", hubspotStatus: resp?.status?.statusType });
+    await conversations.recordBotTurn(d.threadId, { template: d.templateName, sequence: d.sequence, messageId: resp?.id });
+    return resp;
+  }),
+});
 
-async function tagIntentOnContact(email, intent) {
+// ===== CRM helpers (contact tagging) =====
+async function tagIntentOnContact(email, intent, locale) {
   if (!email || !EMAIL_RE.test(email)) return;
   const propName = process.env.INTENT_PROPERTY || "bot_intent";
   const timeProp = process.env.INTENT_TIME_PROPERTY || "bot_last_reply_at";
+  const langProp = process.env.LANGUAGE_PROPERTY || "bot_language";
   // 1) find or create contact
   let id = await findContactByEmail(email);
   if (!id) {
@@ -156,10 +146,12 @@ async function tagIntentOnContact(email, intent) {
     if (!id) return;
   }
   // 2) update properties
-  const ok = await updateContact(id, { [propName]: String(intent), [timeProp]: nowIso() });
+  const props = { [propName]: String(intent), [timeProp]: nowIso() };
+  if (locale && langProp) props[langProp] = locale;
+  const ok = await updateContact(id, props);
   if (!ok) {
     // leave a breadcrumb comment if property is missing schema
-    console.warn(`Tagging failed — ensure contact properties "${propName}" (text) and "${timeProp}" (datetime) exist.`);
+    log.warn("contact.tag_failed", { email, hint: `ensure contact properties "${propName}" (text), "${timeProp}" (datetime) and "${langProp}" (text) exist` });
   }
 }
 
@@ -227,87 +219,104 @@ async function extractSenderEmail(inbound) {
   return null;
 }
 
-// ===== Bounce/NDR guard =====
-const isBounce = (m) => {
-  const s = (m.subject || "").toLowerCase();
-  const n = (m.senders?.[0]?.name || "").toLowerCase();
-  return s.startsWith("undeliverable") ||
-         s.includes("delivery status notification") ||
-         n.includes("mail delivery subsystem") ||
-         n.includes("microsoft outlook");
-};
+// ===== Reply templates (TEMPLATES_DIR, validated at load) =====
+const templates = createTemplateEngine();
+{
+  const missing = [...new Set(Object.values(sequences.sequences).flat())].filter((t) => !templates.has(t));
+  if (missing.length) throw new Error(`${sequences.source}: sequence steps without a template: ${missing.join(", ")}`);
+}
 
-// ===== Simple intent templates =====
-const TEMPLATES = {
-  pricing: (calendly) => [
-    "Thanks for reaching out! Here’s a quick overview of pricing:",
-    "• Starter: from $299/mo",
-    "• Growth: from $799/mo (includes HubSpot integration + rules)",
-    "• Scale: custom (SLA + advanced routing)",
-    "",
-    `Happy to tailor it — book a quick call: ${calendly}`,
-    "",
-    "If you’d prefer not to hear from us, reply “unsubscribe.”"
-  ].join("\n"),
-
-  demo: (calendly) => [
-    "Awesome — we’d love to show you a demo.",
-    `Grab a time here: ${calendly}`,
-    "",
-    "If you share your use case (inbox volume, team size, goals), we’ll tailor the walkthrough."
-  ].join("\n"),
-
-  support: () => [
-    "Thanks for reaching out to support!",
-    "Could you share the steps to reproduce, any error messages, and a screenshot?",
-    "We’ll take a look and get you unblocked."
-  ].join("\n"),
-
-  fallback: (calendly) => [
-    "Thanks for reaching out — happy to help!",
-    "Could you share a bit more detail (volume, timeline, and any specs)?",
-    `If convenient, you can also grab a quick call: ${calendly}`,
-    "",
-    "If you’d prefer not to hear from us, reply “unsubscribe.”"
-  ].join("\n"),
-};
+// ===== Channels (email, live chat, Messenger, WhatsApp; see src/channels.js) =====
+checkChannelConfig();
 
-const KEYWORDS = {
-  pricing: ["price", "pricing", "cost", "quote", "rate", "rates"],
-  demo: ["demo", "walkthrough", "trial", "show", "meeting", "call", "book"],
-  support: ["error", "bug", "issue", "broken", "doesn't work", "help", "support"],
-  unsubscribe: ["unsubscribe", "opt out", "stop emailing", "remove me"]
-};
+// ===== Business hours (BUSINESS_HOURS=true to enable) =====
+const calendar = loadBusinessCalendar();
 
-function detectIntent(inbound) {
-  const txt = `${(inbound.subject||"")} ${inbound.text||""}`.toLowerCase();
-  for (const k of KEYWORDS.unsubscribe) if (txt.includes(k)) return "unsubscribe";
-  for (const k of KEYWORDS.pricing) if (txt.includes(k)) return "pricing";
-  for (const k of KEYWORDS.demo) if (txt.includes(k)) return "demo";
-  for (const k of KEYWORDS.support) if (txt.includes(k)) return "support";
-  return "fallback";
-}
+const CONTACT_PROPS = ["email", "firstname", "lastname", "company", "hubspot_owner_id"];
 
-function makeReply(inbound, calendly) {
-  const intent = detectIntent(inbound);
-  if (intent === "unsubscribe") {
-    return {
-      subject: `Re: ${inbound.subject || "your message"}`,
-      text: [
-        "You’re unsubscribed from our emails. We won’t reach out again.",
-        "If this was a mistake, reply with “resubscribe.”"
-      ].join("\n"),
-      intent
-    };
-  }
-  const builder = TEMPLATES[intent] || TEMPLATES.fallback;
+// Variables for template rendering; see VARIABLES in src/templates.js.
+async function buildTemplateContext({ inbound, threadId, toEmail, settings = {} }) {
+  const contact = toEmail ? await getContactByEmail(toEmail, CONTACT_PROPS) : null;
+  const p = contact?.properties || {};
+  const owner = await getOwner(p.hubspot_owner_id);
   return {
-    subject: `Re: ${inbound.subject || "your message"}`,
-    text: builder(calendly),
-    intent
+    contact: {
+      email: toEmail || "",
+      firstname: p.firstname || "",
+      lastname: p.lastname || "",
+      company: p.company || "",
+      owner: [owner?.firstName, owner?.lastName].filter(Boolean).join(" "),
+      owner_firstname: owner?.firstName || "",
+      owner_email: owner?.email || "",
+    },
+    inbound: { subject: inbound.subject || "" },
+    thread: { id: String(threadId || "") },
+    settings: settings.calendlyUrl ? { calendly: settings.calendlyUrl } : {},
   };
 }
 
+// ===== Intent rules (INTENT_RULES_FILE, hot-reloaded) =====
+const intents = await createIntentEngine();
+// Keyword rules or a trained model (CLASSIFIER); each intent engine gets its own classifier.
+const classifiers = new WeakMap([[intents, createClassifier({ intents })]]);
+const classifierFor = (engine) => {
+  if (!classifiers.has(engine)) classifiers.set(engine, createClassifier({ intents: engine }));
+  return classifiers.get(engine);
+};
+
+// Portals can point at their own rules file / templates dir / routing and CRM rules; engines are cached by path.
+const intentEngines = new Map();
+const templateEngines = new Map();
+const routers = new Map();
+const crmSyncs = new Map();
+async function enginesFor(settings = {}) {
+  let portalIntents = intents;
+  if (settings.intentRulesFile) {
+    const file = path.resolve(settings.intentRulesFile);
+    if (!intentEngines.has(file)) intentEngines.set(file, await createIntentEngine({ file }));
+    portalIntents = intentEngines.get(file);
+  }
+  let portalTemplates = templates;
+  if (settings.templatesDir) {
+    const dir = path.resolve(settings.templatesDir);
+    if (!templateEngines.has(dir)) templateEngines.set(dir, createTemplateEngine({ dir }));
+    portalTemplates = templateEngines.get(dir);
+  }
+  let router = null;
+  if (settings.routingFile) {
+    const file = path.resolve(settings.routingFile);
+    if (!routers.has(file)) routers.set(file, createRouter(state, loadRoutingRules(file), { countOpenThreads }));
+    router = routers.get(file);
+  }
+  let crm = null;
+  if (settings.crmRecordsFile) {
+    const file = path.resolve(settings.crmRecordsFile);
+    if (!crmSyncs.has(file)) crmSyncs.set(file, createCrmSync(state, loadCrmRules(file)));
+    crm = crmSyncs.get(file);
+  }
+  return { intents: portalIntents, classifier: classifierFor(portalIntents), templates: portalTemplates, router, crm };
+}
+
+// Least-busy routing load: OPEN threads currently assigned to the agent.
+const countOpenThreads = async (actorId) => (await listThreads({ assignee: actorId, threadStatus: "OPEN" })).length;
+
+// Renders the channel's variant of a template (pricing.chat) when there is one, shaped for the channel.
+function renderFor(engine, name, context, locale, channel = "email") {
+  const variant = engine.pick(templateVariants(name, channel), locale);
+  return fitToChannel(engine.render(variant, context, locale), channel);
+}
+
+function makeReply(inbound, context = {}, engines = { classifier: classifierFor(intents), templates }, channel = "email") {
+  const { locale } = detectLocale(inbound);
+  const { intent, confidence, probabilities } = engines.classifier.classify(inbound, locale);
+  const { template, version, subject, text, html, truncated } = renderFor(engines.templates, intent, { ...context, intent, locale }, locale, channel);
+  return { subject, text, html, intent, template, version, locale, confidence, probabilities, channel, ...(truncated ? { truncated } : {}) };
+}
+
+// ===== Portals (OAuth installs with per-portal tokens and settings) =====
+const portals = createPortalRegistry(state, { validateSettings: enginesFor });
+setTokenResolver((portalId, opts) => portals.accessToken(portalId, opts));
+
 function findLatestInboundEmail(messages) {
   const myAppId = process.env.HUBSPOT_APP_ID && String(process.env.HUBSPOT_APP_ID);
   for (const m of messages) {
@@ -322,10 +331,18 @@ function findLatestInboundEmail(messages) {
   return null;
 }
 
-function findLatestAgentActorId(messages) {
+// Latest human agent (A-…) who sent a MESSAGE; with `after`, only messages newer than that time.
+// `exclude` lists message IDs to ignore (the bot's own sends, which also carry an agent actor).
+function findLatestAgentActorId(messages, { after, exclude = [] } = {}) {
+  const myAppId = process.env.HUBSPOT_APP_ID && String(process.env.HUBSPOT_APP_ID);
+  const afterMs = after ? Date.parse(after) : NaN;
   for (const m of messages) {
     const type = (m.type || "").toUpperCase();
     const dir  = (m.direction || "").toUpperCase();
+    const appId = m.client?.integrationAppId;
+    if (appId && myAppId && String(appId) === myAppId) continue;
+    if (exclude.includes(String(m.id))) continue;
+    if (!Number.isNaN(afterMs) && !(Date.parse(m.createdAt) > afterMs)) continue;
     if (type === "MESSAGE" && dir === "OUTGOING" && Array.isArray(m.senders) && m.senders[0]?.actorId) {
       const a = m.senders[0].actorId;
       if (typeof a === "string" && a.startsWith("A-")) return a;
@@ -334,124 +351,592 @@ function findLatestAgentActorId(messages) {
   return null;
 }
 
-app.post("/hubspot/webhook", async (req, res) => {
-  try {
-    const bodyText = req.body?.toString("utf8") || "[]";
-    res.sendStatus(200); // ACK fast
+// Bot replies visible in the thread history: sent by our app, or IDs we recorded at send time.
+function countBotMessages(messages, sentIds = []) {
+  const myAppId = process.env.HUBSPOT_APP_ID && String(process.env.HUBSPOT_APP_ID);
+  return messages.filter((m) => {
+    if ((m.type || "").toUpperCase() !== "MESSAGE") return false;
+    if (sentIds.includes(String(m.id))) return true;
+    return !!(myAppId && m.client?.integrationAppId && String(m.client.integrationAppId) === myAppId);
+  }).length;
+}
 
-    let events = [];
-    try {
-      const parsed = JSON.parse(bodyText);
-      events = Array.isArray(parsed) ? parsed : [parsed];
-    } catch (e) {
-      console.error("JSON parse error:", e);
-      return;
-    }
+// ===== Webhook intake: verify, dedupe, persist, then ACK =====
+app.post("/hubspot/webhook", requireHubSpotSignature(), async (req, res) => {
+  let events = [];
+  try {
+    const parsed = JSON.parse(req.body?.toString("utf8") || "[]");
+    events = Array.isArray(parsed) ? parsed : [parsed];
+  } catch (e) {
+    log.error("webhook.bad_json", { error: e });
+    return res.sendStatus(400);
+  }
 
+  try {
     for (const ev of events) {
-      await handleHubSpotEvent(ev);
+      const eventId = eventIdOf(ev);
+      eventsTotal.inc({ subscription_type: ev.subscriptionType || "unknown" });
+      await withCorrelation(eventId, async () => {
+        if (!(await claim(PROCESSED_EVENTS, eventId, 5 * 60 * 1000))) {
+          log.info("webhook.duplicate", { subscriptionType: ev.subscriptionType, objectId: ev.objectId });
+          return;
+        }
+        try {
+          await queue.enqueue(ev, eventId);
+          log.info("webhook.queued", { subscriptionType: ev.subscriptionType, objectId: ev.objectId, portalId: ev.portalId });
+        } catch (e) {
+          await forget(PROCESSED_EVENTS, eventId).catch(() => {});
+          throw e;
+        }
+      });
     }
+    res.sendStatus(200);
   } catch (err) {
-    console.error("Webhook handler error:", err);
+    // Not persisted: let HubSpot retry the batch.
+    log.error("webhook.enqueue_failed", { error: err });
+    res.sendStatus(500);
   }
 });
 
-async function handleHubSpotEvent(ev) {
+const eventIdOf = (ev) => String(ev.eventId || `${(ev.subscriptionType || "").toLowerCase()}:${ev.objectId}:${ev.occurredAt}`);
+
+// ===== Event processing (queue workers) =====
+// Throw to retry: a failed thread read or send goes back on the queue with backoff.
+//
+// With { dryRun: true, trace: [] } (POST /debug/replay) the handler only reads: every write —
+// claims, comments, CRM updates, suppression changes, drafts, sends — is recorded in `trace`
+// as what would have happened instead of being performed.
+async function handleHubSpotEvent(ev, { dryRun = false, trace = null } = {}) {
   const sub = (ev.subscriptionType || "").toLowerCase();
   const threadId = ev.objectId;
-  const eventId = ev.eventId || `${sub}:${threadId}:${ev.occurredAt}`;
 
-  // Minimal, helpful logs
-  console.log("HANDLE", { sub, threadId });
+  const step = (name, detail = {}) => trace?.push({ step: name, ...detail });
+  const effect = (name, detail, fn, dryValue) => {
+    step(name, { ...detail, ...(dryRun ? { dryRun: true } : {}) });
+    return dryRun ? dryValue : fn();
+  };
+  const tryClaim = async (ns, key, ms) => (dryRun ? !(await has(ns, key)) : claim(ns, key, ms));
+  // What the audit record knows so far; filled in as the thread is read and classified.
+  const facts = { threadId: threadId != null ? String(threadId) : undefined };
+  const audited = (action, reason, fields = {}) => (dryRun ? null : recordAudit({ ...facts, action, reason, ...fields }));
+  const skip = async (reason, fields = {}) => {
+    step("skip", { reason, ...fields });
+    if (dryRun) return;
+    skipped(reason, fields);
+    const { threadId: _, ...detail } = fields;
+    await audited("skipped", reason, Object.keys(detail).length ? { detail } : {});
+  };
 
-  if (processedEventIds.has(eventId)) return;
-  remember(processedEventIds, eventId, 5 * 60 * 1000);
+  log.info("event.handle", { sub, threadId, portalId: ev.portalId, dryRun: dryRun || undefined });
+  step("event", { sub, threadId, portalId: ev.portalId ?? null });
 
   if (sub === "conversation.creation") {
-    if (!threadId || commentedThreads.has(threadId)) return;
-    remember(commentedThreads, threadId, 60 * 60 * 1000);
+    if (!threadId || !(await tryClaim(COMMENTED_THREADS, threadId, 60 * 60 * 1000))) return skip("already_commented", { threadId });
     if (process.env.AUTO_COMMENT === "true") {
       try {
-        await postThreadComment(threadId, "✅ Webhook OK — bot received the message.");
+        await effect("comment", { text: "✅ Webhook OK — bot received the message." }, () => postComment(threadId, "✅ Webhook OK — bot received the message."));
       } catch {}
     }
     return;
   }
 
-  if (sub !== "conversation.newmessage" || !threadId) return;
+  if (sub !== "conversation.newmessage" || !threadId) return skip("unhandled_event", { sub });
 
+  const settings = await portals.settings(currentPortalId());
+  const engines = await enginesFor(settings);
   // Optional review mode: only draft comments
-  const REVIEW_MODE = (process.env.REPLY_MODE || "auto").toLowerCase() === "review";
-
-  await sleep(700);
-  let messages = [];
-  try {
-    messages = await getRecentMessages(threadId, 20);
-  } catch {
+  const REVIEW_MODE = settings.replyMode === "review";
+  step("settings", { replyMode: settings.replyMode, autoReply: settings.autoReply });
+
+  // Give HubSpot a moment to make the new message readable
+  if (!dryRun) await sleep(Number(process.env.REPLY_DELAY_MS ?? 700));
+  const messages = await getRecentMessages(threadId, Number(process.env.THREAD_MESSAGE_LIMIT || 50));
+
+  const latest = findLatestInboundEmail(messages);
+  step("inbound", { found: !!latest, messages: messages.length, messageId: latest?.id, subject: latest?.subject });
+  if (!latest) return skip("no_inbound", { threadId });
+  facts.messageId = latest.id;
+
+  // Skip bounces, auto-replies and bulk mail (judged on the whole message); verified hard bounces also
+  // flag the addresses the thread emailed
+  const automated = detectAutomated(latest.text || !latest.richText ? latest : { ...latest, text: htmlToText(latest.richText) });
+  step("bounce_check", automated ? { automated: true, ...automated } : { automated: false });
+  if (automated) {
+    await skip(automated.kind, { threadId, detail: automated.reason, status: automated.status, recipients: automated.recipients });
+    if (automated.kind === "bounce" && automated.hard && automated.verified) {
+      // Bounce reports can be forged, so only addresses this thread actually emailed are acted on.
+      const emailed = outboundRecipients(messages);
+      const recipients = automated.recipients.filter((e) => emailed.has(e));
+      const unknown = automated.recipients.filter((e) => !emailed.has(e));
+      if (unknown.length) log.warn("bounce.unknown_recipients", { threadId, recipients: unknown });
+      if (recipients.length) await effect("hard_bounce", { recipients }, () => handleHardBounce(threadId, { ...automated, recipients }));
+    }
     return;
   }
 
-  const inbound = findLatestInboundEmail(messages);
-  if (!inbound) return;
-
-  // Skip NDR/bounce
-  if (isBounce(inbound)) return;
+  // Only what the sender wrote this time goes on to classification, templating and the CRM.
+  const inbound = normalizeMessage(latest);
+  step("normalize", { ...inbound.normalized, text: inbound.text });
 
   const channelId = inbound.channelId || messages.find(m => m.channelId)?.channelId;
   const channelAccountId = inbound.channelAccountId || messages.find(m => m.channelAccountId)?.channelAccountId;
 
-  let senderActorId = process.env.SENDER_ACTOR_ID;
+  let senderActorId = settings.senderActorId;
   if (!senderActorId) senderActorId = findLatestAgentActorId(messages);
 
+  // The channel decides who the reply is addressed to: an email address, a visitor or a phone number.
+  const channel = channelTypeOf(channelId);
   const toEmail = await extractSenderEmail(inbound);
-  const calendly = process.env.CALENDLY_URL || "<YOUR-CALENDLY-LINK>";
-  const reply = makeReply(inbound, calendly);
+  const recipient = recipientFor(channel, inbound, { toEmail });
+  step("email", { toEmail: toEmail || null, channel, recipient, channelId, channelAccountId, senderActorId: senderActorId || null });
+  Object.assign(facts, { email: toEmail || undefined, channel });
+  const context = await buildTemplateContext({ inbound, threadId, toEmail, settings });
+  const reply = makeReply(inbound, context, engines, channel);
+  if (!dryRun) intentsTotal.inc({ intent: reply.intent, locale: reply.locale });
+  log.info("event.intent", { threadId, intent: reply.intent, locale: reply.locale, template: reply.template, confidence: reply.confidence });
+  step("intent", { intent: reply.intent, locale: reply.locale, template: reply.template, confidence: reply.confidence, probabilities: reply.probabilities });
+  Object.assign(facts, { intent: reply.intent, confidence: reply.confidence });
 
   // Tag the contact with intent (even in review mode)
   if (toEmail && reply.intent !== "unsubscribe") {
-    tagIntentOnContact(toEmail, reply.intent).catch(() => {});
+    effect("tag_contact", { email: toEmail, intent: reply.intent, locale: reply.locale },
+      () => tagIntentOnContact(toEmail, reply.intent, reply.locale).catch(() => {}));
+  }
+
+  // Deal/ticket for the intent: one per thread, plus a note per inbound message.
+  const crmRule = engines.crm?.ruleFor(reply.intent);
+  if (crmRule && (await tryClaim(CRM_SYNCED, `${threadId}:${inbound.id || "latest"}`, 24 * 60 * 60 * 1000))) {
+    try {
+      const existingId = await engines.crm.findRecord(threadId, crmRule);
+      const record = await effect("crm_record", { object: crmRule.object, existingId, pipeline: crmRule.pipeline, stage: crmRule.stage },
+        () => engines.crm.upsert({ threadId, rule: crmRule, existingId, intent: reply.intent, email: toEmail, subject: inbound.subject, text: inbound.text }));
+      if (record) log.info("crm.record", { threadId, intent: reply.intent, ...record });
+    } catch (e) {
+      await forget(CRM_SYNCED, `${threadId}:${inbound.id || "latest"}`).catch(() => {});
+      log.warn("crm.record_failed", { threadId, intent: reply.intent, object: crmRule.object, error: e });
+    }
+  }
+
+  // Routing rules: assign the thread and/or set its status, once per inbound message.
+  if (engines.router && (await tryClaim(ROUTED_THREADS, `${threadId}:${inbound.id || "latest"}`, 24 * 60 * 60 * 1000))) {
+    try {
+      const thread = await getThread(threadId);
+      const decision = await engines.router.decide({ intent: reply.intent, channelId, currentAssignee: thread?.assignedTo || null, dryRun });
+      step("route", decision || { matched: false });
+      if (decision) {
+        if (decision.assignTo || decision.status) {
+          const update = { assignedTo: decision.assignTo || undefined, status: decision.status || undefined };
+          await effect("update_thread", update, () => updateThread(threadId, update));
+        }
+        const note = describeRouting(decision, { intent: reply.intent, channelId });
+        await effect("comment", { text: note }, () => postComment(threadId, note));
+        if (!dryRun) log.info("route.applied", { threadId, intent: reply.intent, ...decision });
+      }
+    } catch (e) {
+      log.warn("route.failed", { threadId, intent: reply.intent, error: e });
+    }
   }
 
   const ttlHours = Number(process.env.REPLY_TTL_HOURS || 12);
-  if (repliedThreads.has(threadId)) return;
+  const replyTtlMs = Math.max(1, ttlHours) * 60 * 60 * 1000;
 
+  // Opt-out/opt-in requests count even on threads the bot already answered.
   if (reply.intent === "unsubscribe") {
+    if (toEmail) {
+      await effect("suppress", { email: toEmail }, () => suppressions.add({ email: toEmail, reason: "Replied unsubscribe", source: "email", threadId }));
+    }
+    const note = toEmail
+      ? `🛑 ${toEmail} asked to unsubscribe and was added to the suppression list. Bot did not reply.`
+      : "🛑 Contact asked to unsubscribe. Bot did not reply.";
     try {
-      await postThreadComment(threadId, "🛑 Contact asked to unsubscribe. Bot did not reply.");
+      await effect("comment", { text: note }, () => postComment(threadId, note));
     } catch {}
-    return;
+    return skip("unsubscribe", { threadId });
   }
 
-  if (REVIEW_MODE) {
+  if (reply.intent === "resubscribe") {
+    const removed = toEmail
+      ? await effect("unsuppress", { email: toEmail }, () => suppressions.remove(toEmail, { reason: `Contact asked to resubscribe by email reply (thread ${threadId})` }), suppressions.get(toEmail))
+      : null;
+    const still = toEmail && !dryRun ? await suppressions.check(toEmail) : null;
+    const note = !toEmail ? "🔁 Contact asked to resubscribe, but no sender email was found."
+      : still ? `🔁 ${toEmail} asked to resubscribe, but the domain ${still.value} is still suppressed.`
+      : removed ? `🔁 ${toEmail} asked to resubscribe and was removed from the suppression list.`
+      : `🔁 ${toEmail} asked to resubscribe (was not suppressed).`;
     try {
-      await postThreadComment(threadId, `📝 Bot draft (${reply.intent}):\n\nSubject: ${reply.subject}\n\n${reply.text}`);
-      remember(repliedThreads, threadId, Math.max(1, ttlHours) * 60 * 60 * 1000);
-    } catch (e) {
-      console.error("Failed to post draft comment:", e?.message || e);
+      await effect("comment", { text: note }, () => postComment(threadId, note));
+    } catch {}
+    return skip("resubscribe", { threadId });
+  }
+
+  const suppressed = await suppressions.check(toEmail);
+  step("suppression", suppressed ? { suppressed: true, type: suppressed.type, value: suppressed.value } : { suppressed: false });
+  if (suppressed) {
+    await skip("suppressed", { threadId, type: suppressed.type, value: suppressed.value });
+    if (await tryClaim(REPLIED_THREADS, threadId, replyTtlMs)) {
+      const note = `🛑 ${toEmail} is on the suppression list (${suppressed.type}: ${suppressed.value}). Bot did not reply.`;
+      try {
+        await effect("comment", { text: note }, () => postComment(threadId, note));
+      } catch {}
+    }
+    return;
+  }
+  const blocked = domainBlock(toEmail);
+  if (blocked) return skip(blocked.reason, { threadId, domain: blocked.domain });
+
+  // Each inbound message is answered at most once; follow-ups on the thread are planned below.
+  const replyKey = `${threadId}:${inbound.id || "latest"}`;
+  const alreadyReplied = await has(REPLIED_THREADS, replyKey);
+  step("throttle", { alreadyReplied, ttlHours: Math.max(1, ttlHours) });
+  if (alreadyReplied) return skip("already_replied", { threadId });
+
+  // Conversation state + full thread history decide the next step (or a human handover).
+  const convo = await conversations.get(threadId);
+  convo.botTurns = Math.max(convo.botTurns, countBotMessages(messages, convo.sentMessageIds));
+  const humanEngaged = convo.botTurns > 0 && !!findLatestAgentActorId(messages, { after: convo.lastBotAt, exclude: convo.sentMessageIds });
+  const plan = planReply({
+    intent: reply.intent,
+    defaultIntent: engines.intents.rules.default,
+    convo,
+    config: sequences,
+    frustrated: soundsFrustrated(inbound.text),
+    humanEngaged,
+  });
+  step("conversation", { botTurns: convo.botTurns, templatesSent: convo.templatesSent, sequence: convo.sequence, ...plan });
+  if (plan.action === "skip") return skip(plan.reason, { threadId });
+  if (plan.action === "escalate") {
+    if (!(await tryClaim(REPLIED_THREADS, replyKey, replyTtlMs))) return skip("already_replied", { threadId });
+    const note = `🙋 Handing this thread to a human: ${ESCALATION_NOTES[plan.reason] || plan.reason}. The bot won't reply here again.`;
+    await effect("escalate", { reason: plan.reason }, () => conversations.escalate(threadId, plan.reason));
+    try {
+      await effect("comment", { text: note }, () => postComment(threadId, note));
+    } catch {}
+    if (!dryRun) {
+      repliesTotal.inc({ action: "escalated", reason: plan.reason });
+      log.info("reply.escalated", { threadId, reason: plan.reason, botTurns: convo.botTurns });
+      await audited("escalated", plan.reason, { detail: { botTurns: convo.botTurns } });
     }
     return;
   }
+  if (!answersChannel(channel)) return skip("channel_off", { threadId, channel, channelId });
+  if (plan.template !== reply.intent) {
+    Object.assign(reply, renderFor(engines.templates, plan.template, { ...context, intent: reply.intent, locale: reply.locale }, reply.locale, channel));
+  }
 
-  if (process.env.AUTO_REPLY === "true") {
-    if (!channelId || !channelAccountId || !senderActorId || !toEmail) return;
+  // Unsure classifications, and everything while the circuit breaker is open, are drafted for review.
+  const lowConfidence = settings.autoReply && reply.confidence < Number(process.env.CLASSIFIER_MIN_CONFIDENCE || 0);
+  const tripped = settings.autoReply && !REVIEW_MODE ? await breaker.current() : null;
+  if (REVIEW_MODE || lowConfidence || tripped) {
+    const reviewReason = REVIEW_MODE ? null : lowConfidence ? "low_confidence" : "circuit_open";
+    if (!(await tryClaim(REPLIED_THREADS, replyKey, replyTtlMs))) return skip("already_replied", { threadId });
+    let draft;
     try {
-      const resp = await sendThreadMessage(threadId, {
-        text: reply.text,
+      draft = await effect("draft", { intent: reply.intent, template: reply.template, channel, subject: reply.subject, text: reply.text, toEmail, reviewReason }, () => drafts.create({
+        threadId: String(threadId),
+        intent: reply.intent,
+        template: reply.template,
+        templateVersion: reply.version,
+        templateName: plan.template,
+        sequence: plan.sequence,
+        locale: reply.locale,
         subject: reply.subject,
+        text: reply.text,
+        html: reply.html,
         toEmail,
-        senderActorId,
+        channel,
+        recipients: recipient ? [recipient] : undefined,
         channelId,
-        channelAccountId
-      });
-      console.log("ACTION", { type: "MESSAGE", threadId, intent: reply.intent });
-      if (resp?.status?.statusType) console.log("STATUS", resp.status.statusType);
-      remember(repliedThreads, threadId, Math.max(1, ttlHours) * 60 * 60 * 1000);
+        channelAccountId,
+        senderActorId,
+        inboundMessageId: inbound.id,
+        portalId: currentPortalId(),
+        confidence: reply.confidence,
+        ...(reviewReason ? { reviewReason } : {}),
+      }), { id: "(dry-run)" });
+    } catch (e) {
+      await forget(REPLIED_THREADS, replyKey).catch(() => {});
+      log.error("reply.draft_failed", { threadId, error: e });
+      throw e;
+    }
+    if (draft.reused) return skip("already_drafted", { threadId, draftId: draft.id });
+    // Once the draft exists the event is done: a failed note must not retry it into a second draft.
+    const why = reviewReason === "low_confidence" ? `, low confidence ${reply.confidence}` : reviewReason ? ", review-only after HubSpot errors" : "";
+    const head = reply.subject ? `Subject: ${reply.subject}\n\n` : `(${channel} reply)\n\n`;
+    const note = `📝 Bot draft (${reply.intent}${why}) — id ${draft.id}, approve via /admin/drafts:\n\n${head}${reply.text}`;
+    try {
+      await effect("comment", { text: note }, () => postComment(threadId, note));
     } catch (e) {
-      console.error("Failed to send auto-reply:", e?.message || e);
+      log.warn("reply.draft_note_failed", { threadId, draftId: draft.id, error: e });
     }
+    if (dryRun) return;
+    repliesTotal.inc({ action: "drafted", reason: reply.intent });
+    log.info("reply.drafted", { threadId, intent: reply.intent, draftId: draft.id, confidence: reply.confidence, reviewReason: reviewReason || undefined });
+    await audited("drafted", reviewReason || "review_mode", { template: reply.template, templateVersion: reply.version, detail: { draftId: draft.id } });
+    return;
+  }
+
+  if (!settings.autoReply) return skip("auto_reply_off", { threadId });
+  if (!channelId || !channelAccountId || !senderActorId || !recipient) {
+    return skip("missing_fields", { threadId, channel, channelId, channelAccountId, senderActorId, toEmail, recipient: !!recipient });
+  }
+  // Daily caps per contact, per domain and overall (a flood of new threads gets a few replies, not one each).
+  const sendTo = { email: toEmail, identity: recipient.actorId || recipient.deliveryIdentifier?.value };
+  const capped = await limits.check(sendTo, replyKey);
+  if (capped) return skip("rate_limited", { threadId, ...capped });
+  // Claim before sending so a second instance handling the same thread backs off.
+  if (!(await tryClaim(REPLIED_THREADS, replyKey, replyTtlMs))) return skip("already_replied", { threadId });
+  if (!dryRun) await limits.record(sendTo, replyKey);
+
+  let outgoing = reply;
+  if (process.env.BUSINESS_HOURS === "true" && !calendar.isOpen()) {
+    const nextOpen = calendar.nextOpen();
+    const schedule = { next_open: calendar.describe(nextOpen, reply.locale), timezone: calendar.timezone };
+    outgoing = {
+      ...renderFor(engines.templates, "after-hours", { ...context, intent: reply.intent, locale: reply.locale, schedule }, reply.locale, channel),
+      intent: reply.intent,
+      afterHours: true,
+    };
+  }
+
+  const job = {
+    kind: "send",
+    portalId: currentPortalId(),
+    threadId: String(threadId),
+    inboundId: inbound.id,
+    inboundAt: inbound.createdAt,
+    reply: outgoing,
+    templateName: outgoing.afterHours ? "after-hours" : plan.template,
+    sequence: outgoing.afterHours ? undefined : plan.sequence,
+    toEmail,
+    channel,
+    recipients: [recipient],
+    senderActorId,
+    channelId,
+    channelAccountId,
+  };
+  const delayMs = sendDelayMs();
+  const wouldSend = { intent: outgoing.intent, template: outgoing.template, locale: outgoing.locale, afterHours: !!outgoing.afterHours, channel, subject: outgoing.subject, text: outgoing.text, toEmail, recipient, senderActorId, channelId, channelAccountId };
+  if (delayMs > 0) {
+    await effect("schedule_send", { inMs: delayMs, ...wouldSend },
+      () => queue.enqueue({ ...job, correlationId: correlationId(), scheduledFor: new Date(Date.now() + delayMs).toISOString() }, `send:${threadId}:${inbound.id || Date.now()}`, { delayMs }));
+    if (dryRun) return;
+    repliesTotal.inc({ action: "scheduled", reason: outgoing.intent });
+    log.info("reply.scheduled", { threadId, intent: outgoing.intent, template: outgoing.template, inMs: delayMs });
+    await audited("scheduled", outgoing.afterHours ? "after_hours" : undefined, { template: outgoing.template, templateVersion: outgoing.version, detail: { inMs: delayMs } });
+    return;
+  }
+  try {
+    await effect("send", wouldSend, () => sendReply(job));
+  } catch (e) {
+    await forget(REPLIED_THREADS, replyKey).catch(() => {});
+    throw e;
+  }
+}
+
+const ESCALATION_NOTES = {
+  frustration: "the customer sounds frustrated or asked for a person",
+  max_turns: `the bot already replied ${sequences.maxBotTurns} times`,
+  nothing_new: "the bot has no new answer for this follow-up",
+};
+
+function skipped(reason, fields) {
+  repliesTotal.inc({ action: "skipped", reason });
+  log.info("reply.skipped", { reason, ...fields });
+}
+
+async function handleHardBounce(threadId, bounce) {
+  const detail = [bounce.status, bounce.diagnostic].filter(Boolean).join(" ") || "hard bounce";
+  for (const email of bounce.recipients) {
+    if (!EMAIL_RE.test(email)) continue;
+    const marked = await markEmailInvalid(email, detail);
+    await suppressions.add({ email, reason: `Hard bounce: ${detail}`, source: "bounce", threadId, sync: false });
+    try {
+      await postComment(threadId, `📭 Hard bounce for ${email} (${detail}). ${marked ? "Marked the email invalid on the contact and suppressed it." : "Suppressed it; no contact found to mark."}`);
+    } catch {}
+  }
+}
+
+// Sends a prepared reply. Delayed sends re-check the thread first: if a human agent answered
+// after the inbound message, or the contact got suppressed meanwhile, the reply is dropped.
+async function sendReply(job) {
+  const { threadId, reply } = job;
+  const facts = {
+    threadId,
+    messageId: job.inboundId,
+    email: job.toEmail,
+    channel: job.channel,
+    intent: reply.intent,
+    template: reply.template,
+    templateVersion: reply.version,
+  };
+  if (job.scheduledFor) {
+    const messages = await getRecentMessages(threadId, 20);
+    const agent = findLatestAgentActorId(messages, { after: job.inboundAt });
+    if (agent) {
+      repliesTotal.inc({ action: "cancelled", reason: "agent_replied" });
+      log.info("reply.cancelled", { threadId, reason: "agent_replied", agent });
+      await recordAudit({ ...facts, action: "cancelled", reason: "agent_replied", detail: { agent } });
+      try {
+        await postComment(threadId, `⏹️ Scheduled bot reply (${reply.intent}) cancelled — agent ${agent} answered first.`);
+      } catch {}
+      return;
+    }
+    const suppressed = await suppressions.check(job.toEmail);
+    if (suppressed) {
+      repliesTotal.inc({ action: "cancelled", reason: "suppressed" });
+      log.info("reply.cancelled", { threadId, reason: "suppressed", value: suppressed.value });
+      await recordAudit({ ...facts, action: "cancelled", reason: "suppressed", detail: { type: suppressed.type, value: suppressed.value } });
+      return;
+    }
+    if (await breaker.current()) return draftScheduledReply(job);
+  }
+  try {
+    const resp = await sendMessage(threadId, {
+      text: reply.text,
+      richText: reply.html,
+      subject: reply.subject,
+      toEmail: job.toEmail,
+      recipients: job.recipients,
+      senderActorId: job.senderActorId,
+      channelId: job.channelId,
+      channelAccountId: job.channelAccountId
+    });
+    await conversations.recordBotTurn(threadId, { template: job.templateName, sequence: job.sequence, messageId: resp?.id });
+    repliesTotal.inc({ action: "sent", reason: reply.intent });
+    log.info("reply.sent", { threadId, intent: reply.intent, template: reply.template, locale: reply.locale, channel: job.channel, status: resp?.status?.statusType });
+    await recordAudit({ ...facts, action: "sent", reason: reply.afterHours ? "after_hours" : undefined, hubspotStatus: resp?.status?.statusType });
+  } catch (e) {
+    log.error("reply.send_failed", { threadId, error: e });
+    await recordAudit({ ...facts, action: "failed", reason: "send_error", hubspotStatus: e?.status || undefined, detail: { error: e?.message || String(e) } });
+    throw e;
   }
 }
 
+// A delayed send that comes due while the circuit breaker is open waits in review instead.
+async function draftScheduledReply(job) {
+  const { threadId, reply } = job;
+  const draft = await drafts.create({
+    threadId,
+    intent: reply.intent,
+    template: reply.template,
+    templateVersion: reply.version,
+    templateName: job.templateName,
+    sequence: job.sequence,
+    locale: reply.locale,
+    subject: reply.subject,
+    text: reply.text,
+    html: reply.html,
+    toEmail: job.toEmail,
+    channel: job.channel,
+    recipients: job.recipients,
+    channelId: job.channelId,
+    channelAccountId: job.channelAccountId,
+    senderActorId: job.senderActorId,
+    inboundMessageId: job.inboundId,
+    portalId: job.portalId,
+    reviewReason: "circuit_open",
+  });
+  // A retried job finds the draft its first attempt saved.
+  if (draft.reused) return;
+  repliesTotal.inc({ action: "drafted", reason: reply.intent });
+  log.info("reply.drafted", { threadId, intent: reply.intent, draftId: draft.id, reviewReason: "circuit_open" });
+  await recordAudit({ threadId, messageId: job.inboundId, email: job.toEmail, channel: job.channel, intent: reply.intent, action: "drafted", reason: "circuit_open", template: reply.template, templateVersion: reply.version, detail: { draftId: draft.id } });
+  try {
+    await postComment(threadId, `📝 Scheduled bot reply (${reply.intent}) saved as draft ${draft.id} — review-only mode after HubSpot errors, approve via /admin/drafts.`);
+  } catch {}
+}
+
+// Queue jobs are webhook events or delayed sends, each run on behalf of its portal and
+// logged under the correlation ID of the event that caused it.
+const processJob = (payload) => withCorrelation(
+  payload?.correlationId || (payload?.kind === "send" ? null : eventIdOf(payload)),
+  () => withPortal(payload?.portalId, () => (payload?.kind === "send" ? sendReply(payload) : handleHubSpotEvent(payload))),
+);
+
+// ===== Debugging (dry runs, no writes) =====
+function debugClassify({ subject, text, html, email, portalId, channelId }) {
+  return withPortal(portalId, async () => {
+    const settings = await portals.settings(currentPortalId());
+    const engines = await enginesFor(settings);
+    const inbound = normalizeMessage({ subject, text, richText: html });
+    const language = detectLocale(inbound);
+    const { intent, confidence, probabilities, engine, score, scores, matches, vetoed } = engines.classifier.classify(inbound, language.locale);
+    const context = await buildTemplateContext({ inbound, threadId: "", toEmail: email, settings });
+    const channel = channelTypeOf(channelId);
+    const { template, subject: replySubject, text: replyText, html: replyHtml, truncated } = makeReply(inbound, context, engines, channel);
+    return {
+      normalized: { ...inbound.normalized, text: inbound.text },
+      language,
+      automated: detectAutomated({ subject, text: text || htmlToText(html) }),
+      engine,
+      intent,
+      confidence,
+      probabilities,
+      belowThreshold: confidence < Number(process.env.CLASSIFIER_MIN_CONFIDENCE || 0),
+      score,
+      scores,
+      matches,
+      vetoed,
+      reply: { channel, template, subject: replySubject ?? null, text: replyText, html: replyHtml || null, ...(truncated ? { truncated } : {}) },
+    };
+  });
+}
+
+async function debugReplay({ eventId, event }) {
+  let ev = event;
+  let source = "supplied";
+  if (!ev) {
+    const job = (await queue.getJob(eventId)) || (await queue.getDead(eventId));
+    if (!job) throw new DebugError(`no queued or dead-lettered event ${eventId}`, 404);
+    ev = job.payload;
+    source = job.deadAt ? "dead-letter" : "queue";
+  }
+  if (ev.kind === "send") throw new DebugError("that is a scheduled send, not a webhook event");
+
+  const id = eventIdOf(ev);
+  const trace = [{ step: "dedupe", eventId: id, seen: await has(PROCESSED_EVENTS, id) }];
+  let error = null;
+  await withCorrelation(`replay:${id}`, () => withPortal(ev.portalId, async () => {
+    try {
+      await handleHubSpotEvent(ev, { dryRun: true, trace });
+    } catch (e) {
+      error = { message: e?.message || String(e), status: e?.status, retryable: e?.retryable };
+      trace.push({ step: "error", ...error });
+    }
+  }));
+  const skip = trace.find((t) => t.step === "skip");
+  const acted = trace.find((t) => ["send", "schedule_send", "draft"].includes(t.step));
+  const outcome = error ? "error" : skip ? `skipped:${skip.reason}` : acted ? acted.step : "no_action";
+  return { source, event: ev, outcome, trace };
+}
+
+// ===== Queue + admin =====
+const queue = createQueue(state, processJob);
+app.use("/oauth", oauthRoutes(portals));
+
+// ===== Observability =====
+registry.gauge("hubspot_bot_breaker_open", "1 while the send circuit breaker holds replies for review.", [], async () => ((await breaker.current()) ? 1 : 0));
+registry.gauge("hubspot_bot_queue_jobs", "Queue jobs by state.", ["state"], async () => {
+  const s = await queue.stats();
+  return [{ labels: { state: "pending" }, value: s.pending }, { labels: { state: "active" }, value: s.active }, { labels: { state: "dead" }, value: s.dead }];
+});
+app.use(metricsRoute(), readinessRoute(createReadinessProbe({ state, portals })));
+app.use("/debug", requireAdmin, express.json(), debugRoutes({ classify: debugClassify, replay: debugReplay }));
+app.use("/admin", requireAdmin, express.json(), queueRoutes(queue), suppressionRoutes(suppressions), draftRoutes(drafts), portalRoutes(portals), guardRoutes({ breaker, limits }), auditRoutes(audit));
+
 // ===== Start server =====
-const port = process.env.PORT || 3000;
-app.listen(port, () => console.log("Listening on", port));
+export function start(port = process.env.PORT || 3000) {
+  const server = app.listen(port, () => {
+    log.info("server.listening", { port: server.address().port });
+    if (state.kind === "memory" && process.env.NODE_ENV === "production") {
+      log.warn("queue.memory_store", { note: "STATE_STORE=memory: pending and delayed events are lost on restart; use file or redis" });
+    }
+    queue.start();
+  });
+  return server;
+}
+
+export { app, queue, state, intents, templates, suppressions, drafts, portals, audit, handleHubSpotEvent };
+
+// `node index.js` starts listening; importing the module (tests) does not.
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) start();
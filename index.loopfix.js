@@ -1,5 +1,6 @@
 import express from "express";
 import morgan from "morgan";
+import { requireHubSpotSignature } from "./src/signature.js";
 
 /**
  * Loop-proof HubSpot Conversations webhook handler.
@@ -13,12 +14,14 @@ import morgan from "morgan";
  *   HUBSPOT_TOKEN=pat-xxxx            # Private App token (required to write back)
  *   AUTO_COMMENT=true|false           # true only while proving write access
  *   HUBSPOT_APP_ID=123456             # (optional) your app's numeric id to ignore self
- *   VERIFY_SIGNATURE=false            # (later) enforce X-HubSpot-Signature v3
+ *   VERIFY_SIGNATURE=false            # enforce X-HubSpot-Signature v3 (401 on mismatch)
  *   HUBSPOT_APP_SECRET=...            # used when VERIFY_SIGNATURE=true
+ *   SIGNATURE_ALLOW_LEGACY=false      # (optional) also accept v1/v2 signatures
  *   PORT=3000
  */
 
 const app = express();
+app.set("trust proxy", true); // Render terminates TLS; signature v3 signs the https URL
 app.use(morgan("tiny"));
 
 // Capture raw body for signature verification; we'll parse JSON manually.
@@ -81,9 +84,9 @@ async function getLatestMessage(threadId) {
 }
 
 // ===== Main webhook route =====
-app.post("/hubspot/webhook", async (req, res) => {
+app.post("/hubspot/webhook", requireHubSpotSignature(), async (req, res) => {
   try {
-    // TODO: add X-HubSpot-Signature v3 verification when VERIFY_SIGNATURE === "true"
+    // Signature already verified by requireHubSpotSignature() when VERIFY_SIGNATURE === "true".
     // We ACK immediately to avoid retries/timeouts.
     res.sendStatus(200);
 
@@ -0,0 +1,398 @@
+import fs from "node:fs";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import express from "express";
+
+/**
+ * Local stand-in for the HubSpot endpoints the bot uses:
+ *   Conversations v3: GET/POST threads/:id/messages, GET/PATCH threads/:id, GET threads, GET actors/:id,
+ *                     GET channel-accounts
+ *   CRM v3:           POST contacts/search, POST contacts, PATCH contacts/:id, GET owners/:id,
+ *                     POST/PATCH/search deals, tickets and notes (kept with their associations)
+ *   CRM v4:           GET objects/contacts/:id/associations/companies
+ *   CRM properties v3: GET :type/:name, POST :type, POST :type/groups
+ *   Account info v3:  GET details
+ *   Communication preferences v3: GET definitions, GET status/email/:email, POST subscribe/unsubscribe
+ *   OAuth v1: POST /oauth/v1/token (authorization_code, rotating refresh_token), GET access-tokens/:token
+ *   OAuth v2: POST private-apps/get/access-token-info
+ *
+ * Point the bot at it with HUBSPOT_BASE_URL=http://localhost:<port>.
+ *
+ * Fixtures (JSON, see mock/fixtures/):
+ *   { "threads": { "<threadId>": [ message, ... ] },   # newest first, like the real API
+ *     "threadInfo": { "<threadId>": { "status": "OPEN", "assignedTo": "A-1" } },
+ *     "actors":  { "V-123": { ... } },
+ *     "contacts": [ { "id": "1", "properties": { "email": "a@b.co" }, "companyIds": ["900"] } ],
+ *     "owners":  { "77": { "firstName": "Jo", "lastName": "Rep", "email": "jo@us.co" } },
+ *     "subscriptionDefinitions": [ { "id": "1", "name": "Marketing", "isActive": true } ],
+     "subscriptions": { "a@b.co": { "1": "SUBSCRIBED" } },
+ *     "oauthCodes": { "<code>": { "hubId": 42, "hubDomain": "acme.hubspot.com" } },
+     "tokenInfo": { "hubId": 1, "appId": 1, "scopes": [ "conversations.read", ... ] },   # private-app token
+     "channelAccounts": [ { "id": "55", "channelId": "1002", "name": "Support inbox", "active": true } ],
+     "properties": { "contacts": [ { "name": "bot_intent", "type": "string" } ] },
+ *     "failures": [ { "method": "POST", "path": "/messages$", "status": 429, "times": 1, "retryAfter": 1 } ] }
+ *
+ * Run standalone: node mock/hubspot-mock.js [fixture.json]   (MOCK_PORT, default 4010)
+ */
+export function createHubSpotMock({ token } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const db = { threads: new Map(), threadInfo: new Map(), threadUpdates: [], objects: new Map(), actors: new Map(), contacts: new Map(), owners: new Map(),
+    subscriptionDefinitions: [], subscriptions: new Map(), subscriptionChanges: [],
+    failures: [], calls: [], posted: [], contactUpdates: [],
+    oauthCodes: new Map(), accessTokens: new Map(), refreshTokens: new Map(), tokenExchanges: [], oauthExpiresIn: 1800,
+    tokenInfo: null, channelAccounts: [], properties: new Map(), propertyGroups: new Map() };
+  const DEFAULT_DEFINITIONS = [{ id: "1", name: "Marketing Information", isActive: true, isInternal: false }];
+  let seq = 1000;
+
+  db.subscriptionDefinitions = [...DEFAULT_DEFINITIONS];
+
+  const api = {
+    app,
+    db,
+    reset() {
+      db.threads.clear();
+      db.threadInfo.clear();
+      db.threadUpdates.length = 0;
+      db.objects.clear();
+      db.actors.clear();
+      db.contacts.clear();
+      db.owners.clear();
+      db.subscriptionDefinitions = [...DEFAULT_DEFINITIONS];
+      db.subscriptions.clear();
+      db.subscriptionChanges.length = 0;
+      db.failures.length = 0;
+      db.calls.length = 0;
+      db.posted.length = 0;
+      db.contactUpdates.length = 0;
+      db.oauthCodes.clear();
+      db.tokenExchanges.length = 0;
+      db.tokenInfo = null;
+      db.channelAccounts = [];
+      db.properties.clear();
+      db.propertyGroups.clear();
+      return api;
+    },
+    load(fixture = {}) {
+      for (const [id, msgs] of Object.entries(fixture.threads || {})) db.threads.set(String(id), [...msgs]);
+      for (const [id, info] of Object.entries(fixture.threadInfo || {})) db.threadInfo.set(String(id), { ...info });
+      for (const [id, actor] of Object.entries(fixture.actors || {})) db.actors.set(id, actor);
+      for (const c of fixture.contacts || []) db.contacts.set(String(c.id), { ...c, properties: { ...c.properties } });
+      for (const [id, owner] of Object.entries(fixture.owners || {})) db.owners.set(String(id), owner);
+      if (fixture.subscriptionDefinitions) db.subscriptionDefinitions = [...fixture.subscriptionDefinitions];
+      for (const [email, statuses] of Object.entries(fixture.subscriptions || {})) db.subscriptions.set(email.toLowerCase(), { ...statuses });
+      for (const f of fixture.failures || []) api.failNext(f);
+      for (const [code, portal] of Object.entries(fixture.oauthCodes || {})) db.oauthCodes.set(code, portal);
+      if (fixture.tokenInfo) db.tokenInfo = { ...fixture.tokenInfo };
+      if (fixture.channelAccounts) db.channelAccounts = [...fixture.channelAccounts];
+      for (const [type, props] of Object.entries(fixture.properties || {})) for (const p of props) propertiesOf(type).set(p.name, { ...p });
+      return api;
+    },
+    // Respond with `status` to the next `times` requests matching method + path regex.
+    failNext({ method = "GET", path: pattern, status = 500, times = 1, retryAfter, body = "mock failure" }) {
+      db.failures.push({ method: method.toUpperCase(), re: new RegExp(pattern), status, times, retryAfter, body });
+      return api;
+    },
+    // What the bot wrote back, in order: { threadId, type, text, subject, recipients, ... }
+    comments: (threadId) => db.posted.filter((m) => m.type === "COMMENT" && (!threadId || m.threadId === String(threadId))),
+    messages: (threadId) => db.posted.filter((m) => m.type === "MESSAGE" && (!threadId || m.threadId === String(threadId))),
+    objects: (type) => [...(db.objects.get(type)?.values() || [])],
+    contactByEmail: (email) => [...db.contacts.values()].find((c) => c.properties?.email === email) || null,
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        const server = app.listen(port, () => resolve(server));
+      });
+    },
+  };
+
+  // OAuth-issued tokens are accepted alongside the static `token`; calls record which portal made them.
+  app.use((req, res, next) => {
+    const bearer = (req.get("Authorization") || "").replace(/^Bearer /, "");
+    const issued = db.accessTokens.get(bearer);
+    db.calls.push({ method: req.method, path: req.path, query: req.query, body: req.body, portalId: issued?.hubId });
+    if (req.path.startsWith("/oauth/")) return next();
+    const valid = issued ? issued.expiresAt > Date.now() : !token || bearer === token;
+    if (!valid) {
+      return res.status(401).json({ status: "error", category: "INVALID_AUTHENTICATION" });
+    }
+    const f = db.failures.find((x) => x.times > 0 && x.method === req.method && x.re.test(req.path));
+    if (f) {
+      f.times -= 1;
+      if (f.retryAfter != null) res.set("Retry-After", String(f.retryAfter));
+      return res.status(f.status).json({ status: "error", message: f.body });
+    }
+    next();
+  });
+
+  // ===== Conversations =====
+  const threadView = (id) => ({ id, status: "OPEN", assignedTo: null, ...db.threadInfo.get(id) });
+
+  app.get("/conversations/v3/conversations/threads", (req, res) => {
+    const { assignee, threadStatus } = req.query;
+    const all = [...db.threads.keys()].map(threadView)
+      .filter((t) => (!assignee || t.assignedTo === assignee) && (!threadStatus || t.status === threadStatus));
+    const limit = Math.min(Number(req.query.limit || 20), 500);
+    const start = Number(req.query.after || 0);
+    const next = start + limit < all.length ? { paging: { next: { after: String(start + limit) } } } : {};
+    res.json({ results: all.slice(start, start + limit), ...next });
+  });
+
+  app.get("/conversations/v3/conversations/threads/:threadId", (req, res) => {
+    if (!db.threads.has(req.params.threadId)) return res.status(404).json({ status: "error", message: "thread not found" });
+    res.json(threadView(req.params.threadId));
+  });
+
+  app.patch("/conversations/v3/conversations/threads/:threadId", (req, res) => {
+    const { threadId } = req.params;
+    if (!db.threads.has(threadId)) return res.status(404).json({ status: "error", message: "thread not found" });
+    const { status, assignedTo } = req.body || {};
+    if (status && !["OPEN", "CLOSED"].includes(status)) return res.status(400).json({ status: "error", message: "bad status" });
+    const info = { ...db.threadInfo.get(threadId), ...(status ? { status } : {}), ...(assignedTo ? { assignedTo } : {}) };
+    db.threadInfo.set(threadId, info);
+    db.threadUpdates.push({ threadId, ...req.body });
+    res.json(threadView(threadId));
+  });
+
+  app.get("/conversations/v3/conversations/threads/:threadId/messages", (req, res) => {
+    const all = db.threads.get(req.params.threadId);
+    if (!all) return res.status(404).json({ status: "error", message: "thread not found" });
+    const limit = Math.min(Number(req.query.limit || 20), 100);
+    const start = Number(req.query.after || 0);
+    const results = all.slice(start, start + limit);
+    const next = start + limit < all.length ? { paging: { next: { after: String(start + limit) } } } : {};
+    res.json({ results, ...next });
+  });
+
+  app.post("/conversations/v3/conversations/threads/:threadId/messages", (req, res) => {
+    const { threadId } = req.params;
+    if (!db.threads.has(threadId)) return res.status(404).json({ status: "error", message: "thread not found" });
+    const type = req.body?.type;
+    if (type !== "COMMENT" && type !== "MESSAGE") return res.status(400).json({ status: "error", message: "bad type" });
+    if (type === "MESSAGE" && (!req.body.senderActorId || !req.body.channelId || !req.body.channelAccountId)) {
+      return res.status(400).json({ status: "error", message: "senderActorId, channelId and channelAccountId are required" });
+    }
+    if (type === "MESSAGE" && !(req.body.recipients?.length && req.body.recipients.every((r) => r.actorId || r.deliveryIdentifier?.value))) {
+      return res.status(400).json({ status: "error", message: "recipients need an actorId or deliveryIdentifier" });
+    }
+    const msg = {
+      id: String(++seq),
+      ...req.body,
+      threadId,
+      direction: type === "MESSAGE" ? "OUTGOING" : undefined,
+      createdAt: new Date().toISOString(),
+      status: type === "MESSAGE" ? { statusType: "SENT" } : undefined,
+    };
+    db.threads.get(threadId).unshift(msg);
+    db.posted.push(msg);
+    res.status(201).json(msg);
+  });
+
+  app.get("/conversations/v3/conversations/channel-accounts", (req, res) => {
+    const limit = Math.min(Number(req.query.limit || 20), 100);
+    const start = Number(req.query.after || 0);
+    const results = db.channelAccounts.slice(start, start + limit);
+    const next = start + limit < db.channelAccounts.length ? { paging: { next: { after: String(start + limit) } } } : {};
+    res.json({ results, ...next });
+  });
+
+  app.get("/conversations/v3/conversations/actors/:actorId", (req, res) => {
+    const actor = db.actors.get(req.params.actorId);
+    if (!actor) return res.status(404).json({ status: "error", message: "actor not found" });
+    res.json({ id: req.params.actorId, ...actor });
+  });
+
+  // ===== CRM contacts =====
+  app.post("/crm/v3/objects/contacts/search", (req, res) => {
+    const filters = req.body?.filterGroups?.[0]?.filters || [];
+    const matches = [...db.contacts.values()].filter((c) =>
+      filters.every((f) => f.operator === "EQ" && String(c.properties?.[f.propertyName] ?? "").toLowerCase() === String(f.value).toLowerCase())
+    );
+    const limit = Number(req.body?.limit || 10);
+    const start = Number(req.body?.after || 0);
+    const results = matches.slice(start, start + limit);
+    const next = start + limit < matches.length ? { paging: { next: { after: String(start + limit) } } } : {};
+    res.json({ total: matches.length, results, ...next });
+  });
+
+  app.post("/crm/v3/objects/contacts", (req, res) => {
+    const email = req.body?.properties?.email;
+    if (email && api.contactByEmail(email)) return res.status(409).json({ status: "error", message: "Contact already exists" });
+    const contact = { id: String(++seq), properties: { ...req.body?.properties } };
+    db.contacts.set(contact.id, contact);
+    res.status(201).json(contact);
+  });
+
+  app.patch("/crm/v3/objects/contacts/:id", (req, res) => {
+    const contact = db.contacts.get(req.params.id);
+    if (!contact) return res.status(404).json({ status: "error", message: "contact not found" });
+    Object.assign(contact.properties, req.body?.properties || {});
+    db.contactUpdates.push({ id: contact.id, properties: { ...req.body?.properties } });
+    res.json(contact);
+  });
+
+  app.get("/crm/v4/objects/contacts/:id/associations/companies", (req, res) => {
+    const contact = db.contacts.get(req.params.id);
+    if (!contact) return res.status(404).json({ status: "error", message: "contact not found" });
+    res.json({ results: (contact.companyIds || []).map((id) => ({ toObjectId: Number(id), associationTypes: [{ category: "HUBSPOT_DEFINED", typeId: 1 }] })) });
+  });
+
+  // ===== CRM deals, tickets, notes =====
+  const objectsOf = (type) => {
+    if (!db.objects.has(type)) db.objects.set(type, new Map());
+    return db.objects.get(type);
+  };
+  const GENERIC = /^(deals|tickets|notes)$/;
+
+  app.post("/crm/v3/objects/:type/search", (req, res, next) => {
+    if (!GENERIC.test(req.params.type)) return next();
+    const filters = req.body?.filterGroups?.[0]?.filters || [];
+    const results = [...objectsOf(req.params.type).values()]
+      .filter((o) => filters.every((f) => f.operator === "EQ" && String(o.properties?.[f.propertyName] ?? "") === String(f.value)))
+      .slice(0, Number(req.body?.limit || 10));
+    res.json({ total: results.length, results });
+  });
+
+  app.post("/crm/v3/objects/:type", (req, res, next) => {
+    if (!GENERIC.test(req.params.type)) return next();
+    const obj = { id: String(++seq), properties: { ...req.body?.properties }, associations: req.body?.associations || [], createdAt: new Date().toISOString() };
+    objectsOf(req.params.type).set(obj.id, obj);
+    res.status(201).json(obj);
+  });
+
+  app.patch("/crm/v3/objects/:type/:id", (req, res, next) => {
+    if (!GENERIC.test(req.params.type)) return next();
+    const obj = objectsOf(req.params.type).get(req.params.id);
+    if (!obj) return res.status(404).json({ status: "error", message: "object not found" });
+    Object.assign(obj.properties, req.body?.properties || {});
+    res.json(obj);
+  });
+
+  app.get("/crm/v3/owners/:ownerId", (req, res) => {
+    const owner = db.owners.get(req.params.ownerId);
+    if (!owner) return res.status(404).json({ status: "error", message: "owner not found" });
+    res.json({ id: req.params.ownerId, ...owner });
+  });
+
+  // ===== CRM properties =====
+  function propertiesOf(type) {
+    if (!db.properties.has(type)) db.properties.set(type, new Map());
+    return db.properties.get(type);
+  }
+
+  app.post("/crm/v3/properties/:type/groups", (req, res) => {
+    const groups = db.propertyGroups.get(req.params.type) || new Map();
+    db.propertyGroups.set(req.params.type, groups);
+    if (groups.has(req.body?.name)) return res.status(409).json({ status: "error", category: "OBJECT_ALREADY_EXISTS", message: "group already exists" });
+    groups.set(req.body.name, { ...req.body });
+    res.status(201).json(req.body);
+  });
+
+  app.get("/crm/v3/properties/:type/:name", (req, res) => {
+    const prop = propertiesOf(req.params.type).get(req.params.name);
+    if (!prop) return res.status(404).json({ status: "error", message: `property ${req.params.name} does not exist` });
+    res.json(prop);
+  });
+
+  app.post("/crm/v3/properties/:type", (req, res) => {
+    const { name, label, type, fieldType, groupName } = req.body || {};
+    if (!name || !label || !type || !fieldType || !groupName) return res.status(400).json({ status: "error", category: "VALIDATION_ERROR", message: "name, label, type, fieldType and groupName are required" });
+    if (!db.propertyGroups.get(req.params.type)?.has(groupName) && groupName !== "contactinformation") {
+      return res.status(400).json({ status: "error", category: "VALIDATION_ERROR", message: `group ${groupName} does not exist` });
+    }
+    if (propertiesOf(req.params.type).has(name)) return res.status(409).json({ status: "error", category: "OBJECT_ALREADY_EXISTS", message: "property already exists" });
+    propertiesOf(req.params.type).set(name, { ...req.body });
+    res.status(201).json(req.body);
+  });
+
+  // ===== Account =====
+  app.get("/account-info/v3/details", (req, res) => {
+    const issued = db.accessTokens.get((req.get("Authorization") || "").replace(/^Bearer /, ""));
+    res.json({ portalId: issued?.hubId ?? 1, accountType: "STANDARD", timeZone: "US/Eastern", companyCurrency: "USD", uiDomain: "app.hubspot.com" });
+  });
+
+  // ===== Communication preferences =====
+  app.get("/communication-preferences/v3/definitions", (_req, res) => {
+    res.json({ subscriptionDefinitions: db.subscriptionDefinitions });
+  });
+
+  app.get("/communication-preferences/v3/status/email/:email", (req, res) => {
+    const mine = db.subscriptions.get(req.params.email.toLowerCase()) || {};
+    res.json({
+      recipient: req.params.email,
+      subscriptionStatuses: db.subscriptionDefinitions.map((d) => ({ id: d.id, name: d.name, status: mine[d.id] || "NOT_SPECIFIED" })),
+    });
+  });
+
+  for (const action of ["subscribe", "unsubscribe"]) {
+    app.post(`/communication-preferences/v3/${action}`, (req, res) => {
+      const { emailAddress, subscriptionId } = req.body || {};
+      if (!emailAddress || !db.subscriptionDefinitions.some((d) => String(d.id) === String(subscriptionId))) {
+        return res.status(400).json({ status: "error", message: "unknown subscription" });
+      }
+      const key = emailAddress.toLowerCase();
+      const mine = db.subscriptions.get(key) || {};
+      mine[subscriptionId] = action === "subscribe" ? "SUBSCRIBED" : "NOT_SUBSCRIBED";
+      db.subscriptions.set(key, mine);
+      db.subscriptionChanges.push({ action, ...req.body });
+      res.json({ id: String(subscriptionId), status: mine[subscriptionId] });
+    });
+  }
+
+  // ===== OAuth =====
+  app.use("/oauth/v1/token", express.urlencoded({ extended: false }));
+
+  const issueTokens = (portal) => {
+    const n = ++seq;
+    const access = `oauth-at-${portal.hubId}-${n}`;
+    const refresh = `oauth-rt-${portal.hubId}-${n}`;
+    db.accessTokens.set(access, { ...portal, expiresAt: Date.now() + db.oauthExpiresIn * 1000 });
+    db.refreshTokens.set(refresh, portal);
+    return { token_type: "bearer", access_token: access, refresh_token: refresh, expires_in: db.oauthExpiresIn };
+  };
+
+  app.post("/oauth/v1/token", (req, res) => {
+    const { grant_type: grant, code, refresh_token: refresh, client_id: clientId } = req.body || {};
+    db.tokenExchanges.push({ grant, clientId });
+    if (grant === "authorization_code" && db.oauthCodes.has(code)) {
+      const portal = db.oauthCodes.get(code);
+      db.oauthCodes.delete(code);
+      return res.json(issueTokens(portal));
+    }
+    if (grant === "refresh_token" && db.refreshTokens.has(refresh)) {
+      const portal = db.refreshTokens.get(refresh);
+      db.refreshTokens.delete(refresh); // rotation: each refresh token works once
+      return res.json(issueTokens(portal));
+    }
+    res.status(400).json({ status: "BAD_GRANT", message: "missing or unknown code / refresh token" });
+  });
+
+  app.get("/oauth/v1/access-tokens/:token", (req, res) => {
+    const t = db.accessTokens.get(req.params.token);
+    if (!t) return res.status(404).json({ status: "error", message: "token not found" });
+    res.json({
+      token: req.params.token,
+      hub_id: t.hubId,
+      hub_domain: t.hubDomain || `${t.hubId}.hubspot.com`,
+      user: t.user || "installer@example.com",
+      scopes: t.scopes || ["conversations.read", "conversations.write"],
+      app_id: 1,
+      expires_in: Math.round((t.expiresAt - Date.now()) / 1000),
+    });
+  });
+
+  app.post("/oauth/v2/private-apps/get/access-token-info", (req, res) => {
+    if (!db.tokenInfo || (token && req.body?.tokenKey !== token)) return res.status(401).json({ status: "error", category: "INVALID_AUTHENTICATION" });
+    res.json({ userId: 1, ...db.tokenInfo });
+  });
+
+  return api;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const mock = createHubSpotMock({ token: process.env.HUBSPOT_TOKEN });
+  const file = process.argv[2];
+  if (file) mock.load(JSON.parse(fs.readFileSync(file, "utf8")));
+  const server = await mock.listen(Number(process.env.MOCK_PORT || 4010));
+  console.log("HubSpot mock listening on", server.address().port);
+}
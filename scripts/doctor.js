@@ -0,0 +1,25 @@
+// Checks the bot's configuration and HubSpot account, and prints a pass/fail report.
+//
+//   node --env-file=.env scripts/doctor.js [--create-properties] [--offline] [--json]
+//
+// --create-properties  create the missing contact (and deal/ticket) properties the bot writes
+// --offline            only check env vars and config files, no HubSpot calls
+// --json               print the results as JSON
+//
+// Exits 1 when any check fails.
+import { checkConfigFiles, checkEnv, checkHubSpot, formatReport } from "../src/doctor.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(`--${name}`);
+const known = ["create-properties", "offline", "json"];
+const unknown = args.filter((a) => !known.includes(a.replace(/^--/, "")));
+if (unknown.length) {
+  console.error(`unknown option ${unknown.join(" ")}\nusage: node scripts/doctor.js [--create-properties] [--offline] [--json]`);
+  process.exit(2);
+}
+
+const results = [...checkEnv(), ...(await checkConfigFiles())];
+if (!flag("offline")) results.push(...(await checkHubSpot({ createProperties: flag("create-properties") })));
+
+console.log(flag("json") ? JSON.stringify(results, null, 2) : formatReport(results));
+process.exit(results.some((r) => r.status === "fail") ? 1 : 0);
@@ -0,0 +1,49 @@
+// Trains the intent model used with CLASSIFIER=model from a labeled export of past threads.
+//
+//   node scripts/train-classifier.js export.csv [--out models/intents.model.json] [--holdout 0.2] [--min-df 2]
+//
+// The export is CSV (header: subject,text,intent; html/body/label also accepted), JSON or JSONL.
+// With --holdout, that share of examples is kept aside and the report shows accuracy on it.
+import fs from "node:fs";
+import path from "node:path";
+import { evaluate, parseLabeledExport, trainNaiveBayes } from "../src/classifier.js";
+import { normalizeMessage } from "../src/normalize.js";
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args.splice(i, 2)[1] : fallback;
+};
+const out = opt("out", process.env.CLASSIFIER_MODEL_FILE || "./models/intents.model.json");
+const holdout = Number(opt("holdout", 0));
+const minDf = Number(opt("min-df", 1));
+const [file] = args;
+if (!file) {
+  console.error("usage: node scripts/train-classifier.js <export.csv|.json|.jsonl> [--out file] [--holdout 0.2] [--min-df 2]");
+  process.exit(2);
+}
+
+const ext = path.extname(file).slice(1).toLowerCase();
+const examples = parseLabeledExport(fs.readFileSync(file, "utf8"), ext === "csv" || ext === "json" ? ext : "jsonl", normalizeMessage);
+
+// Deterministic split: every n-th example per intent goes to the holdout set.
+const train = [];
+const test = [];
+const seen = {};
+for (const e of examples) {
+  const n = (seen[e.intent] = (seen[e.intent] || 0) + 1);
+  (holdout > 0 && n % Math.round(1 / holdout) === 0 ? test : train).push(e);
+}
+
+const model = trainNaiveBayes(train, { minDf });
+fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+fs.writeFileSync(out, JSON.stringify(model));
+
+const counts = Object.fromEntries(Object.entries(model.labels).map(([k, l]) => [k, l.docs]));
+console.log(`trained on ${train.length} examples (${model.vocabulary} terms) → ${out}`);
+console.log("examples per intent:", counts);
+if (test.length) {
+  const r = evaluate(model, test);
+  console.log(`holdout accuracy: ${r.accuracy} on ${r.total} examples`);
+  for (const [intent, s] of Object.entries(r.perIntent)) console.log(`  ${intent}: ${s.correct}/${s.total}`);
+}
@@ -0,0 +1,22 @@
+import crypto from "node:crypto";
+import { log } from "./log.js";
+
+/**
+ * Bearer-token guard for /admin/* endpoints.
+ *   ADMIN_TOKEN=...   # required; admin endpoints answer 503 while it is unset
+ */
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return res.status(503).json({ error: "ADMIN_TOKEN not set" });
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  const given = Buffer.from(m ? m[1].trim() : "", "utf8");
+  const want = Buffer.from(expected, "utf8");
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    log.warn("admin.rejected", { method: req.method, path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  next();
+}
+
+// Express 4 doesn't catch rejected promises; forward them to the error handler.
+export const asyncRoute = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
@@ -0,0 +1,168 @@
+import crypto from "node:crypto";
+import express from "express";
+import { asyncRoute } from "./admin.js";
+
+/**
+ * Audit log: one record per decision the bot makes on an event or scheduled send, kept in the
+ * state store (audit:<YYYY-MM-DD>:<at>:<id>) so it survives restarts with STATE_STORE=file|redis.
+ * Each day also has an index, a sorted set of that day's record keys scored by time
+ * (audit:day:<YYYY-MM-DD>). Queries read the indexes of the days in the range only, newest first
+ * and at most AUDIT_RETENTION_DAYS back, and never list the store's keys.
+ *
+ * The file store rewrites its whole JSON file on every write, and each record is two writes. Use
+ * STATE_STORE=redis for a busy bot that keeps an audit log.
+ *
+ * Record: { id, at, eventId, portalId, threadId, messageId, email, channel, intent, confidence,
+ *           action, reason, template, templateVersion, hubspotStatus, detail }
+ *   messageId      the inbound message the decision was about
+ *   action         sent | scheduled | drafted | escalated | skipped | cancelled | failed
+ *   reason         why (skip reason, escalation reason, review reason, "draft_approved", …)
+ *   hubspotStatus  the send's statusType (e.g. SENT), or the HTTP status of a failed call
+ *
+ * Admin routes (behind requireAdmin), filtered by from/to (ISO time or YYYY-MM-DD, `to` inclusive),
+ * threadId, email, intent, action and portalId:
+ *   GET /admin/audit?limit=100            → { total, results } newest first
+ *   GET /admin/audit/export?format=csv    → every match as a CSV (or format=json) download, streamed
+ *
+ * Env vars:
+ *   AUDIT_RETENTION_DAYS=90      # records are deleted this long after they were written
+ */
+
+const KEY = "audit:";
+const DAY = "audit:day:";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COLUMNS = ["at", "eventId", "portalId", "threadId", "messageId", "email", "channel", "intent", "confidence",
+  "action", "reason", "template", "templateVersion", "hubspotStatus", "detail"];
+
+export class AuditError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AuditError";
+    this.status = status;
+  }
+}
+
+const retentionMs = () => Math.max(1, Number(process.env.AUDIT_RETENTION_DAYS || 90)) * DAY_MS;
+
+// "2026-10-12" as `to` means the end of that day.
+function parseBound(value, name, { endOfDay = false } = {}) {
+  if (value == null || value === "") return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const ms = Date.parse(dateOnly ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(ms)) throw new AuditError(`${name} must be an ISO date or time`);
+  return dateOnly && endOfDay ? ms + DAY_MS - 1 : ms;
+}
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Validates the filters up front (so a route can answer 400 before it starts streaming) and
+// returns the days to read, newest first, the time bounds, plus a test for the loaded records.
+function plan({ from, to, threadId, email, intent, action, portalId } = {}) {
+  const fromMs = parseBound(from, "from");
+  const toMs = parseBound(to, "to", { endOfDay: true });
+  const now = Date.now();
+  const first = Math.max(fromMs ?? 0, now - retentionMs());
+  const days = [];
+  for (let ms = Math.min(toMs ?? now, now); dayOf(ms) >= dayOf(first); ms -= DAY_MS) days.push(dayOf(ms));
+  const matches = (e) => {
+    const ms = Date.parse(e.at);
+    if ((fromMs != null && ms < fromMs) || (toMs != null && ms > toMs)) return false;
+    if (threadId && String(e.threadId) !== String(threadId)) return false;
+    if (email && String(e.email || "").toLowerCase() !== String(email).trim().toLowerCase()) return false;
+    if (intent && e.intent !== intent) return false;
+    if (action && e.action !== action) return false;
+    if (portalId && String(e.portalId) !== String(portalId)) return false;
+    return true;
+  };
+  return { days, fromMs, toMs, matches };
+}
+
+export function createAuditLog(store) {
+  // Matching records, newest first, reading one day's index at a time.
+  async function* scan({ days, fromMs, toMs, matches }) {
+    for (const day of days) {
+      const keys = (await store.zrange(DAY + day, fromMs ?? -Infinity, toMs ?? Infinity)).reverse();
+      for (const key of keys) {
+        const e = await store.get(key);
+        if (e && matches(e)) yield e;
+      }
+    }
+  }
+
+  return {
+    async record(fields) {
+      const at = new Date().toISOString();
+      const entry = { id: crypto.randomUUID(), at, ...fields };
+      const key = `${KEY}${at.slice(0, 10)}:${at}:${entry.id}`;
+      await store.set(key, entry, retentionMs());
+      // The index outlives each record it lists; reads skip keys whose record has expired.
+      await store.zadd(DAY + at.slice(0, 10), key, Date.parse(at), retentionMs());
+      return entry;
+    },
+
+    // Throws AuditError for bad filters; otherwise an async iterator over every match, newest first.
+    stream(filters) {
+      return scan(plan(filters));
+    },
+
+    async query({ limit, ...filters } = {}) {
+      const out = [];
+      for await (const e of scan(plan(filters))) {
+        out.push(e);
+        if (limit && out.length >= limit) break;
+      }
+      return out;
+    },
+  };
+}
+
+// Cells that a spreadsheet would run as a formula get a leading quote.
+function csvCell(value) {
+  if (value == null) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvRow = (e) => `${COLUMNS.map((c) => csvCell(e[c])).join(",")}\r\n`;
+
+export function toCsv(entries) {
+  return `${COLUMNS.join(",")}\r\n${entries.map(csvRow).join("")}`;
+}
+
+export function auditRoutes(audit) {
+  const r = express.Router();
+  const guard = (fn) => asyncRoute(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      if (e instanceof AuditError) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+  });
+  const filters = (q) => ({ from: q.from, to: q.to, threadId: q.threadId, email: q.email, intent: q.intent, action: q.action, portalId: q.portalId });
+
+  r.get("/audit", guard(async (req, res) => {
+    const limit = Math.min(Math.max(1, Number(req.query.limit) || 100), 1000);
+    const results = await audit.query({ ...filters(req.query), limit });
+    res.json({ total: results.length, results });
+  }));
+
+  // Written row by row, so a large export never sits in memory whole.
+  r.get("/audit/export", guard(async (req, res) => {
+    const format = req.query.format || "csv";
+    if (!["csv", "json"].includes(format)) throw new AuditError('format must be "csv" or "json"');
+    const entries = audit.stream(filters(req.query));
+    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === "json" ? "application/json" : "text/csv");
+    res.write(format === "json" ? "[" : `${COLUMNS.join(",")}\r\n`);
+    let n = 0;
+    for await (const e of entries) {
+      const chunk = format === "json" ? `${n++ ? "," : ""}${JSON.stringify(e)}` : csvRow(e);
+      if (!res.write(chunk)) await new Promise((r) => res.once("drain", r).once("close", r));
+      if (res.destroyed) return;
+    }
+    res.end(format === "json" ? "]" : "");
+  }));
+  return r;
+}
@@ -0,0 +1,214 @@
+import { findContactByEmail, updateContact } from "./hubspot.js";
+import { log } from "./log.js";
+
+/**
+ * Detects messages no human wrote: delivery failures (DSN/NDR), auto-replies and
+ * out-of-office notices, and bulk mail. Answering any of them risks a bot-to-bot loop.
+ *
+ * detectAutomated(message) → null, or
+ *   { kind: "bounce" | "auto_reply" | "bulk", reason, verified?, hard?, status?, recipients?, diagnostic? }
+ * `reason` is a short machine-readable tag (e.g. "header:auto-submitted", "ooo:subject").
+ * `verified` bounces came from a mailer-daemon sender or carry DSN headers; the rest were only
+ * recognized by name, subject or body and are skipped without side effects. Neither proves the
+ * report is genuine, so callers match `recipients` against outboundRecipients(thread) first.
+ *
+ * Headers are used when the message carries them (`message.headers` as an object or a
+ * [{ name, value }] list); otherwise detection relies on sender, subject and body.
+ *
+ * Env vars:
+ *   EMAIL_INVALID_PROPERTY=bot_email_invalid         # contact property set on a hard bounce; empty to skip
+ *   EMAIL_INVALID_REASON_PROPERTY=bot_email_invalid_reason
+ */
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+const BOUNCE_SENDERS = /^(mailer-daemon|postmaster|mail-daemon|bounces?)@/i;
+const BOUNCE_NAMES = /mail delivery (subsystem|system)|mailer-daemon|postmaster|microsoft outlook|e-?mail-zustellsystem|système de distribution/i;
+
+// Subject lines of delivery failures in the languages we reply in.
+const BOUNCE_SUBJECTS = [
+  /^undeliverable\b/i,
+  /^undelivered mail returned to sender/i,
+  /delivery status notification/i,
+  /^(mail )?delivery (has )?failed/i,
+  /^returned mail\b/i,
+  /^failure notice\b/i,
+  /^message not delivered/i,
+  /^(non remis|non distribuable)\b/i,
+  /^échec de (la )?(remise|distribution)/i,
+  /^unzustellbar\b/i,
+  /^nicht zustellbar/i,
+  /^(no se puede entregar|no entregado|imposible entregar)/i,
+  /^(não entregue|não foi possível entregar)/i,
+  /^(non recapitabile|impossibile recapitare)/i,
+  /^onbestelbaar\b/i,
+];
+
+// Body phrases that only appear in NDRs. Hard ones mean the address itself is dead.
+const HARD_BOUNCE_TEXT = [
+  /address (couldn't|could not|wasn't|was not) (be )?found/i,
+  /(user|recipient|mailbox|address) (unknown|not found|does not exist|doesn't exist|unavailable)/i,
+  /no such (user|mailbox|recipient)/i,
+  /(invalid|unknown) (recipient|mailbox|address)/i,
+  /adresse introuvable|destinataire inconnu/i,
+  /adresse (wurde )?nicht gefunden|empfänger(adresse)? (unbekannt|nicht gefunden)/i,
+  /direcci[oó]n no encontrada|destinatario desconocido|el usuario no existe/i,
+];
+const BOUNCE_TEXT = [
+  ...HARD_BOUNCE_TEXT,
+  /(wasn't|was not|couldn't be|could not be) delivered to/i,
+  /delivery (to the following recipients? )?(has )?failed/i,
+  /(mailbox|inbox) (is )?full|over quota|quota exceeded/i,
+  /this is the mail system at host/i,
+  /diagnostic-code:/i,
+];
+
+const OOO_SUBJECTS = [
+  /^(automatic|auto)[ -]?(reply|response)\b/i,
+  /^autoreply\b/i,
+  /^out of (the )?office\b/i,
+  /\bout of office\b.*\b(until|till|returning)\b/i,
+  /^réponse automatique|^absent\b|^absence du bureau/i,
+  /^respuesta autom[aá]tica|^fuera de la oficina/i,
+  /^automatische antwort|^abwesenheitsnotiz|^abwesend\b/i,
+  /^resposta autom[aá]tica|^fora do escrit[oó]rio/i,
+  /^risposta automatica|^fuori ufficio/i,
+  /^automatisch antwoord|^afwezig\b/i,
+];
+const OOO_TEXT = [
+  /\bI(?:'m| am)(?: currently)? out of (?:the )?office\b/i,
+  /\bI will be out of (?:the )?office\b/i,
+  /\b(?:I am|I'm) (?:currently )?(?:away|on (?:annual )?leave|on vacation|on holiday)\b.*\b(?:until|till|returning|back on)\b/i,
+  /\bwith limited (?:access to )?e-?mail\b/i,
+  /\bthis is an auto(?:mated|matic)[ -](?:reply|response|message)\b/i,
+  /\bje suis (?:actuellement )?absente?\b/i,
+  /\bestoy (?:actualmente )?fuera de la oficina\b/i,
+  /\bich bin (?:derzeit |zurzeit )?(?:nicht im büro|abwesend|im urlaub)\b/i,
+];
+
+// Signals of a real delivery report rather than a message that merely looks like one. They can be
+// forged too (any domain can send as mailer-daemon@, anyone can add the header), so a verified
+// bounce only acts on addresses the thread actually emailed (see outboundRecipients).
+const VERIFIED_BOUNCES = new Set(["header:delivery-status", "header:x-failed-recipients", "sender:mailer-daemon"]);
+
+const PRECEDENCE_BULK = /^(bulk|junk|list|auto_reply)$/i;
+
+function headerMap(message) {
+  const raw = message?.headers;
+  const map = new Map();
+  if (Array.isArray(raw)) {
+    for (const h of raw) if (h?.name) map.set(String(h.name).toLowerCase(), String(h.value ?? ""));
+  } else if (raw && typeof raw === "object") {
+    for (const [k, v] of Object.entries(raw)) map.set(k.toLowerCase(), Array.isArray(v) ? v.join(", ") : String(v ?? ""));
+  }
+  return map;
+}
+
+function senderOf(message) {
+  const s = message?.senders?.[0] || {};
+  const id = s.deliveryIdentifier;
+  return { name: s.name || "", email: (id?.type === "HS_EMAIL_ADDRESS" && id.value) || s.email || "" };
+}
+
+const emailsIn = (s) => [...new Set((String(s || "").match(EMAIL_RE) || []).map((e) => e.toLowerCase()))];
+
+/**
+ * Pulls the machine-readable parts out of a delivery status notification
+ * (RFC 3464 fields when present, otherwise the human-readable NDR text).
+ */
+export function parseDeliveryReport(text, { headers = new Map(), exclude = [] } = {}) {
+  const body = String(text || "");
+  const skip = new Set(exclude.map((e) => e.toLowerCase()));
+
+  const recipients = new Set();
+  for (const m of body.matchAll(/^(?:final|original)-recipient:\s*(?:rfc822;)?\s*<?([^\s>]+)>?/gim)) recipients.add(m[1].toLowerCase());
+  for (const e of emailsIn(headers.get("x-failed-recipients"))) recipients.add(e);
+  if (!recipients.size) {
+    // "Your message wasn't delivered to x@y.com because…", "Your message to x@y.com couldn't be delivered."
+    const m = body.match(/(?:delivered to|message to|recipients?:?|not found:|destinataire\s*:?|introuvable\s*:|empfänger\s*:?|nicht gefunden:|destinatario\s*:?|no encontrada:)\s*<?([A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,})/i);
+    if (m) recipients.add(m[1].toLowerCase());
+  }
+  for (const e of skip) recipients.delete(e);
+
+  const status = body.match(/^status:\s*([245]\.\d{1,3}\.\d{1,3})/im)?.[1]
+    || body.match(/\b([45]\.\d\.\d{1,3})\b/)?.[1]
+    || null;
+  const diagnostic = body.match(/^diagnostic-code:\s*(.+)$/im)?.[1]?.trim() || null;
+  const action = body.match(/^action:\s*(\w+)/im)?.[1]?.toLowerCase() || null;
+
+  let hard;
+  if (status) hard = status.startsWith("5");
+  else if (action === "delayed") hard = false;
+  else hard = HARD_BOUNCE_TEXT.some((re) => re.test(body));
+
+  return { recipients: [...recipients], status, action, diagnostic, hard };
+}
+
+export function detectAutomated(message) {
+  if (!message) return null;
+  const headers = headerMap(message);
+  const subject = String(message.subject || "").trim();
+  const text = String(message.text || "");
+  const sender = senderOf(message);
+  const contentType = headers.get("content-type") || "";
+
+  // 1) Delivery failures
+  let bounceReason = null;
+  if (/report-type\s*=\s*"?delivery-status/i.test(contentType)) bounceReason = "header:delivery-status";
+  else if (headers.has("x-failed-recipients")) bounceReason = "header:x-failed-recipients";
+  else if (BOUNCE_SENDERS.test(sender.email)) bounceReason = "sender:mailer-daemon";
+  else if (BOUNCE_NAMES.test(sender.name) && (BOUNCE_SUBJECTS.some((re) => re.test(subject)) || BOUNCE_TEXT.some((re) => re.test(text)))) bounceReason = "sender:ndr";
+  else if (BOUNCE_SUBJECTS.some((re) => re.test(subject))) bounceReason = "subject:ndr";
+  else if (/^diagnostic-code:/im.test(text) && /^(final|original)-recipient:/im.test(text)) bounceReason = "body:dsn";
+  if (bounceReason) {
+    const report = parseDeliveryReport(text, { headers, exclude: sender.email ? [sender.email] : [] });
+    return { kind: "bounce", reason: bounceReason, verified: VERIFIED_BOUNCES.has(bounceReason), ...report };
+  }
+
+  // 2) Auto-replies, by header first
+  const autoSubmitted = headers.get("auto-submitted");
+  if (autoSubmitted && autoSubmitted.toLowerCase() !== "no") return { kind: "auto_reply", reason: "header:auto-submitted" };
+  for (const h of ["x-autoreply", "x-autorespond", "x-autoresponder"]) if (headers.has(h)) return { kind: "auto_reply", reason: `header:${h}` };
+  if (/^(oof|autoreply)/i.test(headers.get("x-auto-response-suppress") || "") && headers.has("in-reply-to")) {
+    return { kind: "auto_reply", reason: "header:x-auto-response-suppress" };
+  }
+  const precedence = headers.get("precedence");
+  if (precedence && PRECEDENCE_BULK.test(precedence.trim())) {
+    return { kind: precedence.trim().toLowerCase() === "auto_reply" ? "auto_reply" : "bulk", reason: "header:precedence" };
+  }
+  if (headers.has("list-id") || headers.has("list-unsubscribe")) return { kind: "bulk", reason: "header:list" };
+
+  // 3) Out-of-office phrasing
+  if (OOO_SUBJECTS.some((re) => re.test(subject))) return { kind: "auto_reply", reason: "ooo:subject" };
+  if (OOO_TEXT.some((re) => re.test(text.slice(0, 1000)))) return { kind: "auto_reply", reason: "ooo:text" };
+
+  return null;
+}
+
+/** Email addresses the thread's outgoing messages (bot or agent) were sent to, lower-cased. */
+export function outboundRecipients(messages) {
+  const out = new Set();
+  for (const m of messages || []) {
+    if (m?.direction !== "OUTGOING") continue;
+    for (const r of m.recipients || []) {
+      for (const id of [r.deliveryIdentifier, ...(r.deliveryIdentifiers || [])]) {
+        if (id?.type === "HS_EMAIL_ADDRESS" && id.value) out.add(String(id.value).trim().toLowerCase());
+      }
+    }
+  }
+  return out;
+}
+
+/** Flags the contact's address as undeliverable so nobody (bot or human) keeps mailing it. */
+export async function markEmailInvalid(email, reason) {
+  const prop = process.env.EMAIL_INVALID_PROPERTY ?? "bot_email_invalid";
+  if (!email || !prop) return false;
+  const id = await findContactByEmail(email);
+  if (!id) return false;
+  const props = { [prop]: "true" };
+  const reasonProp = process.env.EMAIL_INVALID_REASON_PROPERTY ?? "bot_email_invalid_reason";
+  if (reasonProp) props[reasonProp] = String(reason || "hard bounce").slice(0, 250);
+  const ok = await updateContact(id, props);
+  if (!ok) log.warn("bounce.mark_invalid_failed", { email, hint: `ensure contact properties "${prop}" and "${reasonProp}" exist` });
+  return ok;
+}
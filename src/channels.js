@@ -0,0 +1,130 @@
+/**
+ * Channel-aware replies: one bot answering email, live chat, Facebook Messenger and WhatsApp
+ * threads. The thread's channelId decides the channel type, which decides who the reply is
+ * addressed to and what shape it takes.
+ *
+ *   type       recipient                              subject + HTML   platform limit
+ *   email      HS_EMAIL_ADDRESS of the sender         yes              —
+ *   chat       the visitor's actor (V-…)               no               4000
+ *   messenger  the sender's page-scoped (opaque) ID    no               2000
+ *   whatsapp   the sender's HS_PHONE_NUMBER            no               4096
+ *
+ * Chat-type replies use a `<template>.<type>.txt` or `<template>.chat.txt` variant when one
+ * exists (e.g. templates/pricing.chat.txt), otherwise the email template's plain text. Either
+ * way the text is cut to the channel's limit at a paragraph, sentence or word boundary.
+ *
+ * Env vars:
+ *   CHANNEL_TYPES=1003:email,2001:chat       # extra channelId → type mappings (custom channels)
+ *   REPLY_CHANNELS=email,chat,messenger,whatsapp   # channel types the bot answers
+ *   CHAT_MAX_LENGTH=1000                     # cap for chat-type replies, never above the platform limit
+ */
+
+// HubSpot's built-in channel IDs. Forms threads are answered by email.
+const BUILT_IN = { 1000: "chat", 1001: "messenger", 1002: "email", 1003: "email", 1007: "whatsapp" };
+
+export const CHANNEL_TYPES = ["email", "chat", "messenger", "whatsapp"];
+
+const PROFILES = {
+  email: { subject: true, html: true, maxLength: null, identifier: "HS_EMAIL_ADDRESS" },
+  chat: { subject: false, html: false, maxLength: 4000, identifier: null },
+  messenger: { subject: false, html: false, maxLength: 2000, identifier: "CHANNEL_SPECIFIC_OPAQUE_ID" },
+  whatsapp: { subject: false, html: false, maxLength: 4096, identifier: "HS_PHONE_NUMBER" },
+};
+
+function customTypes() {
+  const out = {};
+  for (const pair of String(process.env.CHANNEL_TYPES || "").split(",")) {
+    const [id, type] = pair.split(":").map((s) => s.trim());
+    if (id && type) out[id] = type.toLowerCase();
+  }
+  return out;
+}
+
+// Validated at startup so a typo in CHANNEL_TYPES / REPLY_CHANNELS fails fast.
+export function checkChannelConfig() {
+  const errors = [];
+  for (const [id, type] of Object.entries(customTypes())) {
+    if (!PROFILES[type]) errors.push(`CHANNEL_TYPES: channel ${id} has unknown type "${type}"`);
+  }
+  for (const type of replyChannels()) {
+    if (!PROFILES[type]) errors.push(`REPLY_CHANNELS: unknown type "${type}"`);
+  }
+  if (errors.length) throw new Error(`Invalid channel settings:\n  - ${errors.join("\n  - ")}`);
+}
+
+const replyChannels = () => String(process.env.REPLY_CHANNELS || CHANNEL_TYPES.join(","))
+  .split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+// Unknown channels are treated as email, which is what the bot always did.
+export function channelTypeOf(channelId) {
+  const id = String(channelId ?? "");
+  return customTypes()[id] || BUILT_IN[id] || "email";
+}
+
+export const answersChannel = (type) => replyChannels().includes(type);
+
+export function maxLengthFor(type) {
+  const profile = PROFILES[type] || PROFILES.email;
+  if (!profile.maxLength) return null;
+  const cap = Number(process.env.CHAT_MAX_LENGTH || 1000);
+  return cap > 0 ? Math.min(cap, profile.maxLength) : profile.maxLength;
+}
+
+// Template names to try for a channel, most specific first.
+export function templateVariants(name, type) {
+  if (type === "email") return [name];
+  return [...new Set([`${name}.${type}`, `${name}.chat`, name])];
+}
+
+function senderIdentifiers(inbound) {
+  const sender = inbound?.senders?.[0] || {};
+  const di = sender.deliveryIdentifiers || sender.deliveryIdentifier;
+  return { actorId: sender.actorId || inbound?.createdBy || null, identifiers: [].concat(di || []).filter((x) => x?.type && x?.value) };
+}
+
+/**
+ * The `recipients` entry for a reply on this channel type, or null when the inbound message
+ * doesn't say who to answer (the reply is then skipped as missing_fields).
+ */
+export function recipientFor(type, inbound, { toEmail } = {}) {
+  if (type === "email") {
+    if (!toEmail) return null;
+    const di = { type: "HS_EMAIL_ADDRESS", value: toEmail };
+    return { recipientField: "TO", deliveryIdentifier: di, deliveryIdentifiers: [di] };
+  }
+  const { actorId, identifiers } = senderIdentifiers(inbound);
+  const wanted = PROFILES[type]?.identifier;
+  if (!wanted) return actorId ? { actorId } : null;
+  const di = identifiers.find((x) => x.type === wanted);
+  if (!di) return null;
+  return { ...(actorId ? { actorId } : {}), deliveryIdentifier: di, deliveryIdentifiers: [di] };
+}
+
+// Cuts text to `max` characters at the last paragraph, sentence or word break that fits.
+export function truncate(text, max) {
+  const s = String(text || "");
+  if (!max || s.length <= max) return s;
+  const room = s.slice(0, max - 3); // leaves space for the "\n\n…" marker
+  const floor = Math.floor(max / 2);
+  const para = room.lastIndexOf("\n\n");
+  if (para >= floor) return `${room.slice(0, para).trimEnd()}\n\n…`;
+  const sentence = Math.max(room.lastIndexOf(". "), room.lastIndexOf("! "), room.lastIndexOf("? "), room.lastIndexOf("\n"));
+  if (sentence >= floor) return `${room.slice(0, sentence + 1).trimEnd()} …`;
+  const word = room.lastIndexOf(" ");
+  return `${room.slice(0, word >= floor ? word : room.length).trimEnd()}…`;
+}
+
+/** Shapes a rendered reply for the channel: no subject or HTML outside email, text within limits. */
+export function fitToChannel(reply, type) {
+  const profile = PROFILES[type] || PROFILES.email;
+  if (type === "email") return { ...reply, channel: type };
+  const text = truncate(reply.text, maxLengthFor(type));
+  return {
+    ...reply,
+    channel: type,
+    subject: profile.subject ? reply.subject : undefined,
+    html: profile.html ? reply.html : undefined,
+    text,
+    ...(text !== reply.text ? { truncated: true } : {}),
+  };
+}
@@ -0,0 +1,219 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Intent classifiers behind one interface:
+ *
+ *   classifier.classify({ subject, text }, locale)
+ *     → { intent, confidence, probabilities: { <intent>: 0..1 }, engine, ...engine details }
+ *
+ * Implementations (CLASSIFIER):
+ *   keyword  the rule engine from src/intents.js (default). Probabilities are each intent's share
+ *            of the matched points, scaled by how much was matched (relative to the rules' threshold);
+ *            the default intent, picked when nothing qualified, gets 0.
+ *   model    a naive Bayes model over TF-IDF-weighted words and word pairs, trained offline from
+ *            a labeled export (npm run train -- export.csv). Global keyword intents (unsubscribe,
+ *            resubscribe, human) still win when their rules match: those must never be guessed.
+ *
+ * Env vars:
+ *   CLASSIFIER=keyword | model
+ *   CLASSIFIER_MODEL_FILE=./models/intents.model.json
+ *   CLASSIFIER_MIN_CONFIDENCE=0     # below this, replies become review drafts (0 = off)
+ */
+
+const MODEL_TYPE = "naive-bayes";
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// Lower-cased words plus adjacent word pairs; subject words count twice.
+export function features({ subject = "", text = "" } = {}) {
+  const words = (s) => String(s || "").toLowerCase().normalize("NFKC").match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+  const counts = new Map();
+  const add = (tokens, weight) => {
+    for (let i = 0; i < tokens.length; i++) {
+      counts.set(tokens[i], (counts.get(tokens[i]) || 0) + weight);
+      if (i + 1 < tokens.length) {
+        const pair = `${tokens[i]} ${tokens[i + 1]}`;
+        counts.set(pair, (counts.get(pair) || 0) + weight);
+      }
+    }
+  };
+  add(words(subject), 2);
+  add(words(text), 1);
+  return counts;
+}
+
+// Sub-linear term frequency times inverse document frequency.
+function weigh(counts, idf) {
+  const out = new Map();
+  for (const [t, c] of counts) if (idf[t] != null) out.set(t, (1 + Math.log(c)) * idf[t]);
+  return out;
+}
+
+/**
+ * Trains a multinomial naive Bayes model. `examples` are { subject, text, intent }.
+ * Terms seen in fewer than `minDf` examples are dropped to keep the model small.
+ */
+export function trainNaiveBayes(examples, { alpha = 0.5, minDf = 1 } = {}) {
+  const docs = examples.filter((e) => e.intent && (e.subject || e.text)).map((e) => ({ intent: String(e.intent), counts: features(e) }));
+  if (!docs.length) throw new Error("no labeled examples (need subject/text and intent)");
+  const df = new Map();
+  for (const d of docs) for (const t of d.counts.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const idf = {};
+  for (const [t, n] of df) if (n >= minDf) idf[t] = round(Math.log((1 + docs.length) / (1 + n)) + 1);
+
+  const labels = {};
+  for (const d of docs) {
+    const l = (labels[d.intent] ||= { docs: 0, total: 0, weights: {} });
+    l.docs += 1;
+    for (const [t, w] of weigh(d.counts, idf)) {
+      l.weights[t] = (l.weights[t] || 0) + w;
+      l.total += w;
+    }
+  }
+  for (const l of Object.values(labels)) {
+    l.total = round(l.total);
+    for (const t of Object.keys(l.weights)) l.weights[t] = round(l.weights[t]);
+  }
+  return { type: MODEL_TYPE, version: 1, trainedAt: new Date().toISOString(), examples: docs.length, alpha, vocabulary: Object.keys(idf).length, idf, labels };
+}
+
+// Per-intent probabilities for one message (softmax over the log posteriors).
+export function predict(model, message) {
+  const x = weigh(features(message), model.idf);
+  const V = model.vocabulary;
+  const logs = {};
+  for (const [intent, l] of Object.entries(model.labels)) {
+    let lp = Math.log(l.docs / model.examples);
+    const denom = Math.log(l.total + model.alpha * V);
+    for (const [t, w] of x) lp += w * (Math.log((l.weights[t] || 0) + model.alpha) - denom);
+    logs[intent] = lp;
+  }
+  const max = Math.max(...Object.values(logs));
+  const exp = Object.fromEntries(Object.entries(logs).map(([k, v]) => [k, Math.exp(v - max)]));
+  const sum = Object.values(exp).reduce((a, b) => a + b, 0);
+  return Object.fromEntries(Object.entries(exp).map(([k, v]) => [k, round(v / sum)]).sort((a, b) => b[1] - a[1]));
+}
+
+// Accuracy overall and per intent, for a held-out set.
+export function evaluate(model, examples) {
+  const perIntent = {};
+  let correct = 0;
+  for (const e of examples) {
+    const [guess] = Object.keys(predict(model, e));
+    const s = (perIntent[e.intent] ||= { total: 0, correct: 0 });
+    s.total += 1;
+    if (guess === e.intent) {
+      s.correct += 1;
+      correct += 1;
+    }
+  }
+  return { total: examples.length, accuracy: examples.length ? round(correct / examples.length) : null, perIntent };
+}
+
+// Minimal RFC 4180 CSV: quoted fields, doubled quotes, newlines inside quotes.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) rows.push(row);
+  return rows;
+}
+
+/**
+ * Reads a labeled export: CSV with a header row, JSON (array) or JSONL. Columns/keys:
+ * subject, text (or body), html (or richText), and intent (or label). Quotes and signatures
+ * are stripped with `normalize` so training sees what classification will see.
+ */
+export function parseLabeledExport(content, format, normalize = (m) => m) {
+  let records;
+  if (format === "csv") {
+    const [header, ...rows] = parseCsv(String(content).replace(/^\uFEFF/, ""));
+    const cols = header.map((h) => h.trim().toLowerCase());
+    records = rows.map((r) => Object.fromEntries(cols.map((c, i) => [c, r[i] ?? ""])));
+  } else if (format === "json") {
+    records = JSON.parse(content);
+  } else {
+    records = String(content).split(/\r?\n/).filter((l) => l.trim()).map((l) => JSON.parse(l));
+  }
+  return records
+    .map((r) => {
+      const m = normalize({ subject: r.subject || "", text: r.text ?? r.body ?? "", richText: r.html ?? r.richText });
+      return { subject: m.subject || "", text: m.text || "", intent: String(r.intent ?? r.label ?? "").trim() };
+    })
+    .filter((e) => e.intent && (e.subject || e.text));
+}
+
+export function loadModel(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw new Error(`${resolved}: model not found (train one with npm run train)`);
+  const model = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  if (model?.type !== MODEL_TYPE || !model.labels || !model.idf) throw new Error(`${resolved}: not a ${MODEL_TYPE} model`);
+  return model;
+}
+
+export function keywordClassifier(intents) {
+  return {
+    engine: "keyword",
+    classify(message, locale) {
+      const r = intents.classify(message, locale);
+      const k = Math.max(intents.rules.threshold || 1, 0.01);
+      const positive = Object.entries(r.scores).filter(([, s]) => s > 0);
+      const total = positive.reduce((a, [, s]) => a + s, 0);
+      // Evidence strength: matched points worth one threshold give 0.8, two give 0.96, …
+      const strength = 1 - 0.2 ** (total / k);
+      const probabilities = Object.fromEntries(positive.map(([name, s]) => [name, round((strength * s) / total)]));
+      // Falling back to the default intent means no rule qualified: no confidence in it at all.
+      if (r.intent === intents.rules.default && !(r.score > 0)) probabilities[r.intent] = 0;
+      return { ...r, confidence: probabilities[r.intent] ?? 0, probabilities, engine: "keyword" };
+    },
+  };
+}
+
+export function modelClassifier(model, intents) {
+  return {
+    engine: "model",
+    classify(message, locale) {
+      const keyword = intents.classify(message, locale);
+      if (intents.rules.intents.some((r) => r.global && r.name === keyword.intent)) {
+        return { ...keyword, confidence: 1, probabilities: { [keyword.intent]: 1 }, engine: "keyword" };
+      }
+      const probabilities = predict(model, message);
+      const [intent] = Object.keys(probabilities);
+      return { intent, confidence: probabilities[intent], probabilities, engine: "model", keyword: keyword.intent };
+    },
+  };
+}
+
+export function createClassifier({ intents, kind = process.env.CLASSIFIER || "keyword", modelFile = process.env.CLASSIFIER_MODEL_FILE || "./models/intents.model.json" }) {
+  if (kind === "keyword") return keywordClassifier(intents);
+  if (kind === "model") return modelClassifier(loadModel(modelFile), intents);
+  throw new Error(`CLASSIFIER must be "keyword" or "model", got "${kind}"`);
+}
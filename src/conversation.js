@@ -0,0 +1,116 @@
+import fs from "node:fs";
+import path from "node:path";
+import { currentPortalId } from "./hubspot.js";
+
+/**
+ * Per-thread conversation state and the follow-up planner.
+ *
+ * State (state store, conv:[<portalId>:]<threadId>, kept CONVERSATION_TTL_DAYS):
+ *   { threadId, botTurns, templatesSent: [...], sentMessageIds: [...], sequence, lastBotAt,
+ *     escalated, escalatedAt, escalationReason }
+ *
+ * Sequences file (SEQUENCES_FILE, default ./config/sequences.json):
+ *   { "maxBotTurns": 3,
+ *     "escalateIntent": "human",
+ *     "sequences": { "pricing": ["pricing", "qualifying", "booking"] } }
+ *
+ * planReply() decides, for one inbound message, whether the bot answers (and with which
+ * template), stays quiet, or hands the thread to a human:
+ *   - a thread that was escalated, or where a human agent replied after the bot, is left alone
+ *   - frustration (the escalate intent, shouting) or maxBotTurns bot replies → escalate
+ *   - an intent with a sequence starts it; follow-ups that don't match another intent
+ *     (or repeat the sequence's intent) continue it with the next step
+ *   - a template is never sent twice on a thread; nothing new left to send → escalate
+ *
+ * Env vars:
+ *   SEQUENCES_FILE=./config/sequences.json
+ *   MAX_BOT_TURNS=3              # overrides maxBotTurns from the file
+ *   CONVERSATION_TTL_DAYS=30
+ */
+
+const KEY = "conv:";
+
+export function loadSequences(file = process.env.SEQUENCES_FILE || "./config/sequences.json") {
+  const resolved = path.resolve(file);
+  const raw = fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, "utf8")) : {};
+  const errors = [];
+  const sequences = raw.sequences || {};
+  for (const [intent, steps] of Object.entries(sequences)) {
+    if (!Array.isArray(steps) || !steps.length || steps.some((s) => typeof s !== "string" || !s)) {
+      errors.push(`sequences.${intent}: must be a non-empty array of template names`);
+    }
+  }
+  const maxBotTurns = Number(process.env.MAX_BOT_TURNS || raw.maxBotTurns || 3);
+  if (!Number.isInteger(maxBotTurns) || maxBotTurns < 1) errors.push("maxBotTurns: must be a positive integer");
+  if (errors.length) throw new Error(`Invalid sequences in ${resolved}:\n  - ${errors.join("\n  - ")}`);
+  return { maxBotTurns, escalateIntent: raw.escalateIntent || "human", sequences, source: resolved };
+}
+
+// Shouting: a run of "!!!" / "???", or a mostly upper-case message of some length.
+export function soundsFrustrated(text) {
+  const s = String(text || "");
+  if (/[!?]{3,}/.test(s)) return true;
+  const letters = s.match(/\p{L}/gu) || [];
+  const upper = s.match(/\p{Lu}/gu) || [];
+  return letters.length >= 20 && upper.length / letters.length > 0.7;
+}
+
+export function planReply({ intent, defaultIntent, convo, config, frustrated = false, humanEngaged = false }) {
+  if (convo.escalated) return { action: "skip", reason: "escalated" };
+  if (humanEngaged) return { action: "skip", reason: "human_engaged" };
+  if (intent === config.escalateIntent || frustrated) return { action: "escalate", reason: "frustration" };
+  if (convo.botTurns >= config.maxBotTurns) return { action: "escalate", reason: "max_turns" };
+
+  let sequence = null;
+  let candidates = [intent];
+  if (config.sequences[intent]) {
+    sequence = intent;
+    candidates = config.sequences[intent];
+  } else if (convo.sequence && intent === defaultIntent) {
+    sequence = convo.sequence;
+    candidates = config.sequences[convo.sequence] || [];
+  }
+  // Continuing a sequence means the steps after the last one sent, never an earlier one.
+  const sent = new Set(convo.templatesSent);
+  const template = candidates.find((t) => !sent.has(t));
+  if (!template) return { action: "escalate", reason: "nothing_new" };
+  return { action: "reply", template, sequence, position: sequence ? candidates.indexOf(template) + 1 : null };
+}
+
+export function createConversationTracker(store) {
+  const ttlMs = () => Math.max(1, Number(process.env.CONVERSATION_TTL_DAYS || 30)) * 24 * 60 * 60 * 1000;
+  const keyOf = (threadId) => {
+    const portalId = currentPortalId();
+    return `${KEY}${portalId ? `${portalId}:` : ""}${threadId}`;
+  };
+  const empty = (threadId) => ({ threadId: String(threadId), botTurns: 0, templatesSent: [], sentMessageIds: [], sequence: null, lastBotAt: null, escalated: false });
+
+  async function update(threadId, fn) {
+    const convo = (await store.get(keyOf(threadId))) || empty(threadId);
+    fn(convo);
+    convo.updatedAt = new Date().toISOString();
+    await store.set(keyOf(threadId), convo, ttlMs());
+    return convo;
+  }
+
+  return {
+    get: async (threadId) => (await store.get(keyOf(threadId))) || empty(threadId),
+
+    recordBotTurn: (threadId, { template, sequence, messageId }) => update(threadId, (c) => {
+      c.botTurns += 1;
+      if (template && !c.templatesSent.includes(template)) c.templatesSent.push(template);
+      if (messageId) c.sentMessageIds = [...c.sentMessageIds, String(messageId)].slice(-20);
+      if (sequence !== undefined) c.sequence = sequence;
+      c.lastBotAt = new Date().toISOString();
+    }),
+
+    escalate: (threadId, reason) => update(threadId, (c) => {
+      c.escalated = true;
+      c.escalatedAt = new Date().toISOString();
+      c.escalationReason = reason;
+    }),
+
+    // Hands the thread back to the bot (e.g. after an agent resolved it).
+    reset: (threadId) => store.del(keyOf(threadId)),
+  };
+}
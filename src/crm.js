@@ -0,0 +1,173 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  currentPortalId,
+  findContactByEmail,
+  createContact,
+  searchObjects,
+  createObject,
+  updateObject,
+  getAssociatedIds,
+} from "./hubspot.js";
+
+/**
+ * Deals and tickets opened from detected intents.
+ *
+ * Rules file (CRM_RECORDS_FILE, or a portal's crmRecordsFile; unset = off):
+ *   { "intents": {
+ *       "pricing": { "object": "deal",   "pipeline": "default", "stage": "appointmentscheduled" },
+ *       "demo":    { "object": "deal",   "pipeline": "default", "stage": "appointmentscheduled" },
+ *       "support": { "object": "ticket", "pipeline": "0",       "stage": "1", "priority": "MEDIUM" } } }
+ *
+ * One deal and one ticket per thread at most: the record ID is kept in the state store
+ * (crm:[portal:]<threadId>:<object>) and, with CRM_THREAD_PROPERTY set, stamped on the record
+ * so a lost state store still finds it via search. Creating takes a lock per thread and object
+ * (crm-create:…), so two messages handled at once don't both search, miss and create; the one
+ * that loses waits for the winner's record and updates it. A repeat message only updates the
+ * record's latest text (deal `description` / ticket `content`); stage and owner stay as the team left them.
+ *
+ * Every message also adds a note with the inbound text, associated with the record and contact.
+ * The record is associated with the contact and the contact's primary company; tickets are also
+ * associated with the conversation thread. Deals can't be, so the thread ID goes in CRM_THREAD_PROPERTY.
+ *
+ * Env vars:
+ *   CRM_RECORDS_FILE=./config/crm-records.json
+ *   CRM_THREAD_PROPERTY=bot_thread_id     # deal + ticket text property; empty to skip
+ */
+
+const KEY = "crm:";
+const CREATE_LOCK = "crm-create:";
+const CREATE_LOCK_MS = 15_000;
+const OBJECTS = { deal: "deals", ticket: "tickets" };
+
+// HubSpot-defined association type IDs (v4), from the record/note to the target.
+const ASSOC = {
+  deals: { contacts: 3, companies: 5 },
+  tickets: { contacts: 16, companies: 26, threads: 32 },
+  notes: { contacts: 202, deals: 214, tickets: 228 },
+};
+const assoc = (fromType, toType, id) => ({
+  to: { id: String(id) },
+  types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: ASSOC[fromType][toType] }],
+});
+
+const RECORD_TTL_MS = 180 * 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export function compileCrmRules(raw = {}, source = "crm records") {
+  const errors = [];
+  const intents = {};
+  for (const [intent, r] of Object.entries(raw.intents || {})) {
+    const at = `intents.${intent}`;
+    if (!OBJECTS[r?.object]) {
+      errors.push(`${at}.object: must be "deal" or "ticket"`);
+      continue;
+    }
+    for (const f of ["pipeline", "stage"]) if (!r[f] || typeof r[f] !== "string") errors.push(`${at}.${f}: required string`);
+    if (r.properties && (typeof r.properties !== "object" || Array.isArray(r.properties))) errors.push(`${at}.properties: must be an object`);
+    intents[intent] = { object: r.object, objectType: OBJECTS[r.object], pipeline: r.pipeline, stage: r.stage, priority: r.priority || null, properties: r.properties || {} };
+  }
+  if (errors.length) throw new Error(`Invalid CRM record rules in ${source}:\n  - ${errors.join("\n  - ")}`);
+  return { intents, source };
+}
+
+export function loadCrmRules(file) {
+  const resolved = path.resolve(file);
+  return compileCrmRules(JSON.parse(fs.readFileSync(resolved, "utf8")), resolved);
+}
+
+const titleCase = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+export function createCrmSync(store, config) {
+  const threadProp = () => process.env.CRM_THREAD_PROPERTY ?? "bot_thread_id";
+  const keyOf = (threadId, object, prefix = KEY) => {
+    const portalId = currentPortalId();
+    return `${prefix}${portalId ? `${portalId}:` : ""}${threadId}:${object}`;
+  };
+
+  // null when this caller got the lock and should create the record, or the ID another caller created.
+  async function claimCreate(threadId, rule) {
+    const lock = keyOf(threadId, rule.object, CREATE_LOCK);
+    if (await store.setIfAbsent(lock, new Date().toISOString(), CREATE_LOCK_MS)) {
+      // Someone may have finished creating between our lookup and the lock.
+      const known = await store.get(keyOf(threadId, rule.object));
+      if (known) await store.del(lock);
+      return known ? String(known) : null;
+    }
+    for (const until = Date.now() + CREATE_LOCK_MS; Date.now() < until;) {
+      await sleep(250);
+      const known = await store.get(keyOf(threadId, rule.object));
+      if (known) return String(known);
+    }
+    throw new Error(`the ${rule.object} for thread ${threadId} is still being created elsewhere`);
+  }
+
+  async function contactIdFor(email) {
+    const id = await findContactByEmail(email);
+    if (id) return id;
+    // tagIntentOnContact may be creating the same contact right now; a 409 means look again.
+    return (await createContact(email)) || findContactByEmail(email);
+  }
+
+  return {
+    config,
+    ruleFor: (intent) => config.intents[intent] || null,
+
+    // Existing record for this thread, from the state store or the thread property.
+    async findRecord(threadId, rule) {
+      const known = await store.get(keyOf(threadId, rule.object));
+      if (known) return String(known);
+      if (!threadProp()) return null;
+      const [hit] = await searchObjects(rule.objectType, {
+        filterGroups: [{ filters: [{ propertyName: threadProp(), operator: "EQ", value: String(threadId) }] }],
+        properties: [threadProp()],
+      }, { max: 1 });
+      return hit?.id ? String(hit.id) : null;
+    },
+
+    /**
+     * Creates or updates the thread's deal/ticket and adds a note with the inbound text.
+     * Returns { object, id, action: "created" | "updated", noteId, contactId, companyId }.
+     */
+    async upsert({ threadId, rule, existingId, intent, email, subject, text }) {
+      const contactId = email ? await contactIdFor(email) : null;
+      const [companyId] = contactId ? await getAssociatedIds("contacts", contactId, "companies").catch(() => []) : [];
+      const body = clip(String(text || "").trim(), 5000);
+      const latest = rule.objectType === "deals" ? { description: body } : { content: body };
+
+      let id = existingId || (await claimCreate(threadId, rule));
+      let action = "updated";
+      if (id) {
+        await updateObject(rule.objectType, id, latest);
+        await store.set(keyOf(threadId, rule.object), id, RECORD_TTL_MS);
+      } else {
+        const label = `${titleCase(intent)} inquiry — ${email || `thread ${threadId}`}`;
+        const properties = rule.objectType === "deals"
+          ? { dealname: label, pipeline: rule.pipeline, dealstage: rule.stage }
+          : { subject: clip(subject ? `${subject} (${email || threadId})` : label, 250), hs_pipeline: rule.pipeline, hs_pipeline_stage: rule.stage, ...(rule.priority ? { hs_ticket_priority: rule.priority } : {}) };
+        if (threadProp()) properties[threadProp()] = String(threadId);
+        const associations = [];
+        if (contactId) associations.push(assoc(rule.objectType, "contacts", contactId));
+        if (companyId) associations.push(assoc(rule.objectType, "companies", companyId));
+        if (ASSOC[rule.objectType].threads) associations.push(assoc(rule.objectType, "threads", threadId));
+        try {
+          const created = await createObject(rule.objectType, { ...properties, ...rule.properties, ...latest }, associations);
+          id = String(created.id);
+          await store.set(keyOf(threadId, rule.object), id, RECORD_TTL_MS);
+        } finally {
+          await store.del(keyOf(threadId, rule.object, CREATE_LOCK)).catch(() => {});
+        }
+        action = "created";
+      }
+
+      const note = await createObject("notes", {
+        hs_timestamp: new Date().toISOString(),
+        hs_note_body: `Inbound message on conversation thread ${threadId}${subject ? ` — ${subject}` : ""}:\n\n${body}`,
+      }, [assoc("notes", rule.objectType, id), ...(contactId ? [assoc("notes", "contacts", contactId)] : [])]);
+
+      return { object: rule.object, id, action, noteId: note?.id ? String(note.id) : null, contactId, companyId: companyId || null };
+    },
+  };
+}
@@ -0,0 +1,51 @@
+import express from "express";
+import { asyncRoute } from "./admin.js";
+
+/**
+ * Debug endpoints, mounted at /debug behind requireAdmin. Neither writes anything.
+ *
+ *   POST /debug/classify { subject, text, html?, email?, portalId?, channelId? }
+ *     → the normalized text (quotes/signature stripped), language detection, automated-mail check,
+ *       intent with per-intent scores and the matched rule terms, and the reply makeReply would
+ *       render (CRM data is used when `email` is given; `channelId` shapes it for that channel)
+ *
+ *   POST /debug/replay { eventId } | { event }
+ *     → runs a queued/dead-lettered event (by id) or a supplied webhook event through the
+ *       handler in dry-run mode and returns the decision trace
+ */
+
+export class DebugError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "DebugError";
+    this.status = status;
+  }
+}
+
+// classify(input) and replay(input) are provided by index.js, which owns the engines and handler.
+export function debugRoutes({ classify, replay }) {
+  const r = express.Router();
+  const guard = (fn) => asyncRoute(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      if (e instanceof DebugError) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+  });
+
+  r.post("/classify", guard(async (req, res) => {
+    const { subject = "", text = "", html = "", email, portalId, channelId } = req.body || {};
+    if (typeof subject !== "string" || typeof text !== "string" || typeof html !== "string") throw new DebugError("subject, text and html must be strings");
+    if (!subject.trim() && !text.trim() && !html.trim()) throw new DebugError("subject, text or html required");
+    res.json(await classify({ subject, text, html, email, portalId, channelId }));
+  }));
+
+  r.post("/replay", guard(async (req, res) => {
+    const { eventId, event } = req.body || {};
+    if (!eventId && (!event || typeof event !== "object")) throw new DebugError("eventId or event required");
+    res.json(await replay({ eventId, event }));
+  }));
+
+  return r;
+}
@@ -0,0 +1,354 @@
+import fs from "node:fs";
+import path from "node:path";
+import {
+  getActor,
+  getAccessTokenInfo,
+  getPrivateAppTokenInfo,
+  listChannelAccounts,
+  getProperty,
+  createPropertyGroup,
+  createProperty,
+  HubSpotError,
+} from "./hubspot.js";
+import { createTemplateEngine } from "./templates.js";
+import { createIntentEngine } from "./intents.js";
+import { createClassifier } from "./classifier.js";
+import { loadSequences } from "./conversation.js";
+import { loadRoutingRules } from "./routing.js";
+import { loadCrmRules } from "./crm.js";
+import { loadBusinessCalendar } from "./schedule.js";
+import { channelTypeOf, checkChannelConfig } from "./channels.js";
+
+/**
+ * Configuration checks behind `npm run doctor` (scripts/doctor.js). Every check returns
+ * { name, status: "pass" | "warn" | "fail" | "fixed", detail }.
+ *
+ *   checkEnv(env)         every env var the bot reads: type, range, enum, URL, file; required combos
+ *   checkConfigFiles()    loads templates, intent rules, sequences, routing, CRM rules, channels,
+ *                         business hours and the classifier model exactly as the bot would
+ *   checkHubSpot(opts)    token scopes and app ID, the sender actor, connected channel accounts,
+ *                         routing agents, and the contact (and deal/ticket) properties the bot writes;
+ *                         with { createProperties: true } missing properties are created in the
+ *                         BOT_PROPERTY_GROUP group (default hubspot_bot)
+ */
+
+const INTS = [
+  "PORT", "HUBSPOT_MAX_RETRIES", "HUBSPOT_TIMEOUT_MS", "HUBSPOT_RATE_LIMIT", "HUBSPOT_SEARCH_RATE_LIMIT",
+  "QUEUE_CONCURRENCY", "QUEUE_LOCK_MS", "QUEUE_MAX_ATTEMPTS", "QUEUE_POLL_MS", "QUEUE_RETRY_BASE_MS", "QUEUE_RETRY_MAX_MS",
+  "READYZ_CACHE_MS", "READYZ_TIMEOUT_MS", "REPLY_DELAY_MS", "REPLY_TTL_HOURS", "SEND_DELAY_MIN_MS", "SEND_DELAY_MAX_MS",
+  "SIGNATURE_MAX_AGE_MS", "THREAD_MESSAGE_LIMIT", "MAX_BOT_TURNS", "CONVERSATION_TTL_DAYS", "DRAFT_TTL_HOURS",
+  "DRAFT_RETENTION_DAYS", "SEND_LIMIT_PER_SENDER", "SEND_LIMIT_PER_DOMAIN", "SEND_LIMIT_PER_DAY",
+  "BREAKER_WINDOW_MS", "BREAKER_MIN_FAILURES", "BREAKER_COOLDOWN_MS", "CHAT_MAX_LENGTH", "AUDIT_RETENTION_DAYS", "HUBSPOT_PORTAL_ID", "REDIS_TIMEOUT_MS",
+];
+const RATIOS = ["CLASSIFIER_MIN_CONFIDENCE", "LANGUAGE_MIN_CONFIDENCE", "BREAKER_ERROR_RATE"];
+const BOOLS = ["AUTO_COMMENT", "AUTO_REPLY", "BUSINESS_HOURS", "INTENT_RULES_WATCH", "SUPPRESSION_SYNC", "VERIFY_SIGNATURE", "SIGNATURE_ALLOW_LEGACY"];
+const ENUMS = {
+  STATE_STORE: ["memory", "file", "redis"],
+  REPLY_MODE: ["auto", "review"],
+  CLASSIFIER: ["keyword", "model"],
+  LOG_LEVEL: ["debug", "info", "warn", "error"],
+  LOG_FORMAT: ["json", "pretty"],
+};
+const URLS = ["HUBSPOT_BASE_URL", "HUBSPOT_AUTHORIZE_URL", "OAUTH_REDIRECT_URL", "WEBHOOK_PUBLIC_URL", "REDIS_URL", "CALENDLY_URL"];
+const FILES = ["INTENT_RULES_FILE", "SEQUENCES_FILE", "ROUTING_FILE", "CRM_RECORDS_FILE", "BUSINESS_HOURS_FILE", "CLASSIFIER_MODEL_FILE", "TEMPLATES_DIR"];
+const TEXT = [
+  "HUBSPOT_TOKEN", "HUBSPOT_APP_ID", "HUBSPOT_APP_SECRET", "HUBSPOT_CLIENT_ID", "HUBSPOT_CLIENT_SECRET", "HUBSPOT_SCOPES",
+  "HUBSPOT_OPTIONAL_SCOPES", "HUBSPOT_SUBSCRIPTION_IDS", "TOKEN_ENCRYPTION_KEY", "ADMIN_TOKEN", "METRICS_TOKEN",
+  "SENDER_ACTOR_ID", "SENDER_NAME", "COMPANY_NAME", "DEFAULT_LOCALE", "STATE_FILE", "STATE_PREFIX",
+  "INTENT_PROPERTY", "INTENT_TIME_PROPERTY", "LANGUAGE_PROPERTY", "SUPPRESSION_PROPERTY", "EMAIL_INVALID_PROPERTY",
+  "EMAIL_INVALID_REASON_PROPERTY", "CRM_THREAD_PROPERTY", "BOT_PROPERTY_GROUP", "RESUBSCRIBE_LEGAL_BASIS",
+  "CHANNEL_TYPES", "REPLY_CHANNELS", "BLOCKED_DOMAINS", "ALLOWED_DOMAINS", "NODE_ENV",
+];
+
+// Every env var the bot reads (TEMPLATE_<NAME> settings aside).
+export const ENV_VARS = [...INTS, ...RATIOS, ...BOOLS, ...Object.keys(ENUMS), ...URLS, ...FILES, ...TEXT].sort();
+
+// Prefixes of the bot's own variables; an unknown one with these is most likely a typo.
+const OWN_PREFIX = /^(HUBSPOT|QUEUE|REPLY|SEND|BREAKER|CLASSIFIER|INTENT|DRAFT|STATE|SIGNATURE|READYZ|SUPPRESSION|CHANNEL|CHAT|ROUTING|CRM|SEQUENCES|CONVERSATION|BUSINESS|EMAIL_INVALID|LANGUAGE|TEMPLATES|BOT|AUDIT)_/;
+
+const pass = (name, detail = "") => ({ name, status: "pass", detail });
+const warn = (name, detail) => ({ name, status: "warn", detail });
+const fail = (name, detail) => ({ name, status: "fail", detail });
+
+// Files that are only read when their feature is on.
+const FILE_NEEDED = {
+  CLASSIFIER_MODEL_FILE: (env) => env.CLASSIFIER === "model",
+  BUSINESS_HOURS_FILE: (env) => env.BUSINESS_HOURS === "true",
+};
+
+function checkValue(name, v, env) {
+  if (INTS.includes(name) && !/^\d+$/.test(v)) return "must be a whole number";
+  if (RATIOS.includes(name) && !(/^\d*\.?\d+$/.test(v) && Number(v) <= 1)) return "must be a number from 0 to 1";
+  if (BOOLS.includes(name) && !["true", "false"].includes(v)) return 'must be "true" or "false"';
+  const values = ENUMS[name];
+  if (values && !values.includes(name === "REPLY_MODE" ? v.toLowerCase() : v)) return `must be one of ${values.join(", ")}`;
+  if (URLS.includes(name)) {
+    try {
+      const u = new URL(v);
+      if (name === "REDIS_URL" ? !/^rediss?:$/.test(u.protocol) : !/^https?:$/.test(u.protocol)) return "has the wrong URL scheme";
+    } catch {
+      return "must be a URL";
+    }
+  }
+  if (FILES.includes(name) && (FILE_NEEDED[name]?.(env) ?? true) && !fs.existsSync(path.resolve(v))) return `${path.resolve(v)} does not exist`;
+  if (name === "SENDER_ACTOR_ID" && !/^A-\d+$/.test(v)) return "must be an agent actor ID like A-1234567";
+  if (name === "HUBSPOT_APP_ID" && !/^\d+$/.test(v)) return "must be the numeric app ID";
+  if (name === "HUBSPOT_SUBSCRIPTION_IDS" && !v.split(",").every((s) => /^\d+$/.test(s.trim()))) return "must be comma-separated numeric IDs";
+  if (name === "DEFAULT_LOCALE" && !/^[a-z]{2}(-[a-z]{2})?$/i.test(v)) return "must be a locale like en or pt-br";
+  if (name === "TOKEN_ENCRYPTION_KEY" && v.length < 16) return "is too short (use a long random string)";
+  return null;
+}
+
+export function checkEnv(env = process.env) {
+  const results = [];
+  const set = (k) => env[k] != null && env[k] !== "";
+
+  let checked = 0;
+  for (const name of ENV_VARS) {
+    if (!set(name)) continue;
+    checked += 1;
+    const problem = checkValue(name, String(env[name]).trim(), env);
+    if (problem) results.push(fail(`env.${name}`, `${problem} (got "${env[name]}")`));
+  }
+  if (Number(env.SEND_DELAY_MIN_MS || 0) > Number(env.SEND_DELAY_MAX_MS ?? Infinity)) results.push(fail("env.SEND_DELAY_MAX_MS", "is below SEND_DELAY_MIN_MS"));
+
+  if (!set("HUBSPOT_TOKEN") && !set("HUBSPOT_CLIENT_ID")) {
+    results.push(fail("env.HUBSPOT_TOKEN", "set HUBSPOT_TOKEN (private app) or HUBSPOT_CLIENT_ID/HUBSPOT_CLIENT_SECRET (OAuth installs)"));
+  }
+  if (set("HUBSPOT_CLIENT_ID") && !set("TOKEN_ENCRYPTION_KEY")) results.push(fail("env.TOKEN_ENCRYPTION_KEY", "required for OAuth installs"));
+  if (env.VERIFY_SIGNATURE === "true" && !set("HUBSPOT_APP_SECRET")) results.push(fail("env.HUBSPOT_APP_SECRET", "required with VERIFY_SIGNATURE=true"));
+  if (env.VERIFY_SIGNATURE !== "true") results.push(warn("env.VERIFY_SIGNATURE", "webhook signatures are not verified; anyone can post events"));
+  if (env.STATE_STORE === "redis" && !set("REDIS_URL")) results.push(warn("env.REDIS_URL", "unset; using redis://localhost:6379"));
+  if (env.NODE_ENV === "production" && (env.STATE_STORE || "memory") === "memory") {
+    results.push(fail("env.STATE_STORE", "memory in production; queued and delayed events are lost on every restart (use file or redis)"));
+  }
+  if (!set("ADMIN_TOKEN")) results.push(warn("env.ADMIN_TOKEN", "unset; /admin and /debug answer 503"));
+  if (!set("HUBSPOT_APP_ID")) results.push(warn("env.HUBSPOT_APP_ID", "unset; the bot can't tell its own messages from an agent's by app"));
+  if (!set("SENDER_ACTOR_ID")) results.push(warn("env.SENDER_ACTOR_ID", "unset; replies are sent as the thread's last agent, and threads without one are skipped"));
+  if (env.AUTO_REPLY !== "true" && (env.REPLY_MODE || "auto").toLowerCase() === "auto") {
+    results.push(warn("env.AUTO_REPLY", "not \"true\"; the bot classifies and tags but never replies"));
+  }
+
+  const unknown = Object.keys(env).filter((k) => OWN_PREFIX.test(k) && !ENV_VARS.includes(k));
+  for (const k of unknown) results.push(warn(`env.${k}`, "not a setting the bot reads (typo?)"));
+
+  if (!results.some((r) => r.status === "fail")) results.unshift(pass("env", `${checked} variables set, all valid`));
+  return results;
+}
+
+async function attempt(name, fn) {
+  try {
+    const detail = await fn();
+    return pass(name, detail || "");
+  } catch (e) {
+    return fail(name, e?.message || String(e));
+  }
+}
+
+export async function checkConfigFiles(env = process.env) {
+  const results = [];
+  let templates = null;
+  let intents = null;
+  results.push(await attempt("config.templates", () => {
+    templates = createTemplateEngine();
+    return `${templates.names.length} templates, locales ${templates.locales.join(", ")}`;
+  }));
+  results.push(await attempt("config.intents", async () => {
+    intents = await createIntentEngine({ watch: false });
+    return `${intents.rules.intents.length} intents`;
+  }));
+  results.push(await attempt("config.sequences", () => {
+    const s = loadSequences();
+    const missing = templates ? [...new Set(Object.values(s.sequences).flat())].filter((t) => !templates.has(t)) : [];
+    if (missing.length) throw new Error(`${s.source}: sequence steps without a template: ${missing.join(", ")}`);
+    return `${Object.keys(s.sequences).length} sequences, at most ${s.maxBotTurns} bot turns`;
+  }));
+  if (env.ROUTING_FILE) {
+    results.push(await attempt("config.routing", () => `${loadRoutingRules(env.ROUTING_FILE).rules.length} rules`));
+  }
+  if (env.CRM_RECORDS_FILE) {
+    results.push(await attempt("config.crm_records", () => `${Object.keys(loadCrmRules(env.CRM_RECORDS_FILE).intents).length} intents`));
+  }
+  results.push(await attempt("config.channels", () => {
+    checkChannelConfig();
+  }));
+  if (env.BUSINESS_HOURS === "true") {
+    results.push(await attempt("config.business_hours", () => {
+      loadBusinessCalendar();
+    }));
+  }
+  if (intents && (env.CLASSIFIER || "keyword") === "model") {
+    results.push(await attempt("config.classifier", () => {
+      createClassifier({ intents });
+      return "model loaded";
+    }));
+  }
+  return results;
+}
+
+// CRM object types the rules open records on (an invalid file is reported by checkConfigFiles).
+function crmObjectTypes(env) {
+  if (!env.CRM_RECORDS_FILE) return [];
+  try {
+    return [...new Set(Object.values(loadCrmRules(env.CRM_RECORDS_FILE).intents).map((r) => r.objectType))];
+  } catch {
+    return [];
+  }
+}
+
+// Scopes the current configuration needs; `optional` ones only degrade a feature.
+export function requiredScopes(env = process.env, { createProperties = false } = {}) {
+  const required = ["conversations.read", "conversations.write", "crm.objects.contacts.read", "crm.objects.contacts.write"];
+  const optional = ["crm.objects.owners.read"];
+  if (env.SUPPRESSION_SYNC !== "false") required.push("communication_preferences.read_write");
+  const objects = crmObjectTypes(env);
+  if (objects.includes("deals")) required.push("crm.objects.deals.read", "crm.objects.deals.write");
+  if (objects.includes("tickets")) required.push("tickets");
+  if (objects.length) optional.push("crm.objects.companies.read");
+  if (createProperties) {
+    required.push("crm.schemas.contacts.write");
+    if (objects.includes("deals")) required.push("crm.schemas.deals.write");
+  }
+  return { required, optional };
+}
+
+// communication_preferences.read_write can also be granted as separate read + write scopes.
+const hasScope = (granted, scope) => granted.includes(scope)
+  || (scope.endsWith(".read_write") && ["read", "write"].every((s) => granted.includes(scope.replace(/read_write$/, s))));
+
+// Properties the bot writes, with the definition used to create them.
+function botProperties(env) {
+  const name = (k, def) => env[k] ?? def;
+  const text = (label) => ({ type: "string", fieldType: "text", label });
+  const checkbox = (label) => ({ type: "bool", fieldType: "booleancheckbox", label, options: [{ label: "Yes", value: "true" }, { label: "No", value: "false" }] });
+  const contacts = [
+    [name("INTENT_PROPERTY", "bot_intent"), text("Bot intent")],
+    [name("INTENT_TIME_PROPERTY", "bot_last_reply_at"), { type: "datetime", fieldType: "date", label: "Bot last reply at" }],
+    [name("LANGUAGE_PROPERTY", "bot_language"), text("Bot language")],
+    [name("SUPPRESSION_PROPERTY", "bot_suppressed"), checkbox("Bot suppressed")],
+    [name("EMAIL_INVALID_PROPERTY", "bot_email_invalid"), checkbox("Bot: email invalid")],
+    [name("EMAIL_INVALID_REASON_PROPERTY", "bot_email_invalid_reason"), text("Bot: email invalid reason")],
+  ].filter(([n]) => n);
+  const out = { contacts };
+  const threadProp = name("CRM_THREAD_PROPERTY", "bot_thread_id");
+  if (threadProp) for (const type of crmObjectTypes(env)) out[type] = [[threadProp, text("Bot conversation thread ID")]];
+  return out;
+}
+
+async function ensureGroup(objectType, group, created) {
+  if (created.has(objectType)) return;
+  try {
+    await createPropertyGroup(objectType, { name: group, label: "HubSpot bot" });
+  } catch (e) {
+    if (e?.status !== 409) throw e;
+  }
+  created.add(objectType);
+}
+
+/**
+ * @param env               defaults to process.env
+ * @param createProperties  create missing properties (and the group) instead of failing
+ */
+export async function checkHubSpot({ env = process.env, createProperties = false } = {}) {
+  const results = [];
+  if (!env.HUBSPOT_TOKEN) {
+    results.push(warn("hubspot", "no HUBSPOT_TOKEN; API checks skipped (portal installs are checked by /readyz)"));
+    return results;
+  }
+
+  // 1) Token: valid, which app, which scopes
+  let info = null;
+  try {
+    info = env.HUBSPOT_TOKEN.startsWith("pat-") ? await getPrivateAppTokenInfo(env.HUBSPOT_TOKEN) : await getAccessTokenInfo(env.HUBSPOT_TOKEN);
+    results.push(pass("hubspot.token", `portal ${info.hubId ?? info.hub_id}`));
+  } catch (e) {
+    results.push(fail("hubspot.token", `token rejected or unreachable: ${e?.message || e}`));
+    return results;
+  }
+  const granted = info.scopes || [];
+  const { required, optional } = requiredScopes(env, { createProperties });
+  const missing = required.filter((s) => !hasScope(granted, s));
+  const missingOptional = optional.filter((s) => !hasScope(granted, s));
+  results.push(missing.length ? fail("hubspot.scopes", `missing ${missing.join(", ")}`) : pass("hubspot.scopes", `${required.length} required scopes granted`));
+  if (missingOptional.length) results.push(warn("hubspot.scopes.optional", `missing ${missingOptional.join(", ")}`));
+  const appId = info.appId ?? info.app_id;
+  if (env.HUBSPOT_APP_ID && appId != null) {
+    results.push(String(appId) === String(env.HUBSPOT_APP_ID)
+      ? pass("hubspot.app_id", `token belongs to app ${appId}`)
+      : fail("hubspot.app_id", `HUBSPOT_APP_ID is ${env.HUBSPOT_APP_ID}, but the token belongs to app ${appId}`));
+  }
+
+  // 2) Sender actor and routing agents
+  const actorExists = async (id) => !!(await getActor(id));
+  if (env.SENDER_ACTOR_ID) {
+    results.push((await actorExists(env.SENDER_ACTOR_ID))
+      ? pass("hubspot.sender_actor", env.SENDER_ACTOR_ID)
+      : fail("hubspot.sender_actor", `${env.SENDER_ACTOR_ID} not found`));
+  }
+  let routing = null;
+  if (env.ROUTING_FILE) {
+    try {
+      routing = loadRoutingRules(env.ROUTING_FILE);
+      const agents = [...new Set([...Object.values(routing.teams).flatMap((t) => t.members), ...routing.rules.map((r) => r.assignTo).filter(Boolean)])];
+      const unknown = [];
+      for (const id of agents) if (!(await actorExists(id))) unknown.push(id);
+      results.push(unknown.length ? fail("hubspot.routing_agents", `not found: ${unknown.join(", ")}`) : pass("hubspot.routing_agents", `${agents.length} agents`));
+    } catch {
+      // reported by checkConfigFiles
+    }
+  }
+
+  // 3) Connected inboxes
+  try {
+    const accounts = (await listChannelAccounts()).filter((a) => a.active !== false);
+    if (!accounts.length) {
+      results.push(fail("hubspot.channel_accounts", "no active channel accounts; connect an inbox channel"));
+    } else {
+      const byType = {};
+      for (const a of accounts) byType[channelTypeOf(a.channelId)] = (byType[channelTypeOf(a.channelId)] || 0) + 1;
+      results.push(pass("hubspot.channel_accounts", Object.entries(byType).map(([t, n]) => `${n} ${t}`).join(", ")));
+      const known = new Set(accounts.map((a) => String(a.channelId)));
+      const referenced = [
+        ...String(env.CHANNEL_TYPES || "").split(",").map((p) => p.split(":")[0].trim()).filter(Boolean),
+        ...(routing?.rules || []).flatMap((r) => r.channels || []).filter((c) => c !== "*"),
+      ];
+      const stale = [...new Set(referenced)].filter((c) => !known.has(c));
+      if (stale.length) results.push(warn("hubspot.channels", `configured channel IDs with no connected account: ${stale.join(", ")}`));
+    }
+  } catch (e) {
+    results.push(fail("hubspot.channel_accounts", e?.message || String(e)));
+  }
+
+  // 4) Properties the bot writes
+  const group = env.BOT_PROPERTY_GROUP || "hubspot_bot";
+  const groups = new Set();
+  for (const [objectType, props] of Object.entries(botProperties(env))) {
+    for (const [name, def] of props) {
+      const check = `hubspot.property.${objectType}.${name}`;
+      try {
+        if (await getProperty(objectType, name)) {
+          results.push(pass(check));
+        } else if (createProperties) {
+          await ensureGroup(objectType, group, groups);
+          await createProperty(objectType, { name, groupName: group, ...def });
+          results.push({ name: check, status: "fixed", detail: `created (${def.type}) in group ${group}` });
+        } else {
+          results.push(fail(check, "missing; run with --create-properties"));
+        }
+      } catch (e) {
+        results.push(fail(check, e instanceof HubSpotError ? e.message : String(e?.message || e)));
+      }
+    }
+  }
+  return results;
+}
+
+const LABELS = { pass: "PASS ", warn: "WARN ", fail: "FAIL ", fixed: "FIXED" };
+
+export function formatReport(results) {
+  const width = Math.max(...results.map((r) => r.name.length));
+  const lines = results.map((r) => `${LABELS[r.status]}  ${r.name.padEnd(width)}  ${r.detail || ""}`.trimEnd());
+  const count = (s) => results.filter((r) => r.status === s).length;
+  lines.push("", `${count("fail")} failed, ${count("warn")} warnings, ${count("pass")} passed${count("fixed") ? `, ${count("fixed")} fixed` : ""}`);
+  return lines.join("\n");
+}
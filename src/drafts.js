@@ -0,0 +1,191 @@
+import crypto from "node:crypto";
+import express from "express";
+import { asyncRoute } from "./admin.js";
+
+/**
+ * Review-mode drafts as first-class records (state store keys draft:<id>). A draft for an inbound
+ * message is also indexed under draft-for:<portal>:<threadId>:<messageId>, so a retried event gets
+ * the draft it already created instead of a second one.
+ *
+ * Lifecycle: pending -> sent | rejected | expired | failed (failed can be approved again).
+ * Every transition and edit is appended to `history` with who/when.
+ *
+ * Env vars:
+ *   DRAFT_TTL_HOURS=72           # pending drafts expire after this
+ *   DRAFT_RETENTION_DAYS=30      # records are deleted this long after creation
+ */
+
+const KEY = "draft:";
+const LOCK = "draft-lock:";
+const FOR_MESSAGE = "draft-for:";
+const EDITABLE = ["subject", "text", "html"];
+
+export class DraftError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "DraftError";
+    this.status = status;
+  }
+}
+
+const ttlMs = () => Math.max(1, Number(process.env.DRAFT_TTL_HOURS || 72)) * 60 * 60 * 1000;
+const retentionMs = () => Math.max(1, Number(process.env.DRAFT_RETENTION_DAYS || 30)) * 24 * 60 * 60 * 1000;
+
+/**
+ * @param store  state store
+ * @param send   async (draft) => HubSpot response; sends the reply
+ * @param checkSuppressed async (email) => entry|null
+ */
+export function createDraftStore(store, { send, checkSuppressed }) {
+  const save = (d) => store.set(KEY + d.id, d, Math.max(1000, Date.parse(d.createdAt) + retentionMs() - Date.now()));
+
+  const event = (d, status, by, note) => {
+    d.history.push({ status, at: new Date().toISOString(), by: by || "system", ...(note ? { note } : {}) });
+  };
+
+  // Lazily flips overdue pending drafts to expired.
+  async function load(id) {
+    const d = await store.get(KEY + id);
+    if (d && d.status === "pending" && Date.parse(d.expiresAt) <= Date.now()) {
+      d.status = "expired";
+      event(d, "expired");
+      await save(d);
+    }
+    return d;
+  }
+
+  // Serializes transitions on one draft across instances.
+  async function withLock(id, fn) {
+    if (!(await store.setIfAbsent(LOCK + id, "1", 60_000))) throw new DraftError("draft is busy, retry");
+    try {
+      return await fn();
+    } finally {
+      await store.del(LOCK + id).catch(() => {});
+    }
+  }
+
+  return {
+    // Returns the new draft, or the inbound message's existing one marked { reused: true }.
+    async create(fields) {
+      const now = new Date();
+      const id = crypto.randomUUID();
+      if (fields.threadId && fields.inboundMessageId) {
+        const index = `${FOR_MESSAGE}${fields.portalId ?? "-"}:${fields.threadId}:${fields.inboundMessageId}`;
+        if (!(await store.setIfAbsent(index, id, retentionMs()))) {
+          const existing = await load(await store.get(index));
+          if (existing) return { ...existing, reused: true };
+          // The earlier attempt claimed the index but never saved its draft: take the index over.
+          await store.set(index, id, retentionMs());
+        }
+      }
+      const d = {
+        id,
+        status: "pending",
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + ttlMs()).toISOString(),
+        ...fields,
+        history: [],
+      };
+      event(d, "pending", "bot", `intent ${fields.intent}`);
+      await save(d);
+      return d;
+    },
+    get: load,
+    async list({ status, threadId, portalId } = {}) {
+      const out = [];
+      for (const key of await store.keys(KEY)) {
+        const d = await load(key.slice(KEY.length));
+        if (!d) continue;
+        if (status && d.status !== status) continue;
+        if (threadId && String(d.threadId) !== String(threadId)) continue;
+        if (portalId && String(d.portalId) !== String(portalId)) continue;
+        out.push(d);
+      }
+      return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+    async edit(id, changes, by) {
+      return withLock(id, async () => {
+        const d = await load(id);
+        if (!d) return null;
+        if (d.status !== "pending" && d.status !== "failed") throw new DraftError(`draft is ${d.status}`);
+        const changed = EDITABLE.filter((k) => typeof changes?.[k] === "string" && changes[k] !== d[k]);
+        if (!changed.length) return d;
+        for (const k of changed) d[k] = changes[k];
+        // Hand-edited text no longer matches the generated HTML unless that was edited too.
+        if (changed.includes("text") && !changed.includes("html")) d.html = undefined;
+        d.edited = true;
+        event(d, d.status, by, `edited ${changed.join(", ")}`);
+        await save(d);
+        return d;
+      });
+    },
+    async approve(id, by) {
+      return withLock(id, async () => {
+        const d = await load(id);
+        if (!d) return null;
+        if (d.status !== "pending" && d.status !== "failed") throw new DraftError(`draft is ${d.status}`);
+        // Email drafts go to toEmail; chat, Messenger and WhatsApp drafts carry their channel recipients.
+        const hasRecipient = (d.channel || "email") === "email" ? !!d.toEmail : !!d.recipients?.length;
+        if (!d.channelId || !d.channelAccountId || !d.senderActorId || !hasRecipient) {
+          throw new DraftError("draft is missing channel, sender or recipient info and cannot be sent");
+        }
+        const suppressed = d.toEmail ? await checkSuppressed(d.toEmail) : null;
+        if (suppressed) throw new DraftError(`${d.toEmail} is on the suppression list (${suppressed.type}: ${suppressed.value})`);
+        event(d, "approved", by);
+        try {
+          const resp = await send(d);
+          d.status = "sent";
+          d.sentAt = new Date().toISOString();
+          d.messageId = resp?.id;
+          event(d, "sent", by, resp?.status?.statusType);
+        } catch (e) {
+          d.status = "failed";
+          event(d, "failed", by, e?.message || String(e));
+        }
+        await save(d);
+        return d;
+      });
+    },
+    async reject(id, by, reason) {
+      return withLock(id, async () => {
+        const d = await load(id);
+        if (!d) return null;
+        if (d.status !== "pending" && d.status !== "failed") throw new DraftError(`draft is ${d.status}`);
+        d.status = "rejected";
+        event(d, "rejected", by, reason);
+        await save(d);
+        return d;
+      });
+    },
+  };
+}
+
+// Admin routes, mounted behind requireAdmin. Reviewer name from X-Reviewer or body.reviewer.
+export function draftRoutes(drafts) {
+  const r = express.Router();
+  const reviewer = (req) => req.get("X-Reviewer") || req.body?.reviewer || "admin";
+  const reply = (res, d) => (d ? res.json(d) : res.status(404).json({ error: "not found" }));
+  const guard = (fn) => asyncRoute(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      if (e instanceof DraftError) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+  });
+
+  r.get("/drafts", guard(async (req, res) => {
+    const status = req.query.status === "all" ? undefined : (req.query.status || "pending");
+    const results = await drafts.list({ status, threadId: req.query.threadId, portalId: req.query.portalId });
+    res.json({ total: results.length, results });
+  }));
+  r.get("/drafts/:id", guard(async (req, res) => reply(res, await drafts.get(req.params.id))));
+  r.patch("/drafts/:id", guard(async (req, res) => reply(res, await drafts.edit(req.params.id, req.body, reviewer(req)))));
+  r.post("/drafts/:id/approve", guard(async (req, res) => {
+    const d = await drafts.approve(req.params.id, reviewer(req));
+    if (!d) return res.status(404).json({ error: "not found" });
+    res.status(d.status === "sent" ? 200 : 502).json(d);
+  }));
+  r.post("/drafts/:id/reject", guard(async (req, res) => reply(res, await drafts.reject(req.params.id, reviewer(req), req.body?.reason))));
+  return r;
+}
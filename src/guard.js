@@ -0,0 +1,190 @@
+import express from "express";
+import { asyncRoute } from "./admin.js";
+import { currentPortalId } from "./hubspot.js";
+import { log } from "./log.js";
+
+/**
+ * Send guards on top of the one-reply-per-message claim: domain block/allowlists, daily send caps,
+ * and a circuit breaker that turns auto-replies into drafts while HubSpot is failing.
+ *
+ * Domains (emails only; chat visitors without an email address aren't affected):
+ *   BLOCKED_DOMAINS=example.net,spam.test     # never reply or draft; subdomains match too
+ *   ALLOWED_DOMAINS=                          # if set, reply only to these
+ *
+ * Caps count auto-replies per UTC day, per portal (0 = no cap), in one counter per scope and day
+ * in the state store (sendcap:[portal:]<scope>:<YYYY-MM-DD>), so every instance sees the same
+ * counts. Each send also claims sendcap:[portal:]sent:<id>, so a retried send is never counted twice:
+ *   SEND_LIMIT_PER_SENDER=0    # per contact (email address, or visitor/phone on chat channels)
+ *   SEND_LIMIT_PER_DOMAIN=0
+ *   SEND_LIMIT_PER_DAY=0       # all auto-replies
+ *
+ * Circuit breaker: sends and comments are sampled per instance over BREAKER_WINDOW_MS. When at least
+ * BREAKER_MIN_FAILURES of them failed with server errors, timeouts or rate limits, and the failure
+ * rate reaches BREAKER_ERROR_RATE, the breaker opens for BREAKER_COOLDOWN_MS (shared via the state
+ * store, key breaker:open): replies become review drafts and a status comment explains why.
+ *   BREAKER_WINDOW_MS=300000
+ *   BREAKER_MIN_FAILURES=5
+ *   BREAKER_ERROR_RATE=0.5     # 0 = breaker off
+ *   BREAKER_COOLDOWN_MS=900000
+ */
+
+const CAP_KEY = "sendcap:";
+const BREAKER_KEY = "breaker:open";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const list = (v) => String(v || "").split(",").map((s) => s.trim().toLowerCase().replace(/^@/, "")).filter(Boolean);
+const inDomains = (domain, domains) => domains.some((d) => domain === d || domain.endsWith(`.${d}`));
+const domainOf = (email) => String(email || "").trim().toLowerCase().split("@")[1] || "";
+
+// Why a reply to this email must not be sent automatically, or null.
+export function domainBlock(email) {
+  const domain = domainOf(email);
+  if (!domain) return null;
+  if (inDomains(domain, list(process.env.BLOCKED_DOMAINS))) return { reason: "domain_blocked", domain };
+  const allowed = list(process.env.ALLOWED_DOMAINS);
+  if (allowed.length && !inDomains(domain, allowed)) return { reason: "domain_not_allowed", domain };
+  return null;
+}
+
+export function createSendLimits(store) {
+  const limits = () => ({
+    sender: Number(process.env.SEND_LIMIT_PER_SENDER || 0),
+    domain: Number(process.env.SEND_LIMIT_PER_DOMAIN || 0),
+    day: Number(process.env.SEND_LIMIT_PER_DAY || 0),
+  });
+  const prefix = () => {
+    const portalId = currentPortalId();
+    return `${CAP_KEY}${portalId ? `${portalId}:` : ""}`;
+  };
+  // Today's counter keys for one recipient: all sends, the contact, and the email domain.
+  const counters = ({ email, identity }) => {
+    const who = String(email || identity || "").trim().toLowerCase();
+    const day = new Date().toISOString().slice(0, 10);
+    return [
+      ["day", `${prefix()}all:${day}`],
+      ["sender", who ? `${prefix()}sender:${who}:${day}` : null],
+      ["domain", domainOf(email) ? `${prefix()}domain:${domainOf(email)}:${day}` : null],
+    ].filter(([, k]) => k);
+  };
+
+  return {
+    limits,
+
+    // The first cap this send would exceed, as { limit, max, count }, or null. A retry of a send
+    // that was already counted (`id` is the reply key) isn't blocked by itself.
+    async check(recipient, id) {
+      const max = limits();
+      if (!Object.values(max).some((m) => m > 0)) return null;
+      if (await store.get(`${prefix()}sent:${id}`)) return null;
+      for (const [limit, key] of counters(recipient)) {
+        if (!(max[limit] > 0)) continue;
+        const count = Number((await store.get(key)) || 0);
+        if (count >= max[limit]) return { limit, max: max[limit], count };
+      }
+      return null;
+    },
+
+    async record(recipient, id) {
+      if (!(await store.setIfAbsent(`${prefix()}sent:${id}`, new Date().toISOString(), DAY_MS))) return;
+      for (const [, key] of counters(recipient)) await store.incr(key, DAY_MS);
+    },
+  };
+}
+
+// Failures that point at HubSpot being unwell rather than at one bad request or one portal:
+// network errors and timeouts (retryable, no status), 429s and 5xx. A missing install or token
+// has no status either but isn't retryable, so it doesn't count.
+const isOutage = (e) => e?.retryable === true || e?.status === 429 || e?.status >= 500;
+
+/**
+ * @param store   state store (shared open/closed state)
+ * @param onOpen  async (state, { threadId }) => void; called once by the instance that trips it
+ */
+export function createCircuitBreaker(store, { onOpen } = {}) {
+  let samples = [];
+  const settings = () => ({
+    windowMs: Number(process.env.BREAKER_WINDOW_MS || 300000),
+    minFailures: Number(process.env.BREAKER_MIN_FAILURES || 5),
+    errorRate: Number(process.env.BREAKER_ERROR_RATE ?? 0.5),
+    cooldownMs: Number(process.env.BREAKER_COOLDOWN_MS || 900000),
+  });
+
+  async function sample(ok, { name, threadId, error }) {
+    const s = settings();
+    const now = Date.now();
+    samples = [...samples.filter((x) => now - x.at < s.windowMs), { at: now, ok }];
+    if (ok || !(s.errorRate > 0)) return;
+    const failures = samples.filter((x) => !x.ok).length;
+    const rate = failures / samples.length;
+    if (failures < s.minFailures || rate < s.errorRate) return;
+    const state = {
+      openedAt: new Date(now).toISOString(),
+      until: new Date(now + s.cooldownMs).toISOString(),
+      failures,
+      calls: samples.length,
+      windowMs: s.windowMs,
+      lastError: `${name}: ${error?.message || error}`.slice(0, 300),
+    };
+    samples = [];
+    if (!(await store.setIfAbsent(BREAKER_KEY, state, s.cooldownMs))) return;
+    log.error("breaker.open", state);
+    try {
+      await onOpen?.(state, { threadId });
+    } catch (e) {
+      log.warn("breaker.notify_failed", { error: e });
+    }
+  }
+
+  return {
+    // Open state ({ openedAt, until, failures, calls, lastError }) or null when closed.
+    current: () => store.get(BREAKER_KEY),
+
+    // Wraps a (threadId, …) HubSpot call so its outcome is sampled.
+    wrap: (name, fn) => async (threadId, ...args) => {
+      try {
+        const result = await fn(threadId, ...args);
+        await sample(true, { name, threadId });
+        return result;
+      } catch (e) {
+        if (isOutage(e)) await sample(false, { name, threadId, error: e }).catch(() => {});
+        throw e;
+      }
+    },
+
+    async status() {
+      const open = await store.get(BREAKER_KEY);
+      const { windowMs } = settings();
+      const recent = samples.filter((x) => Date.now() - x.at < windowMs);
+      return { open: !!open, ...(open || {}), window: { calls: recent.length, failures: recent.filter((x) => !x.ok).length } };
+    },
+
+    async reset() {
+      samples = [];
+      await store.del(BREAKER_KEY);
+    },
+  };
+}
+
+// Status comment for a thread whose send tripped the breaker.
+export function describeBreaker(state) {
+  const mins = Math.round((Date.parse(state.until) - Date.parse(state.openedAt)) / 60000);
+  return `⚠️ Bot switched to review-only mode for ${mins} min: ${state.failures} of the last ${state.calls} HubSpot sends/comments failed (${state.lastError}). Replies are saved as drafts in /admin/drafts until then.`;
+}
+
+export function guardRoutes({ breaker, limits }) {
+  const r = express.Router();
+  r.get("/guard", asyncRoute(async (_req, res) => {
+    res.json({
+      breaker: await breaker.status(),
+      limits: limits.limits(),
+      domains: { blocked: list(process.env.BLOCKED_DOMAINS), allowed: list(process.env.ALLOWED_DOMAINS) },
+    });
+  }));
+  // Closes the breaker early (e.g. once HubSpot's status page is green again).
+  r.delete("/guard/breaker", asyncRoute(async (_req, res) => {
+    await breaker.reset();
+    log.info("breaker.reset", {});
+    res.sendStatus(204);
+  }));
+  return r;
+}
@@ -0,0 +1,85 @@
+import express from "express";
+import { asyncRoute } from "./admin.js";
+import { getAccountDetails, withPortal, HubSpotAuthError } from "./hubspot.js";
+
+/**
+ * Deep readiness probe for GET /readyz (GET /healthz stays a cheap liveness check).
+ *
+ * Checks, each with its own latency:
+ *   state    the state store answers ping()
+ *   hubspot  an authenticated call succeeds: proves the API is reachable and the token valid.
+ *            Uses HUBSPOT_TOKEN, or an installed portal's token when there is no private-app token.
+ *   portals  installed portals; ones that need to reinstall are listed but don't fail readiness
+ *
+ * Responds 200 { status: "ok", checks } or 503 { status: "fail", checks }.
+ * Results are cached for READYZ_CACHE_MS (default 10000) so probes don't burn API quota.
+ *
+ * Env vars:
+ *   READYZ_CACHE_MS=10000
+ *   READYZ_TIMEOUT_MS=3000
+ */
+
+async function timed(fn) {
+  const started = Date.now();
+  try {
+    const detail = await fn();
+    return { ok: true, ms: Date.now() - started, ...(detail || {}) };
+  } catch (e) {
+    return { ok: false, ms: Date.now() - started, error: e?.message || String(e), ...(e?.status ? { status: e.status } : {}) };
+  }
+}
+
+export function createReadinessProbe({ state, portals }) {
+  let cached = null;
+
+  async function checkHubSpot(installed) {
+    const timeoutMs = Number(process.env.READYZ_TIMEOUT_MS || 3000);
+    const usable = installed.find((p) => !p.needsReauth);
+    if (!process.env.HUBSPOT_TOKEN && !usable) throw new Error("no HUBSPOT_TOKEN and no installed portal with a valid token");
+    const via = process.env.HUBSPOT_TOKEN ? null : usable.portalId;
+    try {
+      const info = await withPortal(via, () => getAccountDetails({ timeoutMs }));
+      return { token: via ? `portal ${via}` : "HUBSPOT_TOKEN", portalId: info?.portalId };
+    } catch (e) {
+      if (e instanceof HubSpotAuthError) throw Object.assign(new Error(`token rejected: ${e.message}`), { status: e.status });
+      // A 403 means we got through with a valid token that just lacks this scope.
+      if (e?.status === 403) return { token: via ? `portal ${via}` : "HUBSPOT_TOKEN", note: "valid token, no account-info scope" };
+      throw e;
+    }
+  }
+
+  async function run() {
+    const checks = {};
+    checks.state = await timed(async () => {
+      await state.ping();
+    });
+    let installed = [];
+    checks.portals = await timed(async () => {
+      installed = await portals.list();
+      const reauth = installed.filter((p) => p.needsReauth).map((p) => p.portalId);
+      return { installed: installed.length, ...(reauth.length ? { needsReauth: reauth } : {}) };
+    });
+    checks.hubspot = await timed(() => checkHubSpot(installed));
+    const ok = checks.state.ok && checks.hubspot.ok;
+    return { status: ok ? "ok" : "fail", checkedAt: new Date().toISOString(), checks };
+  }
+
+  return {
+    async check({ fresh = false } = {}) {
+      const ttl = Number(process.env.READYZ_CACHE_MS ?? 10_000);
+      if (!fresh && cached && Date.now() - cached.at < ttl) return cached.result;
+      const result = await run();
+      cached = { at: Date.now(), result };
+      return result;
+    },
+  };
+}
+
+export function readinessRoute(probe) {
+  const r = express.Router();
+  r.get("/readyz", asyncRoute(async (req, res) => {
+    const result = await probe.check({ fresh: req.query.fresh === "1" });
+    res.status(result.status === "ok" ? 200 : 503).json(result);
+  }));
+  return r;
+}
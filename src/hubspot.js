@@ -0,0 +1,501 @@
+/**
+ * HubSpot API client.
+ * - base URL override (HUBSPOT_BASE_URL) so everything can point at a local mock
+ * - token-bucket limiter sized to HubSpot's per-10-second burst limit, plus the
+ *   stricter per-second limit on CRM search endpoints
+ * - retries on 429/5xx/network errors/timeouts, honoring Retry-After; POSTs that create something
+ *   (messages, comments, contacts, deals, tickets, notes) aren't idempotent, so they only retry
+ *   429s and refused connections (nothing was sent)
+ * - per-request timeout, typed errors (status, body, retryable)
+ * - latency/error metrics per attempt (hubspot_api_request_duration_seconds, hubspot_api_errors_total)
+ * - cursor pagination over paging.next.after
+ * - multi-portal: inside withPortal(portalId, fn) requests use that portal's OAuth token
+ *   (from the resolver set with setTokenResolver) and its own rate-limit buckets;
+ *   outside, or for portals without a stored token, HUBSPOT_TOKEN is used. When app installs are
+ *   configured (HUBSPOT_CLIENT_ID), a portal without a stored token only falls back to
+ *   HUBSPOT_TOKEN if it's the token's own portal; any other portal gets a HubSpotAuthError
+ *
+ * Env vars:
+ *   HUBSPOT_TOKEN=pat-xxxx          # private-app token (single portal / fallback)
+ *   HUBSPOT_PORTAL_ID=12345         # HUBSPOT_TOKEN's portal; looked up from the token when unset
+ *   HUBSPOT_BASE_URL=https://api.hubapi.com
+ *   HUBSPOT_TIMEOUT_MS=10000
+ *   HUBSPOT_MAX_RETRIES=3
+ *   HUBSPOT_RATE_LIMIT=100          # requests per 10 s (private apps: 100 Free/Starter, 190 Pro/Enterprise)
+ *   HUBSPOT_SEARCH_RATE_LIMIT=5     # CRM search requests per second
+ */
+
+import { AsyncLocalStorage } from "node:async_hooks";
+import { log } from "./log.js";
+import { hubspotDuration, hubspotErrors, routeOf } from "./metrics.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// ===== Errors =====
+export class HubSpotError extends Error {
+  constructor(message, { status = 0, body = "", method, path, retryable = false } = {}) {
+    super(message);
+    this.name = "HubSpotError";
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+    this.retryable = retryable;
+  }
+}
+export class HubSpotAuthError extends HubSpotError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: false });
+    this.name = "HubSpotAuthError";
+  }
+}
+export class HubSpotNotFoundError extends HubSpotError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: false });
+    this.name = "HubSpotNotFoundError";
+  }
+}
+export class HubSpotRateLimitError extends HubSpotError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: true });
+    this.name = "HubSpotRateLimitError";
+    this.retryAfterMs = info?.retryAfterMs ?? null;
+  }
+}
+export class HubSpotTimeoutError extends HubSpotError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: true });
+    this.name = "HubSpotTimeoutError";
+  }
+}
+
+function errorFor(status, info) {
+  const message = `HubSpot ${info.method} ${info.path} ${status}: ${info.body || ""}`.trim();
+  if (status === 401 || status === 403) return new HubSpotAuthError(message, { ...info, status });
+  if (status === 404) return new HubSpotNotFoundError(message, { ...info, status });
+  if (status === 429) return new HubSpotRateLimitError(message, { ...info, status });
+  return new HubSpotError(message, { ...info, status, retryable: status >= 500 || status === 408 });
+}
+
+// ===== Rate limiting =====
+export function createTokenBucket(capacity, windowMs) {
+  let tokens = capacity;
+  let last = Date.now();
+  const perMs = capacity / windowMs;
+  let chain = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - last) * perMs);
+    last = now;
+  };
+
+  // Serialized so waiters are served in arrival order.
+  const take = () => {
+    chain = chain.then(async () => {
+      refill();
+      if (tokens < 1) {
+        await sleep(Math.ceil((1 - tokens) / perMs));
+        refill();
+      }
+      tokens -= 1;
+    });
+    return chain;
+  };
+
+  // A 429 means our view of the budget is wrong; drain it until the server says otherwise.
+  const drain = (ms) => {
+    tokens = Math.min(tokens, -ms * perMs);
+    last = Date.now();
+  };
+
+  return { take, drain };
+}
+
+// HubSpot's limits are per portal, so each portal gets its own pair of buckets.
+const limiters = new Map();
+function limitersFor(portalId) {
+  const key = portalId || "default";
+  if (!limiters.has(key)) {
+    limiters.set(key, {
+      limiter: createTokenBucket(Number(process.env.HUBSPOT_RATE_LIMIT || 100), 10_000),
+      searchLimiter: createTokenBucket(Number(process.env.HUBSPOT_SEARCH_RATE_LIMIT || 5), 1_000),
+    });
+  }
+  return limiters.get(key);
+}
+
+// ===== Portal context =====
+const portalContext = new AsyncLocalStorage();
+let tokenResolver = null;
+
+// Runs fn with every HubSpot call inside it made on behalf of portalId.
+export const withPortal = (portalId, fn) => portalContext.run(portalId ? String(portalId) : null, fn);
+export const currentPortalId = () => portalContext.getStore() || null;
+
+// resolver(portalId, { forceRefresh }) → access token, or null to fall back to HUBSPOT_TOKEN.
+export function setTokenResolver(resolver) {
+  tokenResolver = resolver;
+}
+
+// The portal HUBSPOT_TOKEN belongs to: HUBSPOT_PORTAL_ID, or looked up once per token.
+let ownPortal = null;
+async function privateAppPortal(token) {
+  if (process.env.HUBSPOT_PORTAL_ID) return String(process.env.HUBSPOT_PORTAL_ID);
+  if (ownPortal?.token !== token) {
+    // Outside any portal context, so the lookup itself authenticates with HUBSPOT_TOKEN.
+    const info = await withPortal(null, () => (token.startsWith("pat-") ? getPrivateAppTokenInfo(token) : getAccessTokenInfo(token)));
+    ownPortal = { token, portalId: String(info.hubId ?? info.hub_id) };
+  }
+  return ownPortal.portalId;
+}
+
+async function tokenFor(portalId, opts = {}) {
+  const token = portalId && tokenResolver ? await tokenResolver(portalId, opts) : null;
+  if (token) return { token, oauth: true };
+  const fallback = process.env.HUBSPOT_TOKEN;
+  // With app installs, an event from a portal that hasn't installed the app must not be answered
+  // with the private app's token, which belongs to another portal.
+  if (portalId && fallback && process.env.HUBSPOT_CLIENT_ID && (await privateAppPortal(fallback)) !== String(portalId)) {
+    throw new HubSpotAuthError(`Portal ${portalId} hasn't installed the app`, {});
+  }
+  return { token: fallback, oauth: false };
+}
+
+function retryAfterMs(resp) {
+  const h = resp.headers.get("retry-after");
+  if (!h) return null;
+  const secs = Number(h);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(h);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const backoff = (attempt) => Math.min(30_000, 500 * 2 ** attempt) * (0.5 + Math.random() / 2);
+
+// ===== Core request =====
+export const baseUrl = () => (process.env.HUBSPOT_BASE_URL || "https://api.hubapi.com").replace(/\/+$/, "");
+
+// `retries` / `timeoutMs` override HUBSPOT_MAX_RETRIES / HUBSPOT_TIMEOUT_MS for one call (e.g. probes).
+// `retryOn` limits retries to those statuses, plus connections refused before anything was sent;
+// timeouts, dropped connections and other statuses are thrown straight away.
+export async function hubspotRequest(method, path, { body, query, retries, retryOn, timeoutMs: timeout } = {}) {
+  const portalId = currentPortalId();
+  let { token, oauth } = await tokenFor(portalId);
+  if (!token) throw new HubSpotAuthError(`No token for portal ${portalId} and HUBSPOT_TOKEN not set`, { method, path });
+  let refreshed = false;
+
+  const url = new URL(baseUrl() + path);
+  for (const [k, v] of Object.entries(query || {})) if (v != null) url.searchParams.set(k, String(v));
+
+  const timeoutMs = timeout ?? Number(process.env.HUBSPOT_TIMEOUT_MS || 10_000);
+  const maxRetries = retries ?? Number(process.env.HUBSPOT_MAX_RETRIES ?? 3);
+  const route = routeOf(path);
+  const observe = (status, started) => {
+    hubspotDuration.observe({ method, route, status }, (Date.now() - started) / 1000);
+    if (!(status >= 200 && status < 300)) hubspotErrors.inc({ method, route, status });
+  };
+  const { limiter, searchLimiter } = limitersFor(portalId);
+  const bucket = /\/search$/.test(path) ? searchLimiter : null;
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.take();
+    if (bucket) await bucket.take();
+
+    let resp;
+    const started = Date.now();
+    try {
+      resp = await fetch(url, {
+        method,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (e) {
+      observe(0, started);
+      const err = e?.name === "TimeoutError"
+        ? new HubSpotTimeoutError(`HubSpot ${method} ${path} timed out after ${timeoutMs}ms`, { method, path })
+        : new HubSpotError(`HubSpot ${method} ${path} failed: ${e?.message || e}`, { method, path, retryable: true });
+      if (attempt >= maxRetries || (retryOn && e?.cause?.code !== "ECONNREFUSED")) throw err;
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    observe(resp.status, started);
+    if (resp.ok) {
+      if (resp.status === 204) return {};
+      return resp.json().catch(() => ({}));
+    }
+
+    const text = await resp.text().catch(() => "");
+    // An OAuth token can be revoked or expire early; refresh once and try again.
+    if (resp.status === 401 && oauth && !refreshed) {
+      refreshed = true;
+      ({ token, oauth } = await tokenFor(portalId, { forceRefresh: true }));
+      if (token) {
+        attempt--;
+        continue;
+      }
+    }
+    const wait = retryAfterMs(resp);
+    const err = errorFor(resp.status, { method, path, body: text, retryAfterMs: wait });
+    if (!err.retryable || attempt >= maxRetries || (retryOn && !retryOn.includes(resp.status))) throw err;
+    if (resp.status === 429) (bucket || limiter).drain(wait ?? 1000);
+    log.warn("hubspot.retry", { method, path, status: resp.status, attempt: attempt + 1 });
+    await sleep(wait ?? backoff(attempt));
+  }
+}
+
+// ===== OAuth (app install) =====
+// These endpoints authenticate with the client secret / the token itself, not a bearer token.
+async function oauthRequest(method, path, form) {
+  const timeoutMs = Number(process.env.HUBSPOT_TIMEOUT_MS || 10_000);
+  let resp;
+  try {
+    resp = await fetch(baseUrl() + path, {
+      method,
+      headers: form ? { "Content-Type": "application/x-www-form-urlencoded" } : {},
+      body: form ? new URLSearchParams(form).toString() : undefined,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (e) {
+    throw new HubSpotError(`HubSpot ${method} ${path} failed: ${e?.message || e}`, { method, path, retryable: true });
+  }
+  if (resp.ok) return resp.json();
+  const text = await resp.text().catch(() => "");
+  // HubSpot answers 400 (BAD_REFRESH_TOKEN, BAD_AUTH_CODE) for revoked or reused grants.
+  if (resp.status === 400) throw new HubSpotAuthError(`HubSpot ${method} ${path} 400: ${text}`, { status: 400, body: text, method, path });
+  throw errorFor(resp.status, { method, path: path.replace(/access-tokens\/.+$/, "access-tokens/…"), body: text });
+}
+
+// grant: { grant_type: "authorization_code", code, redirect_uri } or { grant_type: "refresh_token", refresh_token }
+export function exchangeOAuthToken(grant) {
+  return oauthRequest("POST", "/oauth/v1/token", {
+    client_id: process.env.HUBSPOT_CLIENT_ID || "",
+    client_secret: process.env.HUBSPOT_CLIENT_SECRET || process.env.HUBSPOT_APP_SECRET || "",
+    ...grant,
+  });
+}
+
+// → { hub_id, hub_domain, scopes, user, app_id, expires_in }
+export function getAccessTokenInfo(accessToken) {
+  return oauthRequest("GET", `/oauth/v1/access-tokens/${encodeURIComponent(accessToken)}`);
+}
+
+// Private-app tokens (pat-…) → { hubId, appId, userId, scopes }
+export function getPrivateAppTokenInfo(token) {
+  return hubspotRequest("POST", "/oauth/v2/private-apps/get/access-token-info", { body: { tokenKey: token }, retries: 0 });
+}
+
+// Cheapest authenticated call: proves reachability and that the token (or portal token) is valid.
+export function getAccountDetails({ timeoutMs = 3000 } = {}) {
+  return hubspotRequest("GET", "/account-info/v3/details", { retries: 0, timeoutMs });
+}
+
+// Follows paging.next.after until `max` results are collected or the cursor runs out.
+// `fetchPage(after)` returns one page of the raw response.
+export async function collectPages(fetchPage, max = Infinity) {
+  const out = [];
+  let after;
+  do {
+    const data = await fetchPage(after);
+    const items = Array.isArray(data?.results) ? data.results : (Array.isArray(data) ? data : []);
+    out.push(...items);
+    after = data?.paging?.next?.after;
+  } while (after && out.length < max);
+  return out.slice(0, max);
+}
+
+// ===== Conversations =====
+export async function postThreadComment(threadId, text) {
+  return hubspotRequest("POST", `/conversations/v3/conversations/threads/${threadId}/messages`, {
+    body: { type: "COMMENT", text },
+    retryOn: [429],
+  });
+}
+
+// `recipients` come from src/channels.js; without them the reply goes to `toEmail` (email channels).
+export async function sendThreadMessage(threadId, { text, richText, subject, toEmail, recipients, senderActorId, channelId, channelAccountId }) {
+  const body = {
+    type: "MESSAGE",
+    text,
+    richText,
+    subject,
+    senderActorId,
+    channelId,
+    channelAccountId,
+    recipients: recipients || [{
+      recipientField: "TO",
+      deliveryIdentifier:  { type: "HS_EMAIL_ADDRESS", value: toEmail },
+      deliveryIdentifiers: [{ type: "HS_EMAIL_ADDRESS", value: toEmail }]
+    }],
+  };
+  return hubspotRequest("POST", `/conversations/v3/conversations/threads/${threadId}/messages`, { body, retryOn: [429] });
+}
+
+// Newest first, across as many pages as it takes to collect `limit` messages.
+export async function getRecentMessages(threadId, limit = 20) {
+  const pageSize = Math.min(limit, 100);
+  return collectPages(
+    (after) => hubspotRequest("GET", `/conversations/v3/conversations/threads/${threadId}/messages`, {
+      query: { limit: pageSize, sort: "-createdAt", after },
+    }),
+    limit,
+  );
+}
+
+export function getThread(threadId) {
+  return hubspotRequest("GET", `/conversations/v3/conversations/threads/${threadId}`);
+}
+
+// Assigns the thread to an agent actor (A-…) and/or sets its status (OPEN | CLOSED).
+export function updateThread(threadId, { assignedTo, status }) {
+  const body = {};
+  if (assignedTo) body.assignedTo = assignedTo;
+  if (status) body.status = status;
+  return hubspotRequest("PATCH", `/conversations/v3/conversations/threads/${threadId}`, { body });
+}
+
+export async function listThreads({ assignee, threadStatus, inboxId } = {}, { max = 500 } = {}) {
+  return collectPages(
+    (after) => hubspotRequest("GET", "/conversations/v3/conversations/threads", {
+      query: { assignee, threadStatus, inboxId, limit: Math.min(max, 500), after },
+    }),
+    max,
+  );
+}
+
+export async function getActor(actorId) {
+  if (!actorId) return null;
+  try {
+    return await hubspotRequest("GET", `/conversations/v3/conversations/actors/${actorId}`);
+  } catch {
+    return null;
+  }
+}
+
+// Connected inboxes' channel accounts: [{ id, channelId, name, active, inboxId }]
+export async function listChannelAccounts({ max = 500 } = {}) {
+  return collectPages(
+    (after) => hubspotRequest("GET", "/conversations/v3/conversations/channel-accounts", { query: { limit: 100, after } }),
+    max,
+  );
+}
+
+// ===== CRM =====
+export async function searchObjects(objectType, { filterGroups, properties, sorts }, { max = 100, pageSize = 100 } = {}) {
+  return collectPages(
+    (after) => hubspotRequest("POST", `/crm/v3/objects/${objectType}/search`, {
+      body: { filterGroups, properties, sorts, limit: Math.min(pageSize, max), after },
+    }),
+    max,
+  );
+}
+
+export async function getContactByEmail(email, properties = ["email"]) {
+  try {
+    const results = await searchObjects("contacts", {
+      filterGroups: [{
+        filters: [{ propertyName: "email", operator: "EQ", value: email }]
+      }],
+      properties
+    }, { max: 1 });
+    return results[0] || null;
+  } catch (e) {
+    log.warn("hubspot.contact_search_failed", { error: e });
+    return null;
+  }
+}
+
+export async function findContactByEmail(email) {
+  return (await getContactByEmail(email))?.id || null;
+}
+
+export async function createContact(email, props = {}) {
+  try {
+    const data = await hubspotRequest("POST", "/crm/v3/objects/contacts", { body: { properties: { email, ...props } }, retryOn: [429] });
+    return data?.id || null;
+  } catch (e) {
+    log.warn("hubspot.contact_create_failed", { error: e });
+    return null;
+  }
+}
+
+export async function updateContact(contactId, props) {
+  try {
+    await hubspotRequest("PATCH", `/crm/v3/objects/contacts/${contactId}`, { body: { properties: props } });
+    return true;
+  } catch (e) {
+    log.warn("hubspot.contact_update_failed", { error: e });
+    return false;
+  }
+}
+
+// Generic objects (deals, tickets, notes). Unlike the contact helpers these throw, so callers
+// can tell "not created" from "failed". `associations` is the v3 create payload:
+// [{ to: { id }, types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId }] }]
+export async function createObject(objectType, properties, associations = []) {
+  return hubspotRequest("POST", `/crm/v3/objects/${objectType}`, { body: { properties, associations }, retryOn: [429] });
+}
+
+export async function updateObject(objectType, id, properties) {
+  return hubspotRequest("PATCH", `/crm/v3/objects/${objectType}/${id}`, { body: { properties } });
+}
+
+export async function getAssociatedIds(fromType, id, toType) {
+  const results = await collectPages(
+    (after) => hubspotRequest("GET", `/crm/v4/objects/${fromType}/${id}/associations/${toType}`, { query: { limit: 100, after } }),
+    100,
+  );
+  return results.map((r) => String(r.toObjectId));
+}
+
+export async function getOwner(ownerId) {
+  if (!ownerId) return null;
+  try {
+    return await hubspotRequest("GET", `/crm/v3/owners/${ownerId}`);
+  } catch (e) {
+    log.warn("hubspot.owner_failed", { error: e });
+    return null;
+  }
+}
+
+// ===== CRM properties (schema) =====
+// null when the property doesn't exist.
+export async function getProperty(objectType, name) {
+  try {
+    return await hubspotRequest("GET", `/crm/v3/properties/${objectType}/${encodeURIComponent(name)}`, { retries: 0 });
+  } catch (e) {
+    if (e instanceof HubSpotNotFoundError) return null;
+    throw e;
+  }
+}
+
+export function createPropertyGroup(objectType, { name, label, displayOrder = -1 }) {
+  return hubspotRequest("POST", `/crm/v3/properties/${objectType}/groups`, { body: { name, label, displayOrder } });
+}
+
+// definition: { name, label, type, fieldType, groupName, description?, options? }
+export function createProperty(objectType, definition) {
+  return hubspotRequest("POST", `/crm/v3/properties/${objectType}`, { body: definition });
+}
+
+// ===== Communication preferences (subscriptions) =====
+export async function getSubscriptionDefinitions() {
+  const data = await hubspotRequest("GET", "/communication-preferences/v3/definitions");
+  return Array.isArray(data?.subscriptionDefinitions) ? data.subscriptionDefinitions : [];
+}
+
+export async function getSubscriptionStatuses(email) {
+  const data = await hubspotRequest("GET", `/communication-preferences/v3/status/email/${encodeURIComponent(email)}`);
+  return Array.isArray(data?.subscriptionStatuses) ? data.subscriptionStatuses : [];
+}
+
+export async function setSubscription(email, subscriptionId, subscribed, { legalBasis, legalBasisExplanation } = {}) {
+  const body = { emailAddress: email, subscriptionId: String(subscriptionId) };
+  if (subscribed) Object.assign(body, { legalBasis, legalBasisExplanation });
+  return hubspotRequest("POST", `/communication-preferences/v3/${subscribed ? "subscribe" : "unsubscribe"}`, { body });
+}
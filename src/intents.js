@@ -0,0 +1,258 @@
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./log.js";
+
+/**
+ * File-based intent rules (JSON or YAML), validated at load and hot-reloaded on change.
+ *
+ * Rules file shape (see config/intents.json):
+ *   default        intent when nothing qualifies (default "fallback")
+ *   threshold      minimum score for an intent to qualify (default 1)
+ *   fieldWeights   multiplier per field, e.g. { subject: 1.5, body: 1 }
+ *   intents[]:
+ *     name         intent id; also the template name
+ *     priority     higher wins when several intents qualify (then higher score)
+ *     threshold    per-intent override
+ *     keywords     word-boundary phrases: "demo" or { term, weight }
+ *     patterns     regexes (case-insensitive): "\\bquote\\b" or { pattern, flags, weight }
+ *     negative     phrases/regexes ({ pattern }) that veto the intent when present
+ *     fieldWeights per-intent override
+ *     global       apply this intent's phrases in every locale (e.g. unsubscribe)
+ *
+ * Locales: sibling files named like the rules file plus a locale, e.g. intents.es.json or
+ * intents.de.yaml, add keywords for that language. A locale's rules are merged with the default
+ * file (same-name intents pool their keywords), and `global` intents from every locale always apply.
+ *
+ * Env vars:
+ *   INTENT_RULES_FILE=./config/intents.json
+ *   INTENT_RULES_WATCH=true           # reload when the file changes
+ */
+
+const FIELDS = ["subject", "body"];
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Whole-word, case-insensitive; inner whitespace matches any run of whitespace.
+const wordRe = (term) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${term.trim().split(/\s+/).map(escapeRe).join("\\s+")}(?![\\p{L}\\p{N}])`, "iu");
+
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+function validateWeights(w, where, errors) {
+  if (w === undefined) return;
+  if (!isObj(w)) return errors.push(`${where}: must be an object`);
+  for (const [k, v] of Object.entries(w)) {
+    if (!FIELDS.includes(k)) errors.push(`${where}.${k}: unknown field (expected ${FIELDS.join(", ")})`);
+    else if (typeof v !== "number" || v < 0) errors.push(`${where}.${k}: must be a non-negative number`);
+  }
+}
+
+function compileMatchers(list, where, errors, { regex }) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`${where}: must be an array`);
+    return [];
+  }
+  const out = [];
+  list.forEach((item, i) => {
+    const at = `${where}[${i}]`;
+    const spec = typeof item === "string" ? (regex ? { pattern: item } : { term: item }) : item;
+    if (!isObj(spec)) return errors.push(`${at}: must be a string or object`);
+    const weight = spec.weight ?? 1;
+    if (typeof weight !== "number" || weight <= 0) return errors.push(`${at}.weight: must be a positive number`);
+    if (spec.term !== undefined) {
+      if (typeof spec.term !== "string" || !spec.term.trim()) return errors.push(`${at}.term: must be a non-empty string`);
+      out.push({ label: spec.term, re: wordRe(spec.term), weight });
+    } else if (spec.pattern !== undefined) {
+      try {
+        // g/y make RegExp#test stateful; never useful here.
+        const flags = [...new Set(`${spec.flags || ""}iu`.replace(/[gy]/g, ""))].join("");
+        out.push({ label: `/${spec.pattern}/`, re: new RegExp(spec.pattern, flags), weight });
+      } catch (e) {
+        errors.push(`${at}.pattern: ${e.message}`);
+      }
+    } else {
+      errors.push(`${at}: needs "term" or "pattern"`);
+    }
+  });
+  return out;
+}
+
+// Returns compiled rules or throws with every problem found.
+export function compileRules(raw, source = "rules") {
+  const errors = [];
+  if (!isObj(raw)) throw new Error(`${source}: rules must be an object`);
+  if (raw.default !== undefined && typeof raw.default !== "string") errors.push("default: must be a string");
+  if (raw.threshold !== undefined && typeof raw.threshold !== "number") errors.push("threshold: must be a number");
+  validateWeights(raw.fieldWeights, "fieldWeights", errors);
+  if (!Array.isArray(raw.intents) || raw.intents.length === 0) errors.push("intents: must be a non-empty array");
+
+  const fieldWeights = { subject: 1, body: 1, ...(raw.fieldWeights || {}) };
+  const seen = new Set();
+  const intents = (Array.isArray(raw.intents) ? raw.intents : []).map((r, i) => {
+    const at = `intents[${i}]`;
+    if (!isObj(r)) {
+      errors.push(`${at}: must be an object`);
+      return null;
+    }
+    if (typeof r.name !== "string" || !/^[a-z][a-z0-9_-]*$/i.test(r.name)) errors.push(`${at}.name: must be an identifier`);
+    else if (seen.has(r.name)) errors.push(`${at}.name: duplicate intent "${r.name}"`);
+    seen.add(r.name);
+    if (r.priority !== undefined && typeof r.priority !== "number") errors.push(`${at}.priority: must be a number`);
+    if (r.threshold !== undefined && typeof r.threshold !== "number") errors.push(`${at}.threshold: must be a number`);
+    if (r.global !== undefined && typeof r.global !== "boolean") errors.push(`${at}.global: must be a boolean`);
+    validateWeights(r.fieldWeights, `${at}.fieldWeights`, errors);
+    const matchers = [
+      ...compileMatchers(r.keywords, `${at}.keywords`, errors, { regex: false }),
+      ...compileMatchers(r.patterns, `${at}.patterns`, errors, { regex: true }),
+    ];
+    if (!matchers.length) errors.push(`${at}: needs at least one keyword or pattern`);
+    return {
+      name: r.name,
+      priority: r.priority ?? 0,
+      threshold: r.threshold ?? raw.threshold ?? 1,
+      global: r.global === true,
+      fieldWeights: { ...fieldWeights, ...(r.fieldWeights || {}) },
+      matchers,
+      negative: compileMatchers(r.negative, `${at}.negative`, errors, { regex: false }),
+    };
+  });
+
+  const known = new Set(intents.filter(Boolean).map((r) => r.name));
+  if (raw.default && known.has(raw.default)) errors.push(`default: "${raw.default}" must not also be a rule`);
+  if (errors.length) throw new Error(`Invalid intent rules in ${source}:\n  - ${errors.join("\n  - ")}`);
+  return { version: raw.version ?? 1, default: raw.default || "fallback", intents, source };
+}
+
+// Same-name intents pool matchers/vetoes; the first rule set wins on priority/threshold.
+export function mergeRules(primary, ...others) {
+  const byName = new Map();
+  for (const set of [primary, ...others]) {
+    for (const r of set.intents) {
+      const prev = byName.get(r.name);
+      if (!prev) byName.set(r.name, { ...r, matchers: [...r.matchers], negative: [...r.negative] });
+      else {
+        prev.matchers.push(...r.matchers);
+        prev.negative.push(...r.negative);
+      }
+    }
+  }
+  return { ...primary, intents: [...byName.values()] };
+}
+
+export async function parseRulesFile(file) {
+  const text = await fs.promises.readFile(file, "utf8");
+  if (/\.ya?ml$/i.test(file)) {
+    const { parse } = await import("yaml");
+    return parse(text);
+  }
+  return JSON.parse(text);
+}
+
+// Scores every intent against subject/body. Returns the winner plus the evidence.
+export function classifyWith(rules, { subject = "", text = "" } = {}) {
+  const fields = { subject: String(subject || ""), body: String(text || "") };
+  const scores = {};
+  const matches = [];
+  const vetoed = [];
+  for (const rule of rules.intents) {
+    const veto = rule.negative.find((n) => FIELDS.some((f) => n.re.test(fields[f])));
+    if (veto) {
+      vetoed.push({ intent: rule.name, term: veto.label });
+      scores[rule.name] = 0;
+      continue;
+    }
+    let score = 0;
+    for (const m of rule.matchers) {
+      for (const f of FIELDS) {
+        if (!m.re.test(fields[f])) continue;
+        const points = m.weight * (rule.fieldWeights[f] ?? 1);
+        score += points;
+        matches.push({ intent: rule.name, field: f, term: m.label, points });
+      }
+    }
+    scores[rule.name] = Math.round(score * 100) / 100;
+  }
+  const qualified = rules.intents
+    .filter((r) => scores[r.name] > 0 && scores[r.name] >= r.threshold)
+    .sort((a, b) => b.priority - a.priority || scores[b.name] - scores[a.name]);
+  const winner = qualified[0];
+  return {
+    intent: winner ? winner.name : rules.default,
+    score: winner ? scores[winner.name] : 0,
+    scores,
+    matches,
+    vetoed,
+  };
+}
+
+export async function createIntentEngine({
+  file = process.env.INTENT_RULES_FILE || "./config/intents.json",
+  watch = process.env.INTENT_RULES_WATCH !== "false",
+} = {}) {
+  const resolved = path.resolve(file);
+  const dir = path.dirname(resolved);
+  const ext = path.extname(resolved);
+  const stem = path.basename(resolved, ext);
+  const localeFileRe = new RegExp(`^${escapeRe(stem)}\\.([a-z]{2}(?:-[a-z]{2})?)\\.(json|ya?ml)$`, "i");
+
+  async function loadAll() {
+    const base = compileRules(await parseRulesFile(resolved), resolved);
+    const locales = {};
+    for (const f of await fs.promises.readdir(dir)) {
+      const m = localeFileRe.exec(f);
+      if (m) locales[m[1].toLowerCase()] = compileRules(await parseRulesFile(path.join(dir, f)), path.join(dir, f));
+    }
+    const globals = { intents: Object.values(locales).flatMap((r) => r.intents.filter((i) => i.global)) };
+    const merged = { "": mergeRules(base, globals) };
+    for (const [loc, rules] of Object.entries(locales)) merged[loc] = mergeRules({ ...base, intents: rules.intents }, base, globals);
+    return merged;
+  }
+
+  // Invalid rules at startup are fatal; on reload we keep serving the last good set.
+  let rules = await loadAll();
+  let watcher = null;
+  let debounce = null;
+
+  // "es-MX" -> es-mx, then es, then the default file.
+  const rulesFor = (locale) => {
+    const l = String(locale || "").toLowerCase();
+    return rules[l] || rules[l.split("-")[0]] || rules[""];
+  };
+
+  async function reload() {
+    try {
+      rules = await loadAll();
+      log.info("intents.reloaded", { file: resolved, locales: Object.keys(rules).filter(Boolean) });
+      return true;
+    } catch (e) {
+      log.error("intents.reload_failed", { file: resolved, error: e, note: "keeping previous rules" });
+      return false;
+    }
+  }
+
+  if (watch) {
+    // Watch the directory: editors often replace the file instead of writing in place.
+    watcher = fs.watch(dir, (_evt, name) => {
+      if (name && name !== path.basename(resolved) && !localeFileRe.test(name)) return;
+      clearTimeout(debounce);
+      debounce = setTimeout(reload, 200);
+    });
+    watcher.unref?.();
+  }
+
+  return {
+    classify: (inbound, locale) => classifyWith(rulesFor(locale), inbound),
+    detectIntent: (inbound, locale) => classifyWith(rulesFor(locale), inbound).intent,
+    reload,
+    get rules() {
+      return rules[""];
+    },
+    get locales() {
+      return Object.keys(rules).filter(Boolean);
+    },
+    close() {
+      clearTimeout(debounce);
+      watcher?.close();
+    },
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * Offline language identification for short emails: stopword hits plus a few
+ * script/diacritic hints. Good enough to choose between a handful of locales;
+ * returns the default locale when the evidence is thin.
+ *
+ * Env vars:
+ *   DEFAULT_LOCALE=en
+ *   LANGUAGE_MIN_CONFIDENCE=0.5   # below this, fall back to DEFAULT_LOCALE
+ */
+
+const STOPWORDS = {
+  en: "the and you that have for not with this but from they what will would there their about which when your can could please thanks thank hi hello we our is are was it of to in on be".split(" "),
+  es: "el la los las que de del y en un una por con para como pero más muy gracias hola buenos buenas quiero necesito tiene tengo sobre nuestro nuestra usted ustedes es son está favor saludos también cuánto".split(" "),
+  de: "der die das und ist nicht ein eine mit für auf ich sie wir ihr uns den dem des zu von auch bitte danke hallo guten wie was gibt haben möchte können wäre grüße freundlichen sehr".split(" "),
+  fr: "le la les et est pas un une des du pour avec sur je vous nous il elle que qui dans ce cette mais merci bonjour bonsoir voudrais pouvez avez sommes cordialement votre notre combien".split(" "),
+  pt: "o a os as que de do da e em um uma por com para como mas mais muito obrigado obrigada olá bom boa gostaria preciso tem tenho sobre nosso nossa você vocês é são está atenciosamente quanto".split(" "),
+  it: "il lo la gli le che di del della e è un una per con come ma più molto grazie ciao buongiorno vorrei ho abbiamo sono siamo questo questa vostro nostro cordiali saluti quanto".split(" "),
+  nl: "de het een en is niet van met voor op ik je jij wij we ons zijn hebben dat die maar ook graag bedankt dank hallo goedemorgen groeten vriendelijke hoeveel kunnen".split(" "),
+};
+
+// Characters that are strong hints for one language.
+const HINTS = {
+  es: /[ñ¿¡]/g,
+  de: /[ßäöü]/g,
+  fr: /[çœêèëîïûù]/g,
+  pt: /[ãõç]/g,
+};
+
+const SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([k, v]) => [k, new Set(v)]));
+
+export const SUPPORTED_LANGUAGES = Object.keys(STOPWORDS);
+
+// Returns { language, confidence, scores }; language is null when nothing scored.
+export function identifyLanguage(text) {
+  const s = String(text || "").toLowerCase();
+  const words = s.match(/\p{L}+/gu) || [];
+  const scores = Object.fromEntries(SUPPORTED_LANGUAGES.map((l) => [l, 0]));
+  for (const w of words) for (const l of SUPPORTED_LANGUAGES) if (SETS[l].has(w)) scores[l] += 1;
+  for (const [l, re] of Object.entries(HINTS)) scores[l] += 0.5 * (s.match(re) || []).length;
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[best, top], [, second]] = ranked;
+  if (top === 0) return { language: null, confidence: 0, scores };
+  // Margin over the runner-up, damped for very short texts.
+  const confidence = ((top - second) / top) * Math.min(1, top / 3);
+  return { language: best, confidence: Math.round(confidence * 100) / 100, scores };
+}
+
+export function detectLocale({ subject = "", text = "" } = {}, {
+  defaultLocale = process.env.DEFAULT_LOCALE || "en",
+  minConfidence = Number(process.env.LANGUAGE_MIN_CONFIDENCE || 0.5),
+} = {}) {
+  const r = identifyLanguage(`${subject || ""}\n${text || ""}`);
+  const locale = r.language && r.confidence >= minConfidence ? r.language : defaultLocale;
+  return { locale, detected: r.language, confidence: r.confidence };
+}
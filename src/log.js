@@ -0,0 +1,51 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
+
+/**
+ * Structured logging: one JSON object per line on stdout/stderr.
+ *   log.info("reply.sent", { threadId, intent })
+ *   → {"time":"…","level":"info","msg":"reply.sent","correlationId":"…","threadId":"123","intent":"pricing"}
+ *
+ * Everything logged inside withCorrelation(id, fn) carries that correlationId, so all lines
+ * for one webhook event (intake, queue attempts, delayed send) can be grepped together.
+ * Error values are flattened to { message, name, status }.
+ *
+ * Env vars:
+ *   LOG_LEVEL=info        # debug | info | warn | error
+ *   LOG_FORMAT=json       # json | pretty (single-line "level msg {fields}" for local runs)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const context = new AsyncLocalStorage();
+
+export const withCorrelation = (id, fn) => context.run(String(id || crypto.randomUUID()), fn);
+export const correlationId = () => context.getStore() || null;
+
+function serialize(value) {
+  if (value instanceof Error) {
+    return { message: value.message, name: value.name, ...(value.status ? { status: value.status } : {}) };
+  }
+  return value;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < (LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info)) return;
+  const entry = { time: new Date().toISOString(), level, msg };
+  const cid = correlationId();
+  if (cid) entry.correlationId = cid;
+  for (const [k, v] of Object.entries(fields)) if (v !== undefined) entry[k] = serialize(v);
+  const out = level === "error" || level === "warn" ? process.stderr : process.stdout;
+  if (process.env.LOG_FORMAT === "pretty") {
+    const { time, level: _l, msg: _m, ...rest } = entry;
+    out.write(`${time} ${level.toUpperCase()} ${msg} ${Object.keys(rest).length ? JSON.stringify(rest) : ""}\n`);
+  } else {
+    out.write(JSON.stringify(entry) + "\n");
+  }
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
@@ -0,0 +1,128 @@
+import express from "express";
+import crypto from "node:crypto";
+import { asyncRoute } from "./admin.js";
+
+/**
+ * Prometheus metrics without a client library: counters, histograms and scrape-time gauges,
+ * rendered in the text exposition format at GET /metrics.
+ *
+ * Env vars:
+ *   METRICS_TOKEN=...   # optional; when set, /metrics requires "Authorization: Bearer <token>"
+ */
+
+const escape = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelString = (names, values) => (names.length
+  ? `{${names.map((n, i) => `${n}="${escape(values[i] ?? "")}"`).join(",")}}`
+  : "");
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map();
+    const m = {
+      inc(labels = {}, by = 1) {
+        const key = labelNames.map((n) => labels[n] ?? "");
+        const id = JSON.stringify(key);
+        values.set(id, { key, value: (values.get(id)?.value || 0) + by });
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const { key, value } of values.values()) lines.push(`${name}${labelString(labelNames, key)} ${value}`);
+        return lines;
+      },
+      reset: () => values.clear(),
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    const series = new Map();
+    const m = {
+      observe(labels, seconds) {
+        const key = labelNames.map((n) => labels[n] ?? "");
+        const id = JSON.stringify(key);
+        if (!series.has(id)) series.set(id, { key, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        const s = series.get(id);
+        buckets.forEach((b, i) => { if (seconds <= b) s.counts[i] += 1; });
+        s.sum += seconds;
+        s.count += 1;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const s of series.values()) {
+          buckets.forEach((b, i) => lines.push(`${name}_bucket${labelString([...labelNames, "le"], [...s.key, b])} ${s.counts[i]}`));
+          lines.push(`${name}_bucket${labelString([...labelNames, "le"], [...s.key, "+Inf"])} ${s.count}`);
+          lines.push(`${name}_sum${labelString(labelNames, s.key)} ${s.sum}`);
+          lines.push(`${name}_count${labelString(labelNames, s.key)} ${s.count}`);
+        }
+        return lines;
+      },
+      reset: () => series.clear(),
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  // collect() → [{ labels, value }] (or a number), evaluated on every scrape.
+  function gauge(name, help, labelNames, collect) {
+    const m = {
+      async render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+        const got = await collect();
+        for (const { labels = {}, value } of typeof got === "number" ? [{ value: got }] : got) {
+          lines.push(`${name}${labelString(labelNames, labelNames.map((n) => labels[n]))} ${value}`);
+        }
+        return lines;
+      },
+      reset() {},
+    };
+    metrics.push(m);
+    return m;
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    async render() {
+      const out = [];
+      for (const m of metrics) {
+        try {
+          out.push(...(await m.render()));
+        } catch {}
+      }
+      return out.join("\n") + "\n";
+    },
+    reset: () => metrics.forEach((m) => m.reset()),
+  };
+}
+
+export const registry = createRegistry();
+
+export const eventsTotal = registry.counter("hubspot_bot_events_total", "Webhook events received, by subscription type.", ["subscription_type"]);
+export const intentsTotal = registry.counter("hubspot_bot_intents_total", "Intents detected on inbound messages.", ["intent", "locale"]);
+export const repliesTotal = registry.counter("hubspot_bot_replies_total", "Reply outcomes: sent, drafted, scheduled, cancelled or skipped (with reason).", ["action", "reason"]);
+export const hubspotDuration = registry.histogram("hubspot_api_request_duration_seconds", "HubSpot API request latency per attempt.", ["method", "route", "status"]);
+export const hubspotErrors = registry.counter("hubspot_api_errors_total", "Failed HubSpot API attempts, by status code (0 = network/timeout).", ["method", "route", "status"]);
+
+// "/conversations/v3/conversations/threads/123/messages" → ".../threads/:id/messages"
+export const routeOf = (path) => String(path)
+  .split("/")
+  .map((seg) => (/^\d+$/.test(seg) || seg.includes("@") || /^[A-Z]-\d+$/.test(seg) || seg.length > 40 ? ":id" : seg))
+  .join("/");
+
+export function metricsRoute() {
+  const r = express.Router();
+  r.get("/metrics", asyncRoute(async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token) {
+      const given = Buffer.from((req.get("Authorization") || "").replace(/^Bearer\s+/i, ""));
+      const want = Buffer.from(token);
+      if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) return res.status(401).send("unauthorized\n");
+    }
+    res.type("text/plain; version=0.0.4").send(await registry.render());
+  }));
+  return r;
+}
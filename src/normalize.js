@@ -0,0 +1,180 @@
+/**
+ * Reduces an inbound message to what the sender actually wrote this time, so quoted history,
+ * signatures ("Customer Support | Call us …") and legal footers don't sway classification.
+ *
+ * normalizeMessage(message) → { ...message, text, rawText, normalized: { source, stripped } }
+ *   source    "html" when the text came from `richText`, else "text"
+ *   stripped  what was removed, e.g. ["quote:gmail", "signature:delimiter", "disclaimer"]
+ *
+ * Order: cut quoted blocks out of the HTML (Gmail/Outlook/Apple Mail containers), convert to text,
+ * cut quote headers and forwarded-message headers, drop ">" lines, then cut the signature and any
+ * disclaimer. If nothing is left (e.g. a bare forward), the unstripped text is kept.
+ */
+
+// Containers that hold the quoted original in HTML mail; everything from here on is history.
+const HTML_QUOTES = [
+  ["gmail", /<div[^>]+class="?[^">]*\bgmail_quote\b/i],
+  ["gmail", /<blockquote[^>]+class="?[^">]*\bgmail_quote\b/i],
+  ["apple", /<blockquote[^>]+type="?cite\b/i],
+  ["outlook", /<div[^>]+id="?(divRplyFwdMsg|appendonsend)\b/i],
+  ["outlook", /<hr[^>]+id="?stopSpelling\b/i],
+  ["outlook", /<div[^>]+style="[^"]*border-top:\s*solid\s+#(E1E1E1|B5C4DF)/i],
+  ["yahoo", /<div[^>]+class="?[^">]*\byahoo_quoted\b/i],
+];
+
+// Line(s) that introduce quoted or forwarded history in plain text.
+const WROTE = [
+  /^On\b.{1,250}\bwrote:$/i,
+  /^Am\b.{1,250}\bschrieb\b.{0,250}:$/i,
+  /^Le\b.{1,250}\ba écrit\s?:$/i,
+  /^El\b.{1,250}\bescribió:$/i,
+];
+const FORWARDED = [
+  /^-{2,}\s*(Forwarded message|Original Message|Message d'origine|Message transféré|Ursprüngliche Nachricht|Weitergeleitete Nachricht|Mensaje original|Mensaje reenviado)\s*-{2,}$/i,
+  /^Begin forwarded message:$/i,
+  /^_{10,}$/,
+];
+const HEADER_FIELD = /^\*?(From|De|Von|Sent|Envoyé|Gesendet|Enviado|Date|Datum|Fecha|To|À|An|Para|Subject|Objet|Betreff|Asunto)\s?:\*?\s/i;
+
+const SIG_DELIMITER = /^--\s?$/;
+const MOBILE_SIGS = /^(Sent from my \w+|Sent from (Mail|Outlook) for \w+|Get Outlook for (iOS|Android)|Envoyé de mon \w+|Von meinem \w+ gesendet|Enviado desde mi \w+)/i;
+const SIGN_OFFS = /^(best|best regards|kind regards|warm regards|regards|many thanks|thanks|thank you|thanks again|cheers|sincerely|all the best|mit freundlichen grüßen|freundliche grüße|viele grüße|beste grüße|cordialement|bien cordialement|bien à vous|merci|saludos|un saludo|saludos cordiales|atentamente|gracias)[,.!]?$/i;
+const DISCLAIMERS = /^(confidentiality notice|disclaimer|this (e-?mail|message)( and any (attachments?|files?)( transmitted with it)?)? (is|are|may be|contains?) (confidential|privileged|intended)|the information (contained )?in this (e-?mail|message)|diese e-?mail (enthält|ist) vertraulich|ce (message|courriel)( et (toutes )?les pièces jointes)? (est|sont) (confidentiel|strictement)|este (mensaje|correo)( y sus anexos)? (es|son|contiene) (confidencial|información confidencial))/i;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0", ndash: "–", mdash: "—", hellip: "…", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", euro: "€", copy: "©" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+export function htmlToText(html) {
+  let s = String(html || "");
+  s = s.replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1>/gi, "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n• ")
+    .replace(/<\/(p|div|tr|h[1-6]|blockquote|table|ul|ol)>/gi, "\n")
+    .replace(/<(p|div|tr|h[1-6]|table)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, "");
+  s = decodeEntities(s).replace(/\u00a0/g, " ");
+  return tidy(s);
+}
+
+function tidy(s) {
+  return s.split(/\r?\n/).map((l) => l.replace(/[ \t]+/g, " ").trim()).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// Cuts the HTML at the first quoted-history container.
+function cutHtmlQuote(html, stripped) {
+  let cut = html.length;
+  let kind = null;
+  for (const [name, re] of HTML_QUOTES) {
+    const m = re.exec(html);
+    if (m && m.index < cut) {
+      cut = m.index;
+      kind = name;
+    }
+  }
+  if (kind) stripped.push(`quote:${kind}`);
+  return html.slice(0, cut);
+}
+
+// Index of the first line that starts quoted/forwarded history, or -1.
+function quoteStart(lines, stripped) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    // Gmail wraps long "On …, Name <email> wrote:" lines, so try the next line joined too.
+    const joined = i + 1 < lines.length ? `${line} ${lines[i + 1]}` : line;
+    if (WROTE.some((re) => re.test(line) || (line && re.test(joined)))) {
+      stripped.push("quote:wrote");
+      return i;
+    }
+    if (FORWARDED.some((re) => re.test(line))) {
+      stripped.push("quote:forwarded");
+      return i;
+    }
+    // Outlook: a block of From:/Sent:/To:/Subject: header lines.
+    if (HEADER_FIELD.test(line) && /^\*?(From|De|Von)\b/i.test(line)) {
+      const block = lines.slice(i, i + 5).filter((l) => HEADER_FIELD.test(l)).length;
+      if (block >= 2) {
+        stripped.push("quote:outlook");
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+// Name, title, company, phone or address: short, and not a question or a sentence.
+function looksLikeSignatureLine(line) {
+  const words = line.trim().split(/\s+/).length;
+  if (line.length > 60 || words > 8 || /\?$/.test(line)) return false;
+  return !(/[.!]$/.test(line) && words >= 3);
+}
+
+// Index of the signature/disclaimer start, or -1.
+function signatureStart(lines, stripped) {
+  for (let i = 1; i < lines.length; i++) {
+    if (SIG_DELIMITER.test(lines[i])) {
+      stripped.push("signature:delimiter");
+      return i;
+    }
+    if (MOBILE_SIGS.test(lines[i])) {
+      stripped.push("signature:mobile");
+      return i;
+    }
+    if (DISCLAIMERS.test(lines[i])) {
+      stripped.push("disclaimer");
+      return i;
+    }
+  }
+  // A sign-off near the end, followed only by a name/title/contact block, ends the message.
+  // "Thanks!" before the actual request ("Thanks!\nWe'd like pricing for 50 seats.") doesn't.
+  for (let i = 1; i < lines.length; i++) {
+    if (!SIGN_OFFS.test(lines[i])) continue;
+    const rest = lines.slice(i + 1).filter(Boolean);
+    if (rest.length <= 5 && rest.every(looksLikeSignatureLine)) {
+      stripped.push("signature:sign-off");
+      return i;
+    }
+  }
+  return -1;
+}
+
+export function stripQuotedText(text, stripped = []) {
+  let lines = tidy(String(text || "")).split("\n");
+  const q = quoteStart(lines, stripped);
+  if (q >= 0) lines = lines.slice(0, q);
+  const quoted = lines.filter((l) => l.startsWith(">")).length;
+  if (quoted) {
+    lines = lines.filter((l) => !l.startsWith(">"));
+    stripped.push("quote:marker");
+  }
+  return lines.join("\n").trim();
+}
+
+export function stripSignature(text, stripped = []) {
+  const lines = String(text || "").split("\n");
+  const s = signatureStart(lines, stripped);
+  return (s >= 0 ? lines.slice(0, s) : lines).join("\n").trim();
+}
+
+export function normalizeMessage(message) {
+  const stripped = [];
+  const html = message?.richText;
+  const source = html && /<[a-z][^>]*>/i.test(html) ? "html" : "text";
+  const rawText = source === "html" ? htmlToText(html) : tidy(String(message?.text || ""));
+  const base = source === "html" ? htmlToText(cutHtmlQuote(html, stripped)) : rawText;
+  let text = stripSignature(stripQuotedText(base, stripped), stripped);
+  if (!text) {
+    text = rawText;
+    stripped.length = 0;
+  }
+  return { ...message, text, rawText: message?.text ?? rawText, normalized: { source, stripped: [...new Set(stripped)] } };
+}
@@ -0,0 +1,312 @@
+import crypto from "node:crypto";
+import express from "express";
+import { asyncRoute } from "./admin.js";
+import { exchangeOAuthToken, getAccessTokenInfo, HubSpotAuthError } from "./hubspot.js";
+import { log } from "./log.js";
+
+/**
+ * Installed HubSpot portals (OAuth app installs), one record per portal: portal:<portalId>.
+ *
+ * Tokens are stored AES-256-GCM encrypted with TOKEN_ENCRYPTION_KEY and refreshed shortly
+ * before they expire; HubSpot may rotate the refresh token, so the newest one is always kept.
+ * A refresh that HubSpot rejects marks the portal `needsReauth` until it is installed again.
+ *
+ * Per-portal settings override the env defaults:
+ *   replyMode (REPLY_MODE), autoReply (AUTO_REPLY), senderActorId (SENDER_ACTOR_ID),
+ *   calendlyUrl (CALENDLY_URL), intentRulesFile (INTENT_RULES_FILE), templatesDir (TEMPLATES_DIR),
+ *   routingFile (ROUTING_FILE), crmRecordsFile (CRM_RECORDS_FILE)
+ *
+ * Env vars:
+ *   HUBSPOT_CLIENT_ID=...
+ *   HUBSPOT_CLIENT_SECRET=...              # defaults to HUBSPOT_APP_SECRET
+ *   HUBSPOT_SCOPES="conversations.read conversations.write crm.objects.contacts.read crm.objects.contacts.write"
+ *   HUBSPOT_OPTIONAL_SCOPES=...
+ *   OAUTH_REDIRECT_URL=https://api.yourdomain.com/oauth/callback   # default: this host + /oauth/callback
+ *   HUBSPOT_AUTHORIZE_URL=https://app.hubspot.com/oauth/authorize
+ *   TOKEN_ENCRYPTION_KEY=...               # required for installs; any long random string
+ */
+
+const KEY = "portal:";
+const OAUTH_STATE = "oauth-state:";
+const REFRESH_LOCK = "portal-refresh:";
+const REFRESH_EARLY_MS = 5 * 60 * 1000;
+const DEFAULT_SCOPES = "conversations.read conversations.write crm.objects.contacts.read crm.objects.contacts.write";
+const SETTINGS = ["replyMode", "autoReply", "senderActorId", "calendlyUrl", "intentRulesFile", "templatesDir", "routingFile", "crmRecordsFile"];
+
+export class PortalError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PortalError";
+    this.status = status;
+  }
+}
+
+function encryptionKey() {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) throw new PortalError("TOKEN_ENCRYPTION_KEY not set", 503);
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+export function encryptSecret(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return ["v1", iv.toString("base64"), cipher.getAuthTag().toString("base64"), data.toString("base64")].join(":");
+}
+
+export function decryptSecret(sealed) {
+  const [version, iv, tag, data] = String(sealed || "").split(":");
+  if (version !== "v1" || !data) throw new PortalError("unreadable token record", 500);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8"));
+}
+
+const toTokens = (r) => ({
+  accessToken: r.access_token,
+  refreshToken: r.refresh_token,
+  expiresAt: Date.now() + Number(r.expires_in || 1800) * 1000,
+});
+
+// Settings when no portal override applies; read at call time so env changes take effect.
+export const defaultSettings = () => ({
+  replyMode: (process.env.REPLY_MODE || "auto").toLowerCase(),
+  autoReply: process.env.AUTO_REPLY === "true",
+  senderActorId: process.env.SENDER_ACTOR_ID || "",
+  calendlyUrl: process.env.CALENDLY_URL || "",
+  intentRulesFile: "",
+  templatesDir: "",
+  routingFile: process.env.ROUTING_FILE || "",
+  crmRecordsFile: process.env.CRM_RECORDS_FILE || "",
+});
+
+function cleanSettings(patch) {
+  const out = {};
+  for (const [k, v] of Object.entries(patch || {})) {
+    if (!SETTINGS.includes(k)) throw new PortalError(`unknown setting "${k}" (allowed: ${SETTINGS.join(", ")})`);
+    if (v === null) out[k] = null;
+    else if (k === "autoReply") {
+      if (typeof v !== "boolean") throw new PortalError("autoReply must be true or false");
+      out[k] = v;
+    } else if (k === "replyMode") {
+      if (!["auto", "review"].includes(v)) throw new PortalError('replyMode must be "auto" or "review"');
+      out[k] = v;
+    } else {
+      if (typeof v !== "string") throw new PortalError(`${k} must be a string`);
+      out[k] = v.trim();
+    }
+  }
+  return out;
+}
+
+/**
+ * @param store            state store
+ * @param validateSettings async (settings) => void; throw to reject (e.g. rules file doesn't load)
+ */
+export function createPortalRegistry(store, { validateSettings } = {}) {
+  const refreshing = new Map();
+
+  const publicView = (p) => p && {
+    portalId: p.portalId,
+    hubDomain: p.hubDomain,
+    scopes: p.scopes,
+    installedAt: p.installedAt,
+    installedBy: p.installedBy,
+    updatedAt: p.updatedAt,
+    tokenExpiresAt: p.tokenExpiresAt,
+    needsReauth: !!p.needsReauth,
+    settings: p.settings || {},
+  };
+
+  const get = (portalId) => store.get(KEY + portalId);
+
+  async function install(grant) {
+    const tokens = toTokens(await exchangeOAuthToken(grant));
+    const info = await getAccessTokenInfo(tokens.accessToken);
+    const portalId = String(info.hub_id);
+    const prev = await get(portalId);
+    const now = new Date().toISOString();
+    const record = {
+      portalId,
+      hubDomain: info.hub_domain,
+      scopes: info.scopes || [],
+      installedAt: now,
+      installedBy: info.user,
+      updatedAt: now,
+      tokenExpiresAt: new Date(tokens.expiresAt).toISOString(),
+      tokens: encryptSecret(tokens),
+      settings: prev?.settings || {},
+    };
+    await store.set(KEY + portalId, record);
+    log.info("portal.installed", { portalId, hubDomain: record.hubDomain, reinstall: !!prev });
+    return publicView(record);
+  }
+
+  async function refresh(portalId) {
+    // Another instance holds the lock: wait for it to write the rotated tokens.
+    if (!(await store.setIfAbsent(REFRESH_LOCK + portalId, "1", 30_000))) {
+      for (let i = 0; i < 50 && (await store.get(REFRESH_LOCK + portalId)); i++) {
+        await new Promise((r) => setTimeout(r, 200));
+      }
+      const p = await get(portalId);
+      if (!p) return null;
+      if (p.needsReauth) throw new HubSpotAuthError(`Portal ${portalId} must reinstall the app`, { method: "POST", path: "/oauth/v1/token" });
+      return decryptSecret(p.tokens).accessToken;
+    }
+    try {
+      const p = await get(portalId);
+      if (!p) return null;
+      const current = decryptSecret(p.tokens);
+      let tokens;
+      try {
+        tokens = toTokens(await exchangeOAuthToken({ grant_type: "refresh_token", refresh_token: current.refreshToken }));
+      } catch (e) {
+        if (e instanceof HubSpotAuthError) {
+          await store.set(KEY + portalId, { ...p, needsReauth: true, updatedAt: new Date().toISOString() });
+          log.error("portal.refresh_rejected", { portalId, note: "reinstall needed" });
+        }
+        throw e;
+      }
+      tokens.refreshToken ||= current.refreshToken;
+      await store.set(KEY + portalId, {
+        ...p,
+        needsReauth: false,
+        updatedAt: new Date().toISOString(),
+        tokenExpiresAt: new Date(tokens.expiresAt).toISOString(),
+        tokens: encryptSecret(tokens),
+      });
+      log.info("portal.token_refreshed", { portalId, rotated: tokens.refreshToken !== current.refreshToken });
+      return tokens.accessToken;
+    } finally {
+      await store.del(REFRESH_LOCK + portalId).catch(() => {});
+    }
+  }
+
+  return {
+    install,
+    get: async (portalId) => publicView(await get(portalId)),
+
+    // Access token for a portal, refreshed when close to expiry; null if the portal isn't installed.
+    async accessToken(portalId, { forceRefresh = false } = {}) {
+      const p = await get(portalId);
+      if (!p) return null;
+      if (p.needsReauth) throw new HubSpotAuthError(`Portal ${portalId} must reinstall the app`, { method: "POST", path: "/oauth/v1/token" });
+      if (!forceRefresh && Date.parse(p.tokenExpiresAt) - Date.now() > REFRESH_EARLY_MS) return decryptSecret(p.tokens).accessToken;
+      if (!refreshing.has(portalId)) {
+        refreshing.set(portalId, refresh(portalId).finally(() => refreshing.delete(portalId)));
+      }
+      return refreshing.get(portalId);
+    },
+
+    // Env defaults with the portal's overrides on top.
+    async settings(portalId) {
+      const own = portalId ? (await get(portalId))?.settings : null;
+      const merged = { ...defaultSettings() };
+      for (const [k, v] of Object.entries(own || {})) if (v != null && v !== "") merged[k] = v;
+      return merged;
+    },
+
+    async updateSettings(portalId, patch) {
+      const p = await get(portalId);
+      if (!p) return null;
+      const settings = { ...(p.settings || {}), ...cleanSettings(patch) };
+      for (const [k, v] of Object.entries(settings)) if (v === null) delete settings[k];
+      if (validateSettings) {
+        try {
+          await validateSettings({ ...defaultSettings(), ...settings });
+        } catch (e) {
+          throw new PortalError(e.message);
+        }
+      }
+      const record = { ...p, settings, updatedAt: new Date().toISOString() };
+      await store.set(KEY + portalId, record);
+      return publicView(record);
+    },
+
+    async remove(portalId) {
+      const p = await get(portalId);
+      if (!p) return null;
+      await store.del(KEY + portalId);
+      log.info("portal.removed", { portalId });
+      return publicView(p);
+    },
+
+    async list() {
+      const out = [];
+      for (const key of await store.keys(KEY)) {
+        const p = await store.get(key);
+        if (p) out.push(publicView(p));
+      }
+      return out.sort((a, b) => a.portalId.localeCompare(b.portalId));
+    },
+
+    // One-time `state` values for the install redirect (CSRF protection).
+    async newInstallState() {
+      const nonce = crypto.randomBytes(16).toString("hex");
+      await store.set(OAUTH_STATE + nonce, "1", 10 * 60 * 1000);
+      return nonce;
+    },
+    async consumeInstallState(nonce) {
+      if (!nonce || !(await store.get(OAUTH_STATE + nonce))) return false;
+      await store.del(OAUTH_STATE + nonce);
+      return true;
+    },
+  };
+}
+
+const redirectUri = (req) => process.env.OAUTH_REDIRECT_URL || `${req.protocol}://${req.get("host")}/oauth/callback`;
+
+// Public install flow: GET /oauth/install -> HubSpot consent screen -> GET /oauth/callback
+export function oauthRoutes(portals) {
+  const r = express.Router();
+
+  r.get("/install", asyncRoute(async (req, res) => {
+    if (!process.env.HUBSPOT_CLIENT_ID) return res.status(503).send("HUBSPOT_CLIENT_ID not set");
+    const url = new URL(process.env.HUBSPOT_AUTHORIZE_URL || "https://app.hubspot.com/oauth/authorize");
+    url.searchParams.set("client_id", process.env.HUBSPOT_CLIENT_ID);
+    url.searchParams.set("redirect_uri", redirectUri(req));
+    url.searchParams.set("scope", process.env.HUBSPOT_SCOPES || DEFAULT_SCOPES);
+    if (process.env.HUBSPOT_OPTIONAL_SCOPES) url.searchParams.set("optional_scope", process.env.HUBSPOT_OPTIONAL_SCOPES);
+    url.searchParams.set("state", await portals.newInstallState());
+    res.redirect(url.toString());
+  }));
+
+  r.get("/callback", asyncRoute(async (req, res) => {
+    if (req.query.error) return res.status(400).send(`Install cancelled: ${req.query.error_description || req.query.error}`);
+    if (!(await portals.consumeInstallState(req.query.state))) return res.status(400).send("Invalid or expired install state; start again from /oauth/install");
+    if (!req.query.code) return res.status(400).send("Missing code");
+    try {
+      const portal = await portals.install({ grant_type: "authorization_code", code: String(req.query.code), redirect_uri: redirectUri(req) });
+      res.send(`Installed for portal ${portal.portalId}${portal.hubDomain ? ` (${portal.hubDomain})` : ""}. You can close this window.`);
+    } catch (e) {
+      log.error("oauth.install_failed", { error: e });
+      if (e instanceof PortalError) return res.status(e.status).send(e.message);
+      res.status(e instanceof HubSpotAuthError ? 400 : 502).send("Install failed; try again from /oauth/install");
+    }
+  }));
+
+  return r;
+}
+
+// Admin: installed portals and their settings
+export function portalRoutes(portals) {
+  const r = express.Router();
+  const reply = (res, p) => (p ? res.json(p) : res.status(404).json({ error: "not found" }));
+  const guard = (fn) => asyncRoute(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      if (e instanceof PortalError) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+  });
+
+  r.get("/portals", guard(async (_req, res) => {
+    const results = await portals.list();
+    res.json({ total: results.length, results });
+  }));
+  r.get("/portals/:id", guard(async (req, res) => reply(res, await portals.get(req.params.id))));
+  r.patch("/portals/:id/settings", guard(async (req, res) => reply(res, await portals.updateSettings(req.params.id, req.body))));
+  r.delete("/portals/:id", guard(async (req, res) => reply(res, await portals.remove(req.params.id))));
+  return r;
+}
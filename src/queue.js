@@ -0,0 +1,244 @@
+import crypto from "node:crypto";
+import express from "express";
+import { asyncRoute } from "./admin.js";
+import { log } from "./log.js";
+
+/**
+ * Durable webhook event queue on top of the state store.
+ * - enqueue() writes the job before the webhook is ACKed
+ * - a worker pool claims due jobs with a lock (visibility timeout), so a crashed
+ *   worker's job is picked up again once the lock expires
+ * - failures retry with exponential backoff + jitter; after maxAttempts, or on an error
+ *   marked `retryable: false`, the job moves to the dead-letter set
+ *
+ * Keys: queue:job:<id>, queue:lock:<id>, queue:dead:<id>, plus two sorted-set indexes of job IDs:
+ * queue:due (scored by runAt) and queue:dead (scored by when the job died). Polling reads only the
+ * due part of queue:due and stats count the indexes, so neither scans the store. start() rebuilds
+ * the indexes once from the job keys, for jobs written before they existed or by a process that
+ * died between the two writes.
+ *
+ * Env vars:
+ *   QUEUE_CONCURRENCY=2          # events processed in parallel
+ *   QUEUE_MAX_ATTEMPTS=5         # attempts before dead-lettering
+ *   QUEUE_RETRY_BASE_MS=2000     # first retry delay; doubles per attempt
+ *   QUEUE_RETRY_MAX_MS=300000    # retry delay cap
+ *   QUEUE_POLL_MS=1000           # how often idle workers look for due jobs
+ *   QUEUE_LOCK_MS=300000         # how long a claimed job stays invisible to other workers
+ */
+
+const JOB = "queue:job:";
+const LOCK = "queue:lock:";
+const DEAD = "queue:dead:";
+const DUE_INDEX = "queue:due";
+const DEAD_INDEX = "queue:dead";
+
+const errInfo = (e) => ({ message: e?.message || String(e), status: e?.status, at: new Date().toISOString() });
+
+export function backoffDelay(attempt, baseMs, maxMs) {
+  const exp = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(exp / 2 + Math.random() * (exp / 2));
+}
+
+export function createQueue(store, handler, opts = {}) {
+  const concurrency = Math.max(1, Number(opts.concurrency ?? process.env.QUEUE_CONCURRENCY ?? 2));
+  const maxAttempts = Math.max(1, Number(opts.maxAttempts ?? process.env.QUEUE_MAX_ATTEMPTS ?? 5));
+  const baseMs = Number(opts.retryBaseMs ?? process.env.QUEUE_RETRY_BASE_MS ?? 2000);
+  const maxMs = Number(opts.retryMaxMs ?? process.env.QUEUE_RETRY_MAX_MS ?? 5 * 60 * 1000);
+  const pollMs = Number(opts.pollMs ?? process.env.QUEUE_POLL_MS ?? 1000);
+  const lockMs = Number(opts.lockMs ?? process.env.QUEUE_LOCK_MS ?? 5 * 60 * 1000);
+  const owner = `${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+  let running = false;
+  let active = 0;
+  let timer = null;
+  let ticking = false;
+  let kicked = false;
+  let indexed = false;
+
+  async function enqueue(payload, id = crypto.randomUUID(), { delayMs = 0 } = {}) {
+    const job = { id, payload, attempts: 0, runAt: Date.now() + delayMs, createdAt: new Date().toISOString(), errors: [] };
+    const added = await store.setIfAbsent(JOB + id, job);
+    if (added) await store.zadd(DUE_INDEX, id, job.runAt);
+    return { id, added };
+  }
+
+  // IDs of due jobs, earliest first. An ID may outlive its job briefly; tick() drops those.
+  const dueIds = () => store.zrange(DUE_INDEX, -Infinity, Date.now());
+
+  async function reindex() {
+    for (const key of await store.keys(JOB)) {
+      const job = await store.get(key);
+      if (job) await store.zadd(DUE_INDEX, job.id, job.runAt);
+    }
+    for (const key of await store.keys(DEAD)) {
+      const job = await store.get(key);
+      if (job) await store.zadd(DEAD_INDEX, job.id, Date.parse(job.deadAt) || 0);
+    }
+  }
+
+  async function fail(job, err) {
+    job.attempts += 1;
+    job.errors = [...(job.errors || []), errInfo(err)].slice(-maxAttempts);
+    if (err?.retryable === false || job.attempts >= maxAttempts) {
+      job.deadAt = new Date().toISOString();
+      await store.set(DEAD + job.id, job);
+      await store.zadd(DEAD_INDEX, job.id, Date.parse(job.deadAt));
+      await store.del(JOB + job.id);
+      await store.zrem(DUE_INDEX, job.id);
+      log.error("queue.dead_lettered", { id: job.id, attempts: job.attempts, error: errInfo(err).message });
+      return;
+    }
+    const delay = backoffDelay(job.attempts, baseMs, maxMs);
+    job.runAt = Date.now() + delay;
+    await store.set(JOB + job.id, job);
+    await store.zadd(DUE_INDEX, job.id, job.runAt);
+    log.warn("queue.retry", { id: job.id, attempt: job.attempts, inMs: delay, error: errInfo(err).message });
+  }
+
+  async function run(job) {
+    try {
+      await handler(job.payload, job);
+      await store.del(JOB + job.id);
+      await store.zrem(DUE_INDEX, job.id);
+    } catch (e) {
+      await fail(job, e).catch((e2) => log.error("queue.bookkeeping_failed", { id: job.id, error: e2 }));
+    } finally {
+      await store.del(LOCK + job.id).catch(() => {});
+    }
+  }
+
+  async function tick() {
+    if (!running) return;
+    ticking = true;
+    kicked = false;
+    try {
+      if (!indexed) {
+        await reindex();
+        indexed = true;
+      }
+      for (const id of await dueIds()) {
+        if (!running || active >= concurrency) break;
+        if (!(await store.setIfAbsent(LOCK + id, owner, lockMs))) continue;
+        // Re-read under the lock: another worker may have finished it meanwhile.
+        const fresh = await store.get(JOB + id);
+        if (!fresh) {
+          await store.zrem(DUE_INDEX, id);
+          await store.del(LOCK + id);
+          continue;
+        }
+        active += 1;
+        run(fresh).finally(() => {
+          active -= 1;
+          kick();
+        });
+      }
+    } catch (e) {
+      log.error("queue.poll_failed", { error: e });
+    }
+    ticking = false;
+    schedule(kicked ? 0 : pollMs);
+  }
+
+  function schedule(ms) {
+    if (!running) return;
+    clearTimeout(timer);
+    timer = setTimeout(tick, ms);
+    if (typeof timer.unref === "function") timer.unref();
+  }
+
+  function kick() {
+    if (ticking) kicked = true;
+    else schedule(0);
+  }
+
+  return {
+    // `delayMs` schedules the job for later (e.g. a delayed reply); it's durable like any other job.
+    enqueue: async (payload, id, opts) => {
+      const r = await enqueue(payload, id, opts);
+      if (r.added) kick();
+      return r;
+    },
+    start() {
+      running = true;
+      kick();
+    },
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      while (active > 0) await new Promise((r) => setTimeout(r, 50));
+    },
+    async stats() {
+      return {
+        pending: await store.zcard(DUE_INDEX),
+        dead: await store.zcard(DEAD_INDEX),
+        active,
+        concurrency,
+      };
+    },
+    async listDead() {
+      const out = [];
+      for (const id of (await store.zrange(DEAD_INDEX)).reverse()) {
+        const job = await store.get(DEAD + id);
+        if (job) out.push(job);
+      }
+      return out;
+    },
+    getJob: (id) => store.get(JOB + id),
+    getDead: (id) => store.get(DEAD + id),
+    async requeueDead(id) {
+      const job = await store.get(DEAD + id);
+      if (!job) return null;
+      const { deadAt, ...rest } = job;
+      const fresh = { ...rest, attempts: 0, runAt: Date.now(), requeuedAt: new Date().toISOString() };
+      await store.set(JOB + id, fresh);
+      await store.zadd(DUE_INDEX, id, fresh.runAt);
+      await store.del(DEAD + id);
+      await store.zrem(DEAD_INDEX, id);
+      kick();
+      return fresh;
+    },
+    async deleteDead(id) {
+      if (!(await store.get(DEAD + id))) return false;
+      await store.del(DEAD + id);
+      await store.zrem(DEAD_INDEX, id);
+      return true;
+    },
+  };
+}
+
+// Admin routes, mounted behind requireAdmin.
+export function queueRoutes(queue) {
+  const r = express.Router();
+  r.get("/queue", asyncRoute(async (_req, res) => res.json(await queue.stats())));
+  r.get("/dead-letters", asyncRoute(async (_req, res) => {
+    const jobs = await queue.listDead();
+    res.json({
+      total: jobs.length,
+      results: jobs.map((j) => ({
+        id: j.id,
+        kind: j.payload?.kind || "event",
+        subscriptionType: j.payload?.subscriptionType,
+        objectId: j.payload?.objectId ?? j.payload?.threadId,
+        attempts: j.attempts,
+        deadAt: j.deadAt,
+        lastError: j.errors?.[j.errors.length - 1]?.message,
+      })),
+    });
+  }));
+  r.get("/dead-letters/:id", asyncRoute(async (req, res) => {
+    const job = await queue.getDead(req.params.id);
+    if (!job) return res.status(404).json({ error: "not found" });
+    res.json(job);
+  }));
+  r.post("/dead-letters/:id/requeue", asyncRoute(async (req, res) => {
+    const job = await queue.requeueDead(req.params.id);
+    if (!job) return res.status(404).json({ error: "not found" });
+    log.info("queue.requeued", { id: req.params.id });
+    res.json({ requeued: true, id: job.id });
+  }));
+  r.delete("/dead-letters/:id", asyncRoute(async (req, res) => {
+    if (!(await queue.deleteDead(req.params.id))) return res.status(404).json({ error: "not found" });
+    res.sendStatus(204);
+  }));
+  return r;
+}
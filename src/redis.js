@@ -0,0 +1,152 @@
+import net from "node:net";
+import tls from "node:tls";
+
+/**
+ * Minimal RESP2 client — just enough for the state store (works with Redis, Valkey,
+ * KeyDB, or any local stand-in that speaks the protocol). Commands are pipelined in order
+ * on one connection; the socket reconnects lazily on the next command after a drop.
+ * `timeoutMs` bounds both the connect and every command: a reply that doesn't arrive in
+ * time drops the connection (later replies would be out of step) and fails what's pending.
+ */
+
+function encode(args) {
+  let out = `*${args.length}\r\n`;
+  for (const a of args) {
+    const s = String(a);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+// Returns [value, nextOffset] or null when the buffer doesn't hold a full reply yet.
+function parse(buf, offset = 0) {
+  const eol = buf.indexOf("\r\n", offset);
+  if (eol < 0) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString("utf8", offset + 1, eol);
+  const next = eol + 2;
+  if (type === "+") return [line, next];
+  if (type === "-") return [new Error(line), next];
+  if (type === ":") return [Number(line), next];
+  if (type === "$") {
+    const len = Number(line);
+    if (len < 0) return [null, next];
+    if (buf.length < next + len + 2) return null;
+    return [buf.toString("utf8", next, next + len), next + len + 2];
+  }
+  if (type === "*") {
+    const count = Number(line);
+    if (count < 0) return [null, next];
+    const items = [];
+    let pos = next;
+    for (let i = 0; i < count; i++) {
+      const r = parse(buf, pos);
+      if (!r) return null;
+      items.push(r[0]);
+      pos = r[1];
+    }
+    return [items, pos];
+  }
+  throw new Error(`Unexpected RESP type: ${type}`);
+}
+
+export function createRedisClient(redisUrl, { timeoutMs = 5000 } = {}) {
+  const u = new URL(redisUrl);
+  const secure = u.protocol === "rediss:";
+  const port = Number(u.port || 6379);
+  const db = Number((u.pathname || "/0").slice(1) || 0);
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(err) {
+    while (pending.length) pending.shift().reject(err);
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      let r;
+      try {
+        r = parse(buffer);
+      } catch (e) {
+        socket.destroy(e);
+        return;
+      }
+      if (!r) return;
+      buffer = buffer.subarray(r[1]);
+      const p = pending.shift();
+      if (!p) continue;
+      if (r[0] instanceof Error) p.reject(r[0]);
+      else p.resolve(r[0]);
+    }
+  }
+
+  function raw(args) {
+    const conn = socket;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => drop(conn, new Error(`Redis ${args[0]} timed out after ${timeoutMs}ms`)), timeoutMs);
+      const done = (fn) => (v) => {
+        clearTimeout(timer);
+        fn(v);
+      };
+      pending.push({ resolve: done(resolve), reject: done(reject) });
+      conn.write(encode(args));
+    });
+  }
+
+  // Fails everything in flight on `conn` and lets the next command open a fresh connection.
+  function drop(conn, err) {
+    if (conn !== socket) return;
+    ready = null;
+    failAll(err);
+    conn.destroy();
+  }
+
+  function connect() {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const opts = { host: u.hostname, port };
+      const conn = secure ? tls.connect({ ...opts, servername: u.hostname }) : net.connect(opts);
+      socket = conn;
+      conn.setTimeout(timeoutMs);
+      buffer = Buffer.alloc(0);
+      conn.on("data", onData);
+      conn.once(secure ? "secureConnect" : "connect", async () => {
+        conn.setTimeout(0);
+        try {
+          if (u.password) {
+            const user = decodeURIComponent(u.username || "");
+            const pass = decodeURIComponent(u.password);
+            await raw(user ? ["AUTH", user, pass] : ["AUTH", pass]);
+          }
+          if (db) await raw(["SELECT", db]);
+          resolve();
+        } catch (e) {
+          reject(e);
+          conn.destroy();
+        }
+      });
+      conn.on("timeout", () => conn.destroy(new Error("Redis connect timeout")));
+      conn.on("error", (e) => {
+        reject(e);
+        drop(conn, e);
+      });
+      conn.on("close", () => drop(conn, new Error("Redis connection closed")));
+    });
+    return ready;
+  }
+
+  return {
+    async command(...args) {
+      await connect();
+      return raw(args);
+    },
+    close() {
+      if (socket) socket.end();
+      ready = null;
+    },
+  };
+}
@@ -0,0 +1,142 @@
+import fs from "node:fs";
+import path from "node:path";
+import { currentPortalId } from "./hubspot.js";
+
+/**
+ * Intent-based thread routing: who owns a thread and whether it stays open.
+ *
+ * Rules file (ROUTING_FILE, or a portal's routingFile setting). Routing is off until one is set;
+ * there's no default file, and a path that doesn't exist loads as no rules:
+ *   { "teams": {
+ *       "sales":   { "members": ["A-101", "A-102"], "strategy": "round_robin" },
+ *       "support": { "members": ["A-201", "A-202"], "strategy": "least_busy" } },
+ *     "rules": [
+ *       { "intent": "unsubscribe", "status": "CLOSED" },
+ *       { "intent": ["pricing", "demo"], "team": "sales" },
+ *       { "intent": "support", "channel": "1002", "team": "support" },
+ *       { "intent": "*", "assignTo": "A-300" } ] }
+ *
+ * The first rule whose `intent` and `channel` (channelId; both optional, string or list, "*" = any)
+ * match wins. A rule assigns to one actor (`assignTo`) or a team member, and/or sets `status`.
+ * Threads that already have an assignee keep it unless the rule says `"reassign": true`.
+ *
+ * Team strategies:
+ *   round_robin  rotates through members (cursor kept in the state store, route-rr:[portal:]team)
+ *   least_busy   the member with the fewest OPEN assigned threads; ties go to list order
+ */
+
+const STATUSES = ["OPEN", "CLOSED"];
+const STRATEGIES = ["round_robin", "least_busy"];
+const RR_KEY = "route-rr:";
+
+const list = (v) => (v == null ? null : [].concat(v).map(String));
+const isActor = (id) => typeof id === "string" && /^A-\w+/.test(id);
+
+export function compileRouting(raw = {}, source = "routing") {
+  const errors = [];
+  const teams = {};
+  for (const [name, t] of Object.entries(raw.teams || {})) {
+    const members = Array.isArray(t) ? t : t?.members;
+    const strategy = (Array.isArray(t) ? null : t?.strategy) || "round_robin";
+    if (!Array.isArray(members) || !members.length || !members.every(isActor)) {
+      errors.push(`teams.${name}.members: must be a non-empty list of agent actor IDs (A-…)`);
+    }
+    if (!STRATEGIES.includes(strategy)) errors.push(`teams.${name}.strategy: must be one of ${STRATEGIES.join(", ")}`);
+    teams[name] = { members: members || [], strategy };
+  }
+  const rules = (raw.rules || []).map((r, i) => {
+    const at = `rules[${i}]`;
+    if (r.assignTo && r.team) errors.push(`${at}: use either assignTo or team, not both`);
+    if (r.assignTo && !isActor(r.assignTo)) errors.push(`${at}.assignTo: must be an agent actor ID (A-…)`);
+    if (r.team && !teams[r.team]) errors.push(`${at}.team: unknown team "${r.team}"`);
+    if (r.status && !STATUSES.includes(String(r.status).toUpperCase())) errors.push(`${at}.status: must be OPEN or CLOSED`);
+    if (!r.assignTo && !r.team && !r.status) errors.push(`${at}: needs assignTo, team or status`);
+    return {
+      index: i,
+      intents: list(r.intent),
+      channels: list(r.channel),
+      assignTo: r.assignTo || null,
+      team: r.team || null,
+      status: r.status ? String(r.status).toUpperCase() : null,
+      reassign: r.reassign === true,
+    };
+  });
+  if (errors.length) throw new Error(`Invalid routing rules in ${source}:\n  - ${errors.join("\n  - ")}`);
+  return { teams, rules, source };
+}
+
+export function loadRoutingRules(file) {
+  const resolved = path.resolve(file);
+  const raw = fs.existsSync(resolved) ? JSON.parse(fs.readFileSync(resolved, "utf8")) : {};
+  return compileRouting(raw, resolved);
+}
+
+const matches = (values, v) => !values || values.includes("*") || values.includes(String(v));
+
+export function matchRoute(config, { intent, channelId }) {
+  return config.rules.find((r) => matches(r.intents, intent) && matches(r.channels, channelId)) || null;
+}
+
+/**
+ * @param store            state store (round-robin cursors)
+ * @param config           compiled rules (loadRoutingRules)
+ * @param countOpenThreads async (actorId) => number of OPEN threads assigned to them
+ */
+export function createRouter(store, config, { countOpenThreads }) {
+  const cursorKey = (team) => {
+    const portalId = currentPortalId();
+    return `${RR_KEY}${portalId ? `${portalId}:` : ""}${team}`;
+  };
+
+  async function pick(teamName, { dryRun }) {
+    const team = config.teams[teamName];
+    if (team.strategy === "least_busy") {
+      const loads = [];
+      for (const actorId of team.members) loads.push({ actorId, open: await countOpenThreads(actorId) });
+      const best = loads.reduce((a, b) => (b.open < a.open ? b : a));
+      return { actorId: best.actorId, loads };
+    }
+    const cursor = Number((await store.get(cursorKey(teamName))) || 0);
+    if (!dryRun) await store.set(cursorKey(teamName), (cursor + 1) % team.members.length);
+    return { actorId: team.members[cursor % team.members.length] };
+  }
+
+  return {
+    config,
+
+    /**
+     * Decides what to do with a thread; returns null when no rule matches, otherwise
+     * { rule, assignTo, team, strategy, loads?, status, keptAssignee? }.
+     * With dryRun, round-robin cursors are read but not advanced.
+     */
+    async decide({ intent, channelId, currentAssignee = null, dryRun = false }) {
+      const rule = matchRoute(config, { intent, channelId });
+      if (!rule) return null;
+      const decision = { rule: rule.index, assignTo: null, team: rule.team, strategy: null, status: rule.status };
+      if (rule.assignTo || rule.team) {
+        if (currentAssignee && !rule.reassign) {
+          decision.keptAssignee = currentAssignee;
+        } else if (rule.assignTo) {
+          decision.assignTo = rule.assignTo;
+        } else {
+          const { actorId, loads } = await pick(rule.team, { dryRun });
+          Object.assign(decision, { assignTo: actorId, strategy: config.teams[rule.team].strategy, ...(loads ? { loads } : {}) });
+        }
+      }
+      return decision;
+    },
+  };
+}
+
+// Internal comment text for a routing decision.
+export function describeRouting(decision, { intent, channelId }) {
+  const parts = [];
+  if (decision.assignTo) {
+    const how = decision.team ? ` (team ${decision.team}, ${decision.strategy.replace("_", " ")})` : "";
+    parts.push(`assigned to ${decision.assignTo}${how}`);
+  } else if (decision.keptAssignee) {
+    parts.push(`kept existing assignee ${decision.keptAssignee}`);
+  }
+  if (decision.status) parts.push(`status set to ${decision.status}`);
+  return `🧭 Routing: intent ${intent}${channelId ? ` on channel ${channelId}` : ""} matched rule #${decision.rule + 1} — ${parts.join("; ")}.`;
+}
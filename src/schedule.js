@@ -0,0 +1,129 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Business-hours calendar and reply-delay helpers.
+ *
+ * Calendar file (BUSINESS_HOURS_FILE, default ./config/business-hours.json):
+ *   { "timezone": "America/New_York",
+ *     "hours": { "mon": ["09:00-17:00"], "tue": ["09:00-12:00", "13:00-17:00"], "sat": [], ... },
+ *     "holidays": ["2026-12-25"] }          # local dates, closed all day
+ * Missing days are closed. Without a file the calendar is always open.
+ *
+ * Env vars:
+ *   BUSINESS_HOURS=false                 # true: use the calendar (after-hours template outside it)
+ *   BUSINESS_HOURS_FILE=./config/business-hours.json
+ *   SEND_DELAY_MIN_MS=0                  # in-hours replies wait a random delay in [min, max]
+ *   SEND_DELAY_MAX_MS=0
+ */
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WINDOW_RE = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/;
+
+// Wall-clock parts of `date` in `timeZone`.
+function localParts(date, timeZone) {
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", weekday: "short",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit",
+  });
+  const p = Object.fromEntries(fmt.formatToParts(date).map((x) => [x.type, x.value]));
+  return {
+    y: Number(p.year), m: Number(p.month), d: Number(p.day),
+    hh: Number(p.hour), mm: Number(p.minute), ss: Number(p.second),
+    dow: DAYS.indexOf(p.weekday.slice(0, 3).toLowerCase()),
+    date: `${p.year}-${p.month}-${p.day}`,
+  };
+}
+
+// UTC instant for a local wall-clock time (two passes to settle DST offsets).
+function zonedToUtc(y, m, d, hh, mm, timeZone) {
+  const want = Date.UTC(y, m - 1, d, hh, mm);
+  let t = want;
+  for (let i = 0; i < 2; i++) {
+    const p = localParts(new Date(t), timeZone);
+    const seen = Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm);
+    t += want - seen;
+  }
+  return new Date(t);
+}
+
+export function validateCalendar(raw, source = "calendar") {
+  const errors = [];
+  if (!raw || typeof raw !== "object") throw new Error(`${source}: must be an object`);
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: raw.timezone || "UTC" });
+  } catch {
+    errors.push(`timezone: unknown time zone "${raw.timezone}"`);
+  }
+  for (const [day, windows] of Object.entries(raw.hours || {})) {
+    if (!DAYS.includes(day)) errors.push(`hours.${day}: unknown day (use ${DAYS.join(", ")})`);
+    if (!Array.isArray(windows)) {
+      errors.push(`hours.${day}: must be an array of "HH:MM-HH:MM"`);
+      continue;
+    }
+    for (const w of windows) {
+      const m = WINDOW_RE.exec(w);
+      if (!m || `${m[1]}:${m[2]}` >= `${m[3]}:${m[4]}` || Number(m[3]) > 24) errors.push(`hours.${day}: bad window "${w}"`);
+    }
+  }
+  for (const h of raw.holidays || []) if (!/^\d{4}-\d{2}-\d{2}$/.test(h)) errors.push(`holidays: bad date "${h}"`);
+  if (errors.length) throw new Error(`Invalid business hours in ${source}:\n  - ${errors.join("\n  - ")}`);
+}
+
+export function createBusinessCalendar(raw = null) {
+  if (!raw) {
+    return { timezone: "UTC", alwaysOpen: true, isOpen: () => true, nextOpen: (now = new Date()) => now, describe: () => "" };
+  }
+  validateCalendar(raw);
+  const timezone = raw.timezone || "UTC";
+  const holidays = new Set(raw.holidays || []);
+  const windows = Object.fromEntries(DAYS.map((d) => [d, (raw.hours?.[d] || []).map((w) => {
+    const [, h1, m1, h2, m2] = WINDOW_RE.exec(w);
+    return [Number(h1) * 60 + Number(m1), Number(h2) * 60 + Number(m2)];
+  })]));
+
+  function isOpen(now = new Date()) {
+    const p = localParts(now, timezone);
+    if (holidays.has(p.date)) return false;
+    const minute = p.hh * 60 + p.mm;
+    return windows[DAYS[p.dow]].some(([a, b]) => minute >= a && minute < b);
+  }
+
+  // Start of the next open window (or `now` when already open); null if none within 60 days.
+  function nextOpen(now = new Date()) {
+    if (isOpen(now)) return now;
+    for (let i = 0; i <= 60; i++) {
+      const day = localParts(new Date(now.getTime() + i * 86_400_000), timezone);
+      if (holidays.has(day.date)) continue;
+      for (const [a] of windows[DAYS[day.dow]]) {
+        const at = zonedToUtc(day.y, day.m, day.d, Math.floor(a / 60), a % 60, timezone);
+        if (at > now) return at;
+      }
+    }
+    return null;
+  }
+
+  // Human-readable local time, e.g. "Mon, Jan 5, 9:00 AM EST".
+  const describe = (date, locale = "en") => (date
+    ? new Intl.DateTimeFormat(locale, { timeZone: timezone, weekday: "short", month: "short", day: "numeric", hour: "numeric", minute: "2-digit", timeZoneName: "short" }).format(date)
+    : "");
+
+  return { timezone, alwaysOpen: false, isOpen, nextOpen, describe };
+}
+
+export function loadBusinessCalendar(file = process.env.BUSINESS_HOURS_FILE || "./config/business-hours.json") {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) return createBusinessCalendar(null);
+  const raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  try {
+    return createBusinessCalendar(raw);
+  } catch (e) {
+    throw new Error(e.message.replace("calendar", resolved));
+  }
+}
+
+export function sendDelayMs() {
+  const min = Math.max(0, Number(process.env.SEND_DELAY_MIN_MS || 0));
+  const max = Math.max(min, Number(process.env.SEND_DELAY_MAX_MS || min));
+  return Math.round(min + Math.random() * (max - min));
+}
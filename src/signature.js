@@ -0,0 +1,90 @@
+import crypto from "node:crypto";
+import { log } from "./log.js";
+
+/**
+ * HubSpot webhook signature verification.
+ * - v3: base64 HMAC-SHA256(secret, method + uri + body + timestamp), with a replay window
+ * - v1/v2 (legacy, opt-in): hex SHA-256 of secret + body / secret + method + uri + body
+ *
+ * Env vars:
+ *   VERIFY_SIGNATURE=true             # enforce on /hubspot/webhook
+ *   HUBSPOT_APP_SECRET=...            # app client secret used for signing
+ *   SIGNATURE_MAX_AGE_MS=300000       # reject v3 requests older than this (default 5 min)
+ *   SIGNATURE_ALLOW_LEGACY=false      # accept v1/v2 when no v3 header is present
+ *   WEBHOOK_PUBLIC_URL=...            # (optional) exact target URL configured in HubSpot
+ */
+
+// HubSpot decodes these before signing v3; everything else stays encoded.
+const DECODE = {
+  "%3A": ":", "%2F": "/", "%3F": "?", "%40": "@", "%21": "!", "%24": "$",
+  "%27": "'", "%28": "(", "%29": ")", "%2A": "*", "%2C": ",", "%3B": ";",
+};
+const decodeUri = (uri) => uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, (m) => DECODE[m.toUpperCase()]);
+
+function timingSafeEqualStr(a, b) {
+  const ab = Buffer.from(String(a || ""), "utf8");
+  const bb = Buffer.from(String(b || ""), "utf8");
+  if (ab.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+function requestUri(req) {
+  const base = process.env.WEBHOOK_PUBLIC_URL;
+  if (base) {
+    // Keep the query string of the actual request; HubSpot signs it too.
+    const q = req.originalUrl.indexOf("?");
+    return base.replace(/\?.*$/, "") + (q >= 0 ? req.originalUrl.slice(q) : "");
+  }
+  return `${req.protocol}://${req.get("host")}${req.originalUrl}`;
+}
+
+export function verifyHubSpotSignature(req, rawBody, { secret, maxAgeMs, allowLegacy, now = Date.now() } = {}) {
+  if (!secret) return { ok: false, reason: "HUBSPOT_APP_SECRET not set" };
+  const body = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody || "");
+  const method = req.method.toUpperCase();
+  const uri = requestUri(req);
+
+  const v3 = req.get("X-HubSpot-Signature-v3");
+  if (v3) {
+    const ts = req.get("X-HubSpot-Request-Timestamp");
+    const tsNum = Number(ts);
+    if (!ts || !Number.isFinite(tsNum)) return { ok: false, version: "v3", reason: "missing timestamp" };
+    if (Math.abs(now - tsNum) > maxAgeMs) return { ok: false, version: "v3", reason: "timestamp outside replay window" };
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(`${method}${decodeUri(uri)}${body}${ts}`, "utf8")
+      .digest("base64");
+    return timingSafeEqualStr(expected, v3)
+      ? { ok: true, version: "v3" }
+      : { ok: false, version: "v3", reason: "signature mismatch" };
+  }
+
+  const legacy = req.get("X-HubSpot-Signature");
+  if (!legacy) return { ok: false, reason: "missing signature header" };
+  if (!allowLegacy) return { ok: false, reason: "legacy signature not allowed" };
+
+  const version = (req.get("X-HubSpot-Signature-Version") || "v1").toLowerCase();
+  const source = version === "v2" ? `${secret}${method}${uri}${body}` : `${secret}${body}`;
+  const expected = crypto.createHash("sha256").update(source, "utf8").digest("hex");
+  return timingSafeEqualStr(expected, legacy.toLowerCase())
+    ? { ok: true, version }
+    : { ok: false, version, reason: "signature mismatch" };
+}
+
+// Express middleware: 401 before any handler runs when the signature is bad.
+// Expects req.body to be the raw Buffer from express.raw().
+export function requireHubSpotSignature() {
+  return (req, res, next) => {
+    if (process.env.VERIFY_SIGNATURE !== "true") return next();
+    const result = verifyHubSpotSignature(req, req.body, {
+      secret: process.env.HUBSPOT_APP_SECRET,
+      maxAgeMs: Number(process.env.SIGNATURE_MAX_AGE_MS || 5 * 60 * 1000),
+      allowLegacy: process.env.SIGNATURE_ALLOW_LEGACY === "true",
+    });
+    if (!result.ok) {
+      log.warn("webhook.rejected", { reason: result.reason, version: result.version, ip: req.ip });
+      return res.sendStatus(401);
+    }
+    next();
+  };
+}
@@ -0,0 +1,229 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createRedisClient } from "./redis.js";
+import { log } from "./log.js";
+
+/**
+ * Key/value state store with per-key TTL, used for dedupe and reply throttling.
+ * Expiry is stored with each entry (no timers), so a restart keeps what it knew.
+ *
+ * Every backend implements:
+ *   get(key) -> value | null
+ *   set(key, value, ttlMs?)                  # ttlMs omitted = no expiry
+ *   setIfAbsent(key, value, ttlMs?) -> bool  # atomic claim; false if key already live
+ *   incr(key, ttlMs?) -> number              # atomic counter; ttlMs applies when the key is created
+ *   del(key)
+ *   keys(prefix) -> string[]                 # live keys starting with prefix (a full scan)
+ *   zadd(key, member, score, ttlMs?)         # sorted-set index; ttlMs (re)sets the whole set's expiry
+ *   zrange(key, min?, max?) -> string[]      # members scored min..max (inclusive), lowest first
+ *   zrem(key, member)
+ *   zcard(key) -> number                     # members in the set
+ *   ping() -> true                           # throws when the backend is unreachable
+ *
+ * Env vars:
+ *   STATE_STORE=memory|file|redis     # default memory
+ *   STATE_FILE=./data/state.json      # file backend (single instance only)
+ *   REDIS_URL=redis://localhost:6379  # redis backend (safe across instances)
+ *   STATE_PREFIX=hsbot:               # redis key prefix
+ *   REDIS_TIMEOUT_MS=5000             # redis connect and per-command timeout
+ */
+
+const isLive = (entry, now = Date.now()) => entry && (!entry.exp || entry.exp > now);
+
+export function createMemoryStore() {
+  const map = new Map();
+  const live = (key) => {
+    const e = map.get(key);
+    if (isLive(e)) return e;
+    if (e) map.delete(key);
+    return null;
+  };
+  return {
+    kind: "memory",
+    async get(key) {
+      return live(key)?.v ?? null;
+    },
+    async set(key, value, ttlMs) {
+      map.set(key, { v: value, exp: ttlMs ? Date.now() + ttlMs : 0 });
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (live(key)) return false;
+      map.set(key, { v: value, exp: ttlMs ? Date.now() + ttlMs : 0 });
+      return true;
+    },
+    async incr(key, ttlMs) {
+      const e = live(key);
+      const v = Number(e?.v || 0) + 1;
+      map.set(key, { v, exp: e ? e.exp : ttlMs ? Date.now() + ttlMs : 0 });
+      return v;
+    },
+    async del(key) {
+      map.delete(key);
+    },
+    async keys(prefix = "") {
+      return [...map.keys()].filter((k) => k.startsWith(prefix) && live(k));
+    },
+    // A sorted set is a plain { member: score } object, so the file store can snapshot it as JSON.
+    async zadd(key, member, score, ttlMs) {
+      const e = live(key);
+      const set = e?.v || {};
+      set[member] = Number(score);
+      map.set(key, { v: set, exp: ttlMs ? Date.now() + ttlMs : e ? e.exp : 0 });
+    },
+    async zrange(key, min = -Infinity, max = Infinity) {
+      return Object.entries(live(key)?.v || {})
+        .filter(([, score]) => score >= min && score <= max)
+        .sort(([a, x], [b, y]) => x - y || (a < b ? -1 : a > b ? 1 : 0))
+        .map(([member]) => member);
+    },
+    async zcard(key) {
+      return Object.keys(live(key)?.v || {}).length;
+    },
+    async zrem(key, member) {
+      const e = live(key);
+      if (!e) return;
+      delete e.v[member];
+      if (!Object.keys(e.v).length) map.delete(key);
+    },
+    async ping() {
+      return true;
+    },
+    _map: map,
+  };
+}
+
+// JSON file snapshot of a memory store. Writes are serialized and atomic (tmp + rename).
+export async function createFileStore(file) {
+  const mem = createMemoryStore();
+  try {
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    const now = Date.now();
+    for (const [k, e] of Object.entries(data || {})) if (isLive(e, now)) mem._map.set(k, e);
+  } catch (e) {
+    if (e.code !== "ENOENT") log.warn("state.file_unreadable", { file, error: e, note: "starting empty" });
+  }
+
+  let writing = Promise.resolve();
+  const persist = () => {
+    writing = writing.then(async () => {
+      const now = Date.now();
+      const out = {};
+      for (const [k, e] of mem._map) if (isLive(e, now)) out[k] = e;
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(out));
+      await fs.rename(tmp, file);
+    }).catch((e) => log.warn("state.file_write_failed", { file, error: e }));
+    return writing;
+  };
+
+  return {
+    ...mem,
+    kind: "file",
+    async set(key, value, ttlMs) {
+      await mem.set(key, value, ttlMs);
+      await persist();
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const ok = await mem.setIfAbsent(key, value, ttlMs);
+      if (ok) await persist();
+      return ok;
+    },
+    async incr(key, ttlMs) {
+      const v = await mem.incr(key, ttlMs);
+      await persist();
+      return v;
+    },
+    async del(key) {
+      await mem.del(key);
+      await persist();
+    },
+    async zadd(key, member, score, ttlMs) {
+      await mem.zadd(key, member, score, ttlMs);
+      await persist();
+    },
+    async zrem(key, member) {
+      await mem.zrem(key, member);
+      await persist();
+    },
+    async ping() {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.access(path.dirname(file), fs.constants.W_OK);
+      return true;
+    },
+  };
+}
+
+// SCAN MATCH treats these as glob syntax; keys may contain them literally.
+const globEscape = (s) => s.replace(/[*?[\]\\]/g, "\\$&");
+const scoreBound = (n) => (n === Infinity ? "+inf" : n === -Infinity ? "-inf" : String(n));
+
+export function createRedisStore(redisUrl, prefix = "hsbot:", { timeoutMs = Number(process.env.REDIS_TIMEOUT_MS || 5000) } = {}) {
+  const client = createRedisClient(redisUrl, { timeoutMs });
+  const setArgs = (key, value, ttlMs) => {
+    const args = ["SET", prefix + key, JSON.stringify(value)];
+    if (ttlMs) args.push("PX", Math.max(1, Math.round(ttlMs)));
+    return args;
+  };
+  return {
+    kind: "redis",
+    async get(key) {
+      const v = await client.command("GET", prefix + key);
+      return v == null ? null : JSON.parse(v);
+    },
+    async set(key, value, ttlMs) {
+      await client.command(...setArgs(key, value, ttlMs));
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      return (await client.command(...setArgs(key, value, ttlMs), "NX")) === "OK";
+    },
+    async incr(key, ttlMs) {
+      // Create the key with its expiry first; INCR keeps an existing TTL.
+      if (ttlMs) await client.command(...setArgs(key, 0, ttlMs), "NX");
+      return client.command("INCR", prefix + key);
+    },
+    async del(key) {
+      await client.command("DEL", prefix + key);
+    },
+    async keys(p = "") {
+      const out = [];
+      let cursor = "0";
+      do {
+        const [next, batch] = await client.command("SCAN", cursor, "MATCH", `${globEscape(prefix + p)}*`, "COUNT", 500);
+        cursor = next;
+        for (const k of batch) out.push(k.slice(prefix.length));
+      } while (cursor !== "0");
+      return out;
+    },
+    async zadd(key, member, score, ttlMs) {
+      await client.command("ZADD", prefix + key, score, member);
+      if (ttlMs) await client.command("PEXPIRE", prefix + key, Math.max(1, Math.round(ttlMs)));
+    },
+    async zrange(key, min = -Infinity, max = Infinity) {
+      return client.command("ZRANGEBYSCORE", prefix + key, scoreBound(min), scoreBound(max));
+    },
+    async zrem(key, member) {
+      await client.command("ZREM", prefix + key, member);
+    },
+    async zcard(key) {
+      return client.command("ZCARD", prefix + key);
+    },
+    async ping() {
+      return (await client.command("PING")) === "PONG";
+    },
+    close: () => client.close(),
+  };
+}
+
+export async function createStateStore(kind = process.env.STATE_STORE || "memory") {
+  switch (kind.toLowerCase()) {
+    case "file":
+      return createFileStore(process.env.STATE_FILE || "./data/state.json");
+    case "redis":
+      return createRedisStore(process.env.REDIS_URL || "redis://localhost:6379", process.env.STATE_PREFIX || "hsbot:");
+    case "memory":
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown STATE_STORE: ${kind}`);
+  }
+}
@@ -0,0 +1,186 @@
+import express from "express";
+import { asyncRoute } from "./admin.js";
+import {
+  getSubscriptionDefinitions,
+  getSubscriptionStatuses,
+  setSubscription,
+  findContactByEmail,
+  createContact,
+  updateContact,
+} from "./hubspot.js";
+import { log } from "./log.js";
+
+/**
+ * Suppression list: emails and whole domains the bot must never send to.
+ * Stored in the state store without expiry (suppress:email:<addr>, suppress:domain:<domain>).
+ *
+ * Email entries are synced to HubSpot: the contact is unsubscribed from the configured subscription
+ * types and the contact property is set. The entry records which types the contact was actually
+ * subscribed to (`subscriptionIds`); removing it resubscribes only those, never types the contact
+ * didn't consent to. Adding an address that's already listed merges into its entry, keeping those
+ * IDs. Bounce entries are local only and are never synced, either way.
+ *
+ * Env vars:
+ *   HUBSPOT_SUBSCRIPTION_IDS=123,456      # subscription types to sync; default: all active ones
+ *   SUPPRESSION_PROPERTY=bot_suppressed   # contact property (single checkbox / text); empty to skip
+ *   SUPPRESSION_SYNC=true                 # set false to keep suppression local only
+ *   RESUBSCRIBE_LEGAL_BASIS=CONSENT_WITH_NOTICE
+ */
+
+const EMAIL = "suppress:email:";
+const DOMAIN = "suppress:domain:";
+
+const normEmail = (e) => String(e || "").trim().toLowerCase();
+const normDomain = (d) => String(d || "").trim().toLowerCase().replace(/^@/, "");
+export const domainOf = (email) => normEmail(email).split("@")[1] || "";
+
+async function subscriptionIds() {
+  const configured = (process.env.HUBSPOT_SUBSCRIPTION_IDS || "").split(",").map((s) => s.trim()).filter(Boolean);
+  if (configured.length) return configured;
+  const defs = await getSubscriptionDefinitions();
+  return defs.filter((d) => d.isActive !== false && !d.isInternal).map((d) => String(d.id));
+}
+
+// Best effort: returns { ok, ids, error? } so the caller can record the sync state. Unsubscribing
+// touches only the types the contact is subscribed to and returns those IDs; resubscribing takes
+// them back as `ids`. One type failing doesn't stop the others.
+export async function syncSubscription(email, suppressed, reason, { ids } = {}) {
+  if (process.env.SUPPRESSION_SYNC === "false") return { ok: true, skipped: true };
+  const changed = [];
+  const failed = [];
+  try {
+    let targets = ids || [];
+    if (suppressed) {
+      const wanted = new Set(await subscriptionIds());
+      const statuses = await getSubscriptionStatuses(email);
+      targets = statuses.filter((s) => s.status === "SUBSCRIBED" && wanted.has(String(s.id))).map((s) => String(s.id));
+    }
+    for (const id of targets) {
+      try {
+        await setSubscription(email, id, !suppressed, suppressed ? undefined : {
+          legalBasis: process.env.RESUBSCRIBE_LEGAL_BASIS || "CONSENT_WITH_NOTICE",
+          legalBasisExplanation: reason,
+        });
+        changed.push(id);
+      } catch (e) {
+        failed.push(`${id}: ${e?.message || e}`);
+      }
+    }
+    if (failed.length) throw new Error(`subscription ${failed.join("; ")}`);
+    const prop = process.env.SUPPRESSION_PROPERTY ?? "bot_suppressed";
+    if (prop) {
+      let id = await findContactByEmail(email);
+      if (!id && suppressed) id = await createContact(email);
+      if (id && !(await updateContact(id, { [prop]: String(suppressed) }))) {
+        log.warn("suppression.tag_failed", { email, hint: `ensure contact property "${prop}" exists` });
+      }
+    }
+    return { ok: true, ids: changed };
+  } catch (e) {
+    log.warn("suppression.sync_failed", { email, suppressed, error: e });
+    return { ok: false, ids: changed, error: e?.message || String(e) };
+  }
+}
+
+export class SuppressionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SuppressionError";
+    this.status = status;
+  }
+}
+
+export function createSuppressionList(store) {
+  async function get(value) {
+    const v = String(value || "");
+    return v.includes("@") ? store.get(EMAIL + normEmail(v)) : store.get(DOMAIN + normDomain(v));
+  }
+
+  return {
+    get,
+    // The matching entry (email first, then domain) or null.
+    async check(email) {
+      if (!email) return null;
+      return (await store.get(EMAIL + normEmail(email))) || (await store.get(DOMAIN + domainOf(email))) || null;
+    },
+    async add({ email, domain, reason = "", source = "admin", threadId, sync = true }) {
+      const base = email
+        ? { type: "email", value: normEmail(email) }
+        : { type: "domain", value: normDomain(domain) };
+      if (!base.value || (base.type === "email" && !base.value.includes("@"))) throw new Error("email or domain required");
+      const key = (base.type === "email" ? EMAIL : DOMAIN) + base.value;
+      // A repeat unsubscribe or a later bounce merges into the existing entry: the original reason,
+      // source and the types it unsubscribed stay, so removing it still restores them.
+      const existing = await store.get(key);
+      const entry = existing
+        ? { ...existing, updatedAt: new Date().toISOString() }
+        : { ...base, reason, source, threadId, createdAt: new Date().toISOString() };
+      if (entry.type === "email" && sync && source !== "bounce") {
+        const r = await syncSubscription(entry.value, true, reason);
+        entry.synced = r.ok;
+        entry.subscriptionIds = [...new Set([...(existing?.subscriptionIds || []), ...(r.ids || [])])];
+        if (r.error) entry.syncError = r.error;
+        else delete entry.syncError;
+      }
+      await store.set(key, entry);
+      log.info(existing ? "suppression.merged" : "suppression.added", { type: entry.type, value: entry.value, source, synced: entry.synced });
+      return entry;
+    },
+    // `reason` becomes the legal-basis explanation for resubscribing, so it must say why.
+    async remove(value, { reason = "", sync = true } = {}) {
+      const entry = await get(value);
+      if (!entry) return null;
+      // Only entries that were synced on the way in are synced on the way out (not bounces or ?sync=false).
+      const resync = sync && entry.type === "email" && entry.synced !== undefined;
+      if (resync && entry.subscriptionIds?.length && !String(reason).trim()) {
+        throw new SuppressionError("a reason is required: it is sent to HubSpot as the explanation for resubscribing");
+      }
+      await store.del((entry.type === "email" ? EMAIL : DOMAIN) + entry.value);
+      if (resync) await syncSubscription(entry.value, false, reason, { ids: entry.subscriptionIds || [] });
+      log.info("suppression.removed", { type: entry.type, value: entry.value });
+      return entry;
+    },
+    async list() {
+      const out = [];
+      for (const key of [...(await store.keys(EMAIL)), ...(await store.keys(DOMAIN))]) {
+        const e = await store.get(key);
+        if (e) out.push(e);
+      }
+      return out.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    },
+  };
+}
+
+// Admin routes, mounted behind requireAdmin.
+export function suppressionRoutes(list) {
+  const r = express.Router();
+  r.get("/suppressions", asyncRoute(async (req, res) => {
+    let results = await list.list();
+    if (req.query.type) results = results.filter((e) => e.type === req.query.type);
+    res.json({ total: results.length, results });
+  }));
+  r.get("/suppressions/:value", asyncRoute(async (req, res) => {
+    const entry = await list.get(req.params.value);
+    if (!entry) return res.status(404).json({ error: "not found" });
+    res.json(entry);
+  }));
+  r.post("/suppressions", asyncRoute(async (req, res) => {
+    const { email, domain, reason } = req.body || {};
+    if (!email === !domain) return res.status(400).json({ error: "provide exactly one of email or domain" });
+    if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) return res.status(400).json({ error: "invalid email" });
+    const entry = await list.add({ email, domain, reason, source: "admin", sync: req.query.sync !== "false" });
+    res.status(201).json(entry);
+  }));
+  r.delete("/suppressions/:value", asyncRoute(async (req, res) => {
+    let entry;
+    try {
+      entry = await list.remove(req.params.value, { reason: req.body?.reason, sync: req.query.sync !== "false" });
+    } catch (e) {
+      if (e instanceof SuppressionError) return res.status(e.status).json({ error: e.message });
+      throw e;
+    }
+    if (!entry) return res.status(404).json({ error: "not found" });
+    res.sendStatus(204);
+  }));
+  return r;
+}
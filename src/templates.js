@@ -0,0 +1,303 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * File-based reply templates.
+ *
+ * Layout (TEMPLATES_DIR, default ./templates):
+ *   <intent>.txt            plain-text body; optional front matter sets the subject:
+ *                             ---
+ *                             subject: Re: {{inbound.subject | "your message"}}
+ *                             ---
+ *   <intent>.html           optional HTML variant (sent as richText)
+ *   <intent>.chat.txt       optional plain-text variant for chat channels; also <intent>.whatsapp.txt,
+ *                           <intent>.messenger.txt (see src/channels.js)
+ *   partials/<name>.txt     included with {{> name}}; partials/<name>.html for the HTML variant
+ *   <locale>/…              same layout per locale (es/, de/, pt-br/); missing files fall back
+ *
+ * Syntax:
+ *   {{contact.firstname}}                  value (HTML-escaped in .html templates)
+ *   {{contact.firstname | "there"}}        with a default when empty
+ *   {{{settings.calendly}}}                raw, unescaped
+ *   {{#if contact.company}}…{{else}}…{{/if}}, {{#unless …}}…{{/unless}}
+ *   {{> signature}}
+ *
+ * Every variable a template references must be in VARIABLES (or a TEMPLATE_<NAME> env setting);
+ * unknown variables and partials fail at load.
+ *
+ * Env vars:
+ *   TEMPLATES_DIR=./templates
+ *   DEFAULT_LOCALE=en                         # locale of the files directly in TEMPLATES_DIR
+ *   CALENDLY_URL, COMPANY_NAME, SENDER_NAME   # settings.calendly / settings.company / settings.sender_name
+ *   TEMPLATE_<NAME>=...                       # extra settings.<name>, e.g. TEMPLATE_PHONE -> settings.phone
+ */
+
+export const VARIABLES = [
+  "contact.email", "contact.firstname", "contact.lastname", "contact.company",
+  "contact.owner", "contact.owner_firstname", "contact.owner_email",
+  "inbound.subject",
+  "thread.id",
+  "intent", "locale",
+  "schedule.next_open", "schedule.timezone",
+  "settings.calendly", "settings.company", "settings.sender_name",
+];
+
+const envSettings = () => {
+  const out = {
+    calendly: process.env.CALENDLY_URL || "<YOUR-CALENDLY-LINK>",
+    company: process.env.COMPANY_NAME || "",
+    sender_name: process.env.SENDER_NAME || "",
+  };
+  for (const [k, v] of Object.entries(process.env)) {
+    const m = /^TEMPLATE_([A-Z0-9_]+)$/.exec(k);
+    if (m) out[m[1].toLowerCase()] = v;
+  }
+  return out;
+};
+
+const knownVariables = () => new Set([...VARIABLES, ...Object.keys(envSettings()).map((k) => `settings.${k}`)]);
+
+const escapeHtml = (s) => String(s)
+  .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+
+// ===== Parsing =====
+const TAG_RE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(#if|#unless|else|\/if|\/unless|>)?\s*(.*?)\s*\}\}/g;
+// A block tag alone on its line shouldn't leave a blank line behind.
+const STANDALONE_RE = /^[ \t]*(\{\{\s*(?:#if|#unless|else|\/if|\/unless)\b[^}]*\}\})[ \t]*\r?\n/gm;
+
+function parseExpr(expr, where) {
+  const m = /^([\w.]+)\s*(?:\|\s*"((?:[^"\\]|\\.)*)")?$/.exec(expr);
+  if (!m) throw new Error(`${where}: cannot parse "{{${expr}}}"`);
+  return { path: m[1], def: m[2] !== undefined ? m[2].replace(/\\(.)/g, "$1") : undefined };
+}
+
+export function parseTemplate(source, where = "template") {
+  const root = [];
+  // Each frame is an open block and the branch currently being filled.
+  const stack = [{ node: null, cur: root }];
+  const top = () => stack[stack.length - 1];
+  let last = 0;
+  const src = source.replace(STANDALONE_RE, "$1");
+
+  for (const m of src.matchAll(TAG_RE)) {
+    if (m.index > last) top().cur.push({ type: "text", value: src.slice(last, m.index) });
+    last = m.index + m[0].length;
+    const [, raw, kind, expr] = m;
+    if (raw) {
+      top().cur.push({ type: "var", path: raw, raw: true });
+    } else if (!kind) {
+      top().cur.push({ type: "var", ...parseExpr(expr, where), raw: false });
+    } else if (kind === ">") {
+      if (!/^[\w-]+$/.test(expr)) throw new Error(`${where}: bad partial name "${expr}"`);
+      top().cur.push({ type: "partial", name: expr });
+    } else if (kind === "#if" || kind === "#unless") {
+      const node = { type: "if", path: parseExpr(expr, where).path, negate: kind === "#unless", then: [], else: [], block: kind.slice(1) };
+      top().cur.push(node);
+      stack.push({ node, cur: node.then });
+    } else if (kind === "else") {
+      if (!top().node) throw new Error(`${where}: {{else}} outside a block`);
+      top().cur = top().node.else;
+    } else {
+      if (!top().node || top().node.block !== kind.slice(1)) throw new Error(`${where}: unexpected {{${kind}}}`);
+      stack.pop();
+    }
+  }
+  if (stack.length > 1) throw new Error(`${where}: unclosed {{#${top().node.block}}}`);
+  if (last < src.length) root.push({ type: "text", value: src.slice(last) });
+  return root;
+}
+
+function collect(nodes, vars = new Set(), partials = new Set()) {
+  for (const n of nodes) {
+    if (n.type === "var") vars.add(n.path);
+    else if (n.type === "partial") partials.add(n.name);
+    else if (n.type === "if") {
+      vars.add(n.path);
+      collect(n.then, vars, partials);
+      collect(n.else, vars, partials);
+    }
+  }
+  return { vars, partials };
+}
+
+// ===== Rendering =====
+const lookup = (ctx, p) => p.split(".").reduce((o, k) => (o == null ? undefined : o[k]), ctx);
+const present = (v) => v !== undefined && v !== null && v !== "" && v !== false;
+
+function renderNodes(nodes, ctx, { html, partial }) {
+  let out = "";
+  for (const n of nodes) {
+    if (n.type === "text") out += n.value;
+    else if (n.type === "var") {
+      const v = lookup(ctx, n.path);
+      const s = present(v) ? String(v) : (n.def ?? "");
+      out += html && !n.raw ? escapeHtml(s) : s;
+    } else if (n.type === "if") {
+      const truthy = present(lookup(ctx, n.path));
+      out += renderNodes(truthy !== n.negate ? n.then : n.else, ctx, { html, partial });
+    } else if (n.type === "partial") {
+      out += partial(n.name, html);
+    }
+  }
+  return out;
+}
+
+function splitFrontMatter(source) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(source);
+  if (!m) return { meta: {}, body: source };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^(\w+):\s*(.*)$/.exec(line.trim());
+    if (kv) meta[kv[1]] = kv[2];
+  }
+  return { meta, body: source.slice(m[0].length) };
+}
+
+const tidy = (s) => s.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+const textToHtml = (s) => escapeHtml(s).replace(/\r?\n/g, "<br>\n");
+
+// ===== Engine =====
+const LOCALE_DIR_RE = /^[a-z]{2}(?:-[a-z]{2})?$/i;
+
+// Reads one directory of templates + partials; parse errors are collected, not thrown.
+function loadSet(root, errors) {
+  const read = (f) => (fs.existsSync(f) ? fs.readFileSync(f, "utf8") : null);
+  const rel = (f) => path.relative(process.cwd(), f);
+  const load = (file) => {
+    const src = read(file);
+    if (src === null) return null;
+    try {
+      return parseTemplate(src, rel(file));
+    } catch (e) {
+      errors.push(e.message);
+      return null;
+    }
+  };
+
+  const partials = {};
+  const partialDir = path.join(root, "partials");
+  if (fs.existsSync(partialDir)) {
+    for (const f of fs.readdirSync(partialDir)) {
+      const m = /^([\w-]+)\.(txt|html)$/.exec(f);
+      if (!m) continue;
+      partials[m[1]] = partials[m[1]] || {};
+      partials[m[1]][m[2]] = load(path.join(partialDir, f));
+    }
+  }
+
+  const templates = {};
+  for (const f of fs.existsSync(root) ? fs.readdirSync(root) : []) {
+    const m = /^([\w-]+(?:\.[\w-]+)?)\.txt$/.exec(f);
+    if (!m) continue;
+    const source = read(path.join(root, f));
+    const { meta, body } = splitFrontMatter(source);
+    const where = rel(path.join(root, f));
+    // Content hash of the .txt and .html files, recorded with every reply (see src/audit.js).
+    const version = crypto.createHash("sha256").update(source).update("\0").update(read(path.join(root, `${m[1]}.html`)) || "").digest("hex").slice(0, 12);
+    try {
+      templates[m[1]] = {
+        name: m[1],
+        where,
+        version,
+        subject: parseTemplate(meta.subject || 'Re: {{inbound.subject | "your message"}}', `${where} (subject)`),
+        text: parseTemplate(body, where),
+        html: load(path.join(root, `${m[1]}.html`)),
+      };
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+  return { templates, partials };
+}
+
+/**
+ * Locales: templates/<locale>/ (e.g. templates/es/pricing.txt, templates/es/partials/signature.txt)
+ * override the default-locale files in templates/. Anything a locale lacks comes from the default.
+ */
+export function createTemplateEngine({
+  dir = process.env.TEMPLATES_DIR || "./templates",
+  defaultLocale = process.env.DEFAULT_LOCALE || "en",
+} = {}) {
+  const root = path.resolve(dir);
+  const errors = [];
+  const known = knownVariables();
+
+  const base = { locale: defaultLocale, ...loadSet(root, errors) };
+  if (!base.templates.fallback) errors.push(`${path.relative(process.cwd(), root)}: missing required template fallback.txt`);
+
+  const sets = { [defaultLocale]: base };
+  for (const f of fs.existsSync(root) ? fs.readdirSync(root) : []) {
+    if (!LOCALE_DIR_RE.test(f) || !fs.statSync(path.join(root, f)).isDirectory()) continue;
+    const loc = loadSet(path.join(root, f), errors);
+    sets[f.toLowerCase()] = { locale: f.toLowerCase(), templates: loc.templates, partials: { ...base.partials, ...loc.partials } };
+  }
+
+  for (const set of Object.values(sets)) {
+    const check = (nodes, where) => {
+      if (!nodes) return;
+      const { vars, partials: used } = collect(nodes);
+      for (const v of vars) if (!known.has(v)) errors.push(`${where}: unknown variable "${v}"`);
+      for (const p of used) if (!set.partials[p]) errors.push(`${where}: unknown partial "${p}"`);
+    };
+    for (const [name, parts] of Object.entries(set.partials)) {
+      if (set !== base && base.partials[name] === parts) continue;
+      const prefix = set === base ? "" : `${set.locale}/`;
+      check(parts.txt, `${prefix}partials/${name}.txt`);
+      check(parts.html, `${prefix}partials/${name}.html`);
+    }
+    for (const t of Object.values(set.templates)) {
+      check(t.subject, `${t.where} (subject)`);
+      check(t.text, t.where);
+      check(t.html, t.where.replace(/\.txt$/, ".html"));
+    }
+  }
+  if (errors.length) throw new Error(`Invalid templates in ${root}:\n  - ${errors.join("\n  - ")}`);
+
+  const renderPartial = (set, ctx, depth) => (name, html) => {
+    if (depth > 5) throw new Error(`Partial nesting too deep at "${name}"`);
+    const p = set.partials[name];
+    const opts = { partial: renderPartial(set, ctx, depth + 1) };
+    if (!html) return renderNodes(p.txt || [], ctx, { ...opts, html: false }).replace(/\n$/, "");
+    if (p.html) return renderNodes(p.html, ctx, { ...opts, html: true }).replace(/\n$/, "");
+    return textToHtml(renderNodes(p.txt || [], ctx, { ...opts, html: false }).replace(/\n$/, ""));
+  };
+
+  // "es-MX" -> es-mx, then es, then the default locale.
+  const setFor = (locale) => {
+    const l = String(locale || "").toLowerCase();
+    return sets[l] || sets[l.split("-")[0]] || base;
+  };
+
+  // Locale template, then default-locale template, then locale fallback, then default fallback.
+  const resolve = (name, locale) => {
+    const set = setFor(locale);
+    if (set.templates[name]) return { set, t: set.templates[name] };
+    if (base.templates[name]) return { set: base, t: base.templates[name] };
+    if (set.templates.fallback) return { set, t: set.templates.fallback };
+    return { set: base, t: base.templates.fallback };
+  };
+
+  return {
+    names: Object.keys(base.templates),
+    locales: Object.keys(sets),
+    has: (name, locale) => Boolean(setFor(locale).templates[name] || base.templates[name]),
+    // First of `names` the locale has, then the first the default locale has (locale beats variant).
+    pick: (names, locale) => names.find((n) => setFor(locale).templates[n]) || names.find((n) => base.templates[n]) || names[names.length - 1],
+    // Returns { template, version, locale, subject, text, html? }; unknown names render the fallback.
+    render(name, context, locale) {
+      const { set, t } = resolve(name, locale);
+      const ctx = { ...context, settings: { ...envSettings(), ...(context?.settings || {}) } };
+      const opts = { partial: renderPartial(set, ctx, 0) };
+      return {
+        template: set === base ? t.name : `${set.locale}/${t.name}`,
+        version: t.version,
+        locale: set.locale,
+        subject: tidy(renderNodes(t.subject, ctx, { ...opts, html: false })),
+        text: tidy(renderNodes(t.text, ctx, { ...opts, html: false })),
+        html: t.html ? renderNodes(t.html, ctx, { ...opts, html: true }).trim() : undefined,
+      };
+    },
+  };
+}
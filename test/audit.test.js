@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStateStore } from "../src/state.js";
+import { createAuditLog, toCsv } from "../src/audit.js";
+
+test("queries by date range, thread, email, intent and action, newest first", async (t) => {
+  const audit = createAuditLog(await createStateStore("memory"));
+  const tick = () => new Promise((r) => setTimeout(r, 5));
+  await audit.record({ threadId: "1", email: "a@acme.com", intent: "pricing", action: "sent" });
+  await tick();
+  const mid = new Date().toISOString();
+  await tick();
+  await audit.record({ threadId: "2", email: "B@acme.com", intent: "demo", action: "skipped", reason: "suppressed" });
+  await tick();
+  await audit.record({ threadId: "2", email: "b@acme.com", intent: "demo", action: "drafted", reason: "low_confidence" });
+
+  assert.deepEqual((await audit.query()).map((e) => e.action), ["drafted", "skipped", "sent"]);
+  assert.deepEqual((await audit.query({ from: mid })).map((e) => e.threadId), ["2", "2"]);
+  assert.deepEqual((await audit.query({ to: mid })).map((e) => e.threadId), ["1"]);
+  assert.equal((await audit.query({ to: mid.slice(0, 10) })).length, 3, "a date-only `to` includes that whole day");
+  assert.equal((await audit.query({ email: "b@ACME.com" })).length, 2);
+  assert.equal((await audit.query({ intent: "pricing" }))[0].threadId, "1");
+  assert.equal((await audit.query({ threadId: 2, action: "skipped" }))[0].reason, "suppressed");
+  assert.equal((await audit.query({ limit: 1 })).length, 1);
+  await assert.rejects(audit.query({ from: "last week" }), /from must be an ISO date or time/);
+
+  process.env.AUDIT_RETENTION_DAYS = "7";
+  t.after(() => delete process.env.AUDIT_RETENTION_DAYS);
+  const ttls = [];
+  await createAuditLog({ set: async (_k, _v, ttl) => ttls.push(ttl), zadd: async (_k, _m, _s, ttl) => ttls.push(ttl) })
+    .record({ threadId: "3", action: "sent" });
+  assert.deepEqual(ttls, [7 * 24 * 60 * 60 * 1000, 7 * 24 * 60 * 60 * 1000]);
+});
+
+test("reads only the indexes of the days in the range, never past the retention period or via keys()", async (t) => {
+  process.env.AUDIT_RETENTION_DAYS = "3";
+  t.after(() => delete process.env.AUDIT_RETENTION_DAYS);
+  const store = await createStateStore("memory");
+  const read = [];
+  const zrange = store.zrange;
+  store.zrange = (key, ...bounds) => {
+    read.push(key);
+    return zrange(key, ...bounds);
+  };
+  store.keys = () => assert.fail("audit queries must not scan the store");
+  const audit = createAuditLog(store);
+  const entry = await audit.record({ threadId: "1", action: "sent" });
+  const today = entry.at.slice(0, 10);
+  assert.deepEqual(await zrange(`audit:day:${today}`), [`audit:${today}:${entry.at}:${entry.id}`]);
+
+  read.length = 0;
+  assert.equal((await audit.query({ from: today })).length, 1);
+  assert.deepEqual(read, [`audit:day:${today}`]);
+  assert.equal((await audit.query({ from: new Date(Date.parse(entry.at) + 1).toISOString() })).length, 0);
+
+  read.length = 0;
+  assert.equal((await audit.query({ to: "2000-01-01" })).length, 0);
+  assert.deepEqual(read, [], "a range older than the retention period reads nothing");
+
+  read.length = 0;
+  await audit.query();
+  assert.ok(read.length >= 3 && read.length <= 4, `${read.length} days read`);
+  assert.equal(read[0], `audit:day:${today}`);
+
+  // A record that expired before its day's index is skipped.
+  await store.del(`audit:${today}:${entry.at}:${entry.id}`);
+  assert.deepEqual(await audit.query(), []);
+});
+
+test("CSV export quotes separators and defuses spreadsheet formulas", () => {
+  const csv = toCsv([{ at: "2026-10-19T10:00:00.000Z", threadId: "7", action: "skipped", reason: "=HYPERLINK(\"x\")", detail: { domain: "a.com", n: 1 } }]);
+  const [header, row] = csv.split("\r\n");
+  assert.equal(header, "at,eventId,portalId,threadId,messageId,email,channel,intent,confidence,action,reason,template,templateVersion,hubspotStatus,detail");
+  assert.equal(row, `2026-10-19T10:00:00.000Z,,,7,,,,,,skipped,"'=HYPERLINK(""x"")",,,,"{""domain"":""a.com"",""n"":1}"`);
+});
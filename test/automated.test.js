@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectAutomated, outboundRecipients, parseDeliveryReport } from "../src/automated.js";
+
+const from = (email, name = "") => [{ actorId: "V-1", name, deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: email } }];
+
+test("parses RFC 3464 delivery reports", () => {
+  const dsn = [
+    "Reporting-MTA: dns; mx.example.net",
+    "",
+    "Final-Recipient: rfc822; nobody@example.org",
+    "Action: failed",
+    "Status: 5.1.1",
+    "Diagnostic-Code: smtp; 550 5.1.1 <nobody@example.org>: Recipient address rejected: User unknown",
+  ].join("\n");
+  const r = detectAutomated({ subject: "Undelivered Mail Returned to Sender", text: dsn, senders: from("MAILER-DAEMON@mx.example.net") });
+  assert.equal(r.kind, "bounce");
+  assert.equal(r.hard, true);
+  assert.equal(r.status, "5.1.1");
+  assert.deepEqual(r.recipients, ["nobody@example.org"]);
+  assert.match(r.diagnostic, /User unknown/);
+});
+
+test("tells soft bounces from hard ones", () => {
+  const full = parseDeliveryReport("Final-Recipient: rfc822; busy@example.org\nAction: delayed\nStatus: 4.2.2\nMailbox full");
+  assert.equal(full.hard, false);
+  const de = detectAutomated({ subject: "Unzustellbar: Angebot", text: "Die Adresse wurde nicht gefunden: weg@example.de", senders: from("postmaster@example.de") });
+  assert.equal(de.hard, true);
+  assert.deepEqual(de.recipients, ["weg@example.de"]);
+});
+
+test("only trusts bounces from a mailer-daemon or with DSN headers", () => {
+  const ndr = "Your message wasn't delivered to ceo@acme.example because the address couldn't be found.";
+  const forged = detectAutomated({ subject: "Undeliverable: Invoice", text: ndr, senders: from("someone@example.com") });
+  assert.equal(forged.kind, "bounce");
+  assert.equal(forged.reason, "subject:ndr");
+  assert.equal(forged.verified, false);
+  assert.equal(detectAutomated({ subject: "Undeliverable: Invoice", text: ndr, senders: from("x@example.com", "Mail Delivery System") }).verified, false);
+  assert.equal(detectAutomated({ subject: "Undeliverable: Invoice", text: ndr, senders: from("MAILER-DAEMON@mx.example.net") }).verified, true);
+  assert.equal(detectAutomated({ subject: "Re: Invoice", text: ndr, headers: { "X-Failed-Recipients": "ceo@acme.example" }, senders: from("x@example.com") }).verified, true);
+  assert.equal(detectAutomated({ subject: "Invoice", text: ndr, headers: { "Content-Type": 'multipart/report; report-type="delivery-status"' }, senders: from("x@example.com") }).verified, true);
+});
+
+test("collects the addresses a thread's outgoing messages went to", () => {
+  const to = (value) => ({ recipientField: "TO", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value } });
+  const sent = outboundRecipients([
+    { direction: "OUTGOING", recipients: [to("A@acme.com"), { deliveryIdentifier: { type: "HS_PHONE_NUMBER", value: "+1555" } }] },
+    { direction: "OUTGOING", recipients: [{ deliveryIdentifiers: [{ type: "HS_EMAIL_ADDRESS", value: "b@acme.com" }] }] },
+    { direction: "INCOMING", recipients: [to("bot@us.com")], senders: from("c@acme.com") },
+  ]);
+  assert.deepEqual([...sent].sort(), ["a@acme.com", "b@acme.com"]);
+});
+
+test("recognizes auto-reply headers and out-of-office phrasing in several languages", () => {
+  const reason = (m) => detectAutomated({ subject: "Re: Hello", text: "Hi", senders: from("x@example.com"), ...m })?.reason;
+  assert.equal(reason({ headers: { "Auto-Submitted": "auto-replied" } }), "header:auto-submitted");
+  assert.equal(reason({ headers: [{ name: "X-Autoreply", value: "yes" }] }), "header:x-autoreply");
+  assert.equal(reason({ headers: { Precedence: "bulk" } }), "header:precedence");
+  assert.equal(reason({ headers: { "Auto-Submitted": "no" } }), undefined);
+  assert.equal(reason({ subject: "Respuesta automática: Precios" }), "ooo:subject");
+  assert.equal(reason({ subject: "Abwesenheitsnotiz: Demo" }), "ooo:subject");
+  assert.equal(reason({ text: "Bonjour, je suis absente jusqu'au 3 mars." }), "ooo:text");
+  assert.equal(reason({ text: "How much is the Growth plan for 5 seats?" }), undefined);
+});
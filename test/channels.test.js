@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { channelTypeOf, recipientFor, truncate, fitToChannel, templateVariants, checkChannelConfig } from "../src/channels.js";
+import { createTemplateEngine } from "../src/templates.js";
+
+test("maps channel IDs to types, with CHANNEL_TYPES for custom channels", (t) => {
+  assert.equal(channelTypeOf("1000"), "chat");
+  assert.equal(channelTypeOf(1007), "whatsapp");
+  assert.equal(channelTypeOf("1002"), "email");
+  assert.equal(channelTypeOf("9999"), "email");
+  process.env.CHANNEL_TYPES = "9999:chat, 1002:messenger";
+  t.after(() => delete process.env.CHANNEL_TYPES);
+  assert.equal(channelTypeOf("9999"), "chat");
+  assert.equal(channelTypeOf("1002"), "messenger");
+  process.env.CHANNEL_TYPES = "9999:sms";
+  assert.throws(() => checkChannelConfig(), /channel 9999 has unknown type "sms"/);
+});
+
+test("addresses replies per channel type", () => {
+  const whatsapp = { senders: [{ actorId: "V-9", deliveryIdentifier: { type: "HS_PHONE_NUMBER", value: "+15550100" } }] };
+  assert.deepEqual(recipientFor("email", {}, { toEmail: "a@example.com" }).deliveryIdentifier, { type: "HS_EMAIL_ADDRESS", value: "a@example.com" });
+  assert.equal(recipientFor("email", whatsapp, {}), null);
+  assert.deepEqual(recipientFor("whatsapp", whatsapp).deliveryIdentifiers, [{ type: "HS_PHONE_NUMBER", value: "+15550100" }]);
+  assert.equal(recipientFor("whatsapp", whatsapp).actorId, "V-9");
+  assert.equal(recipientFor("messenger", whatsapp), null);
+  assert.deepEqual(recipientFor("chat", { senders: [{ actorId: "V-3" }] }, { toEmail: "a@example.com" }), { actorId: "V-3" });
+  assert.equal(recipientFor("chat", { senders: [] }), null);
+});
+
+test("truncates at paragraph, sentence or word boundaries", () => {
+  assert.equal(truncate("short", 100), "short");
+  assert.equal(truncate("First paragraph here.\n\nSecond paragraph is long.", 30), "First paragraph here.\n\n…");
+  assert.equal(truncate("One sentence here. Another one that runs on.", 30), "One sentence here. …");
+  const words = truncate("alpha beta gamma delta epsilon zeta", 20);
+  assert.ok(words.length <= 20);
+  assert.equal(words, "alpha beta gamma…");
+});
+
+test("drops subject and HTML outside email and caps chat length", (t) => {
+  const reply = { subject: "Re: hi", text: "x ".repeat(800).trim(), html: "<p>x</p>" };
+  assert.deepEqual(fitToChannel(reply, "email"), { ...reply, channel: "email" });
+  process.env.CHAT_MAX_LENGTH = "100";
+  t.after(() => delete process.env.CHAT_MAX_LENGTH);
+  const chat = fitToChannel(reply, "chat");
+  assert.equal(chat.subject, undefined);
+  assert.equal(chat.html, undefined);
+  assert.ok(chat.text.length <= 100);
+  assert.equal(chat.truncated, true);
+  process.env.CHAT_MAX_LENGTH = "0";
+  assert.ok(fitToChannel(reply, "messenger").text.length === reply.text.length);
+});
+
+test("chat template variants, with the contact's locale winning over the variant", () => {
+  const templates = createTemplateEngine({ dir: "./templates" });
+  assert.deepEqual(templateVariants("pricing", "whatsapp"), ["pricing.whatsapp", "pricing.chat", "pricing"]);
+  assert.equal(templates.pick(templateVariants("pricing", "whatsapp"), "en"), "pricing.chat");
+  assert.equal(templates.pick(templateVariants("pricing", "chat"), "es"), "pricing");
+  assert.equal(templates.pick(templateVariants("demo", "chat"), "en"), "demo");
+  assert.equal(templates.pick(templateVariants("pricing", "email"), "en"), "pricing");
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createIntentEngine } from "../src/intents.js";
+import { keywordClassifier, modelClassifier, parseLabeledExport, predict, trainNaiveBayes } from "../src/classifier.js";
+import { normalizeMessage } from "../src/normalize.js";
+
+const csv = fs.readFileSync(new URL("../mock/fixtures/labeled-threads.csv", import.meta.url), "utf8");
+const examples = parseLabeledExport(csv, "csv", normalizeMessage);
+const intents = await createIntentEngine({ watch: false });
+
+test("reads a labeled CSV export with quoted fields and strips quoted history", () => {
+  assert.equal(examples.length, 15);
+  assert.equal(examples[1].text, "What are your prices? We need a quote, ideally monthly.");
+  assert.equal(examples[9].text, "Happy to jump on a call to see a live demo.");
+  assert.deepEqual(parseLabeledExport('{"subject":"x","body":"y","label":"demo"}\n\n{"text":"","intent":"demo"}', "jsonl"), [{ subject: "x", text: "y", intent: "demo" }]);
+});
+
+test("a trained model returns per-intent probabilities", () => {
+  const model = trainNaiveBayes(examples);
+  const p = predict(model, { subject: "Question", text: "what is the monthly price per agent?" });
+  assert.deepEqual(Object.keys(p).sort(), ["demo", "pricing", "support"]);
+  assert.equal(Object.keys(p)[0], "pricing");
+  assert.ok(Math.abs(Object.values(p).reduce((a, b) => a + b, 0) - 1) < 0.01);
+  assert.equal(Object.keys(predict(model, { subject: "", text: "the page crashes with an error" }))[0], "support");
+});
+
+test("the model classifier defers to global keyword intents", () => {
+  const classifier = modelClassifier(trainNaiveBayes(examples), intents);
+  const unsub = classifier.classify({ subject: "Pricing", text: "please unsubscribe me" }, "en");
+  assert.deepEqual([unsub.intent, unsub.confidence, unsub.engine], ["unsubscribe", 1, "keyword"]);
+  const demo = classifier.classify({ subject: "", text: "Can we schedule a walkthrough call?" }, "en");
+  assert.equal(demo.intent, "demo");
+  assert.equal(demo.engine, "model");
+});
+
+test("keyword confidence grows with matched points and drops when intents compete", () => {
+  const classifier = keywordClassifier(intents);
+  const clear = classifier.classify({ subject: "", text: "Can I get a demo?" }, "en");
+  const strong = classifier.classify({ subject: "Demo", text: "Can I get a demo and a trial walkthrough?" }, "en");
+  const mixed = classifier.classify({ subject: "", text: "Can I get a demo and what is your pricing?" }, "en");
+  assert.equal(clear.intent, "demo");
+  assert.equal(clear.confidence, 0.8);
+  assert.ok(strong.confidence > clear.confidence);
+  assert.ok(mixed.confidence < 0.5, `two intents matched equally: ${mixed.confidence}`);
+});
+
+test("nothing matched means no confidence in the default intent", () => {
+  const classifier = keywordClassifier(intents);
+  for (const text of ["Hello", "asdf qwer zxcv"]) {
+    const r = classifier.classify({ subject: "", text }, "en");
+    assert.equal(r.intent, "fallback");
+    assert.equal(r.confidence, 0);
+    assert.deepEqual(r.probabilities, { fallback: 0 });
+  }
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planReply, soundsFrustrated } from "../src/conversation.js";
+
+const config = { maxBotTurns: 3, escalateIntent: "human", sequences: { pricing: ["pricing", "qualifying", "booking"] } };
+const convo = (over = {}) => ({ botTurns: 0, templatesSent: [], sentMessageIds: [], sequence: null, escalated: false, ...over });
+const plan = (intent, over = {}, opts = {}) => planReply({ intent, defaultIntent: "fallback", convo: convo(over), config, ...opts });
+
+test("starts and continues a sequence without repeating a template", () => {
+  assert.deepEqual(plan("pricing"), { action: "reply", template: "pricing", sequence: "pricing", position: 1 });
+  assert.equal(plan("fallback", { botTurns: 1, templatesSent: ["pricing"], sequence: "pricing" }).template, "qualifying");
+  assert.equal(plan("pricing", { botTurns: 2, templatesSent: ["pricing", "qualifying"], sequence: "pricing" }).template, "booking");
+  // A different intent mid-sequence gets its own answer, once.
+  assert.deepEqual(plan("support", { botTurns: 1, templatesSent: ["pricing"], sequence: "pricing" }), { action: "reply", template: "support", sequence: null, position: null });
+  assert.deepEqual(plan("support", { botTurns: 1, templatesSent: ["support"] }), { action: "escalate", reason: "nothing_new" });
+});
+
+test("escalates on frustration or too many bot turns and stays quiet afterwards", () => {
+  assert.equal(plan("human").reason, "frustration");
+  assert.equal(plan("pricing", {}, { frustrated: true }).reason, "frustration");
+  assert.equal(plan("fallback", { botTurns: 3, templatesSent: ["pricing", "qualifying", "booking"] }).reason, "max_turns");
+  assert.deepEqual(plan("pricing", { escalated: true }), { action: "skip", reason: "escalated" });
+  assert.deepEqual(plan("pricing", { botTurns: 1 }, { humanEngaged: true }), { action: "skip", reason: "human_engaged" });
+});
+
+test("recognizes shouting", () => {
+  assert.equal(soundsFrustrated("Where is my invoice???"), true);
+  assert.equal(soundsFrustrated("WHY IS NOBODY ANSWERING MY EMAILS"), true);
+  assert.equal(soundsFrustrated("Can I get an API key?"), false);
+  assert.equal(soundsFrustrated("OK"), false);
+});
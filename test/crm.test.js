@@ -0,0 +1,46 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHubSpotMock } from "../mock/hubspot-mock.js";
+import { createStateStore } from "../src/state.js";
+import { compileCrmRules, createCrmSync } from "../src/crm.js";
+import { TOKEN } from "./helpers.js";
+
+const mock = createHubSpotMock({ token: TOKEN });
+let server;
+
+before(async () => {
+  server = await mock.listen(0);
+  Object.assign(process.env, { HUBSPOT_BASE_URL: `http://127.0.0.1:${server.address().port}`, HUBSPOT_TOKEN: TOKEN });
+});
+
+after(() => {
+  server.close();
+  delete process.env.HUBSPOT_BASE_URL;
+  delete process.env.HUBSPOT_TOKEN;
+});
+
+const rules = compileCrmRules({ intents: {
+  pricing: { object: "deal", pipeline: "default", stage: "appointmentscheduled" },
+  support: { object: "ticket", pipeline: "0", stage: "1" },
+} });
+
+test("messages handled at once on the same thread open one record between them", async () => {
+  mock.reset().load({ contacts: [{ id: "81", properties: { email: "deal@example.com" } }] });
+  const crm = createCrmSync(await createStateStore("memory"), rules);
+  const rule = crm.ruleFor("pricing");
+  const results = await Promise.all(["How much for 20 seats?", "And for 50?"].map(async (text) =>
+    crm.upsert({ threadId: "1800", rule, existingId: await crm.findRecord("1800", rule), intent: "pricing", email: "deal@example.com", text })));
+
+  assert.equal(mock.objects("deals").length, 1);
+  assert.deepEqual(results.map((r) => r.action).sort(), ["created", "updated"]);
+  assert.equal(results[0].id, results[1].id);
+  assert.equal(mock.objects("notes").length, 2);
+});
+
+test("tickets are associated with the conversation thread", async () => {
+  mock.reset();
+  const crm = createCrmSync(await createStateStore("memory"), rules);
+  await crm.upsert({ threadId: "1810", rule: crm.ruleFor("support"), intent: "support", text: "The export is broken" });
+  const [ticket] = mock.objects("tickets");
+  assert.deepEqual(ticket.associations.map((a) => [a.to.id, a.types[0].associationTypeId]), [["1810", 32]]);
+});
@@ -0,0 +1,100 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createHubSpotMock } from "../mock/hubspot-mock.js";
+import { checkEnv, checkHubSpot, formatReport, requiredScopes } from "../src/doctor.js";
+
+const TOKEN = "pat-doctor-test";
+const mock = createHubSpotMock({ token: TOKEN });
+let server;
+
+before(async () => {
+  server = await mock.listen(0);
+  process.env.HUBSPOT_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.HUBSPOT_TOKEN = TOKEN;
+  process.env.HUBSPOT_MAX_RETRIES = "0";
+});
+
+after(() => server.close());
+
+const byName = (results, name) => results.find((r) => r.name === name);
+
+test("flags invalid values, missing combinations and likely typos", () => {
+  const results = checkEnv({
+    HUBSPOT_TOKEN: "pat-x",
+    PORT: "80a",
+    BREAKER_ERROR_RATE: "1.5",
+    REPLY_MODE: "Review",
+    STATE_STORE: "postgres",
+    VERIFY_SIGNATURE: "true",
+    SENDER_ACTOR_ID: "777",
+    REDIS_URL: "http://cache:6379",
+    SEND_DELAY_MIN_MS: "5000",
+    SEND_DELAY_MAX_MS: "1000",
+    QUEUE_CONCURENCY: "4",
+  });
+  assert.equal(byName(results, "env.PORT").status, "fail");
+  assert.equal(byName(results, "env.BREAKER_ERROR_RATE").status, "fail");
+  assert.equal(byName(results, "env.REPLY_MODE"), undefined, "enum values are case-insensitive where the bot's are");
+  assert.match(byName(results, "env.STATE_STORE").detail, /memory, file, redis/);
+  assert.match(byName(results, "env.HUBSPOT_APP_SECRET").detail, /VERIFY_SIGNATURE/);
+  assert.match(byName(results, "env.SENDER_ACTOR_ID").detail, /A-1234567/);
+  assert.match(byName(results, "env.REDIS_URL").detail, /scheme/);
+  assert.equal(byName(results, "env.SEND_DELAY_MAX_MS").status, "fail");
+  assert.equal(byName(results, "env.QUEUE_CONCURENCY").status, "warn");
+  assert.equal(byName(results, "env"), undefined);
+
+  const ok = checkEnv({ HUBSPOT_TOKEN: "pat-x", VERIFY_SIGNATURE: "true", HUBSPOT_APP_SECRET: "s", ADMIN_TOKEN: "a", HUBSPOT_APP_ID: "1", SENDER_ACTOR_ID: "A-1", AUTO_REPLY: "true" });
+  assert.deepEqual(ok, [{ name: "env", status: "pass", detail: "7 variables set, all valid" }]);
+  assert.equal(byName(checkEnv({}), "env.HUBSPOT_TOKEN").status, "fail");
+  assert.match(byName(checkEnv({ HUBSPOT_TOKEN: "pat-x", NODE_ENV: "production" }), "env.STATE_STORE").detail, /lost on every restart/);
+  assert.equal(byName(checkEnv({ HUBSPOT_TOKEN: "pat-x", NODE_ENV: "production", STATE_STORE: "redis" }), "env.STATE_STORE"), undefined);
+});
+
+test("checks scopes, the sender actor and channel accounts, and creates missing properties", async () => {
+  const env = { HUBSPOT_TOKEN: TOKEN, HUBSPOT_APP_ID: "1", SENDER_ACTOR_ID: "A-777", CHANNEL_TYPES: "2001:chat" };
+  mock.reset().load({
+    tokenInfo: { hubId: 42, appId: 1, scopes: [...requiredScopes(env, { createProperties: true }).required, "communication_preferences.read", "communication_preferences.write"] },
+    actors: { "A-777": { name: "Jo Rep" } },
+    channelAccounts: [{ id: "55", channelId: "1002", name: "Support", active: true }, { id: "56", channelId: "1000", name: "Chat", active: true }],
+    properties: { contacts: [{ name: "bot_intent", type: "string" }] },
+  });
+
+  const dry = await checkHubSpot({ env });
+  assert.equal(byName(dry, "hubspot.token").detail, "portal 42");
+  assert.equal(byName(dry, "hubspot.scopes").status, "pass");
+  assert.equal(byName(dry, "hubspot.app_id").status, "pass");
+  assert.equal(byName(dry, "hubspot.sender_actor").status, "pass");
+  assert.equal(byName(dry, "hubspot.channel_accounts").detail, "1 email, 1 chat");
+  assert.match(byName(dry, "hubspot.channels").detail, /2001/);
+  assert.equal(byName(dry, "hubspot.property.contacts.bot_intent").status, "pass");
+  assert.match(byName(dry, "hubspot.property.contacts.bot_language").detail, /--create-properties/);
+
+  const fixed = await checkHubSpot({ env, createProperties: true });
+  assert.equal(fixed.filter((r) => r.status === "fixed").length, 5);
+  assert.equal(fixed.filter((r) => r.status === "fail").length, 0);
+  assert.equal(mock.db.propertyGroups.get("contacts").get("hubspot_bot").label, "HubSpot bot");
+  const suppressed = mock.db.properties.get("contacts").get("bot_suppressed");
+  assert.equal(suppressed.groupName, "hubspot_bot");
+  assert.equal(suppressed.type, "bool");
+  assert.match(formatReport(fixed), /^FIXED  hubspot\.property\.contacts\.bot_language +created \(string\) in group hubspot_bot$/m);
+  assert.match(formatReport(fixed), /0 failed, 2 warnings, 6 passed, 5 fixed$/);
+
+  const again = await checkHubSpot({ env, createProperties: true });
+  assert.equal(again.filter((r) => r.status === "fixed").length, 0);
+});
+
+test("fails on missing scopes, an unknown sender and no connected inboxes", async () => {
+  const env = { HUBSPOT_TOKEN: TOKEN, HUBSPOT_APP_ID: "9", SENDER_ACTOR_ID: "A-404" };
+  mock.reset().load({ tokenInfo: { hubId: 42, appId: 1, scopes: ["conversations.read"] } });
+  const results = await checkHubSpot({ env });
+  assert.match(byName(results, "hubspot.scopes").detail, /conversations\.write, crm\.objects\.contacts\.read/);
+  assert.match(byName(results, "hubspot.scopes").detail, /communication_preferences\.read_write/);
+  assert.equal(byName(results, "hubspot.scopes.optional").status, "warn");
+  assert.match(byName(results, "hubspot.app_id").detail, /belongs to app 1/);
+  assert.equal(byName(results, "hubspot.sender_actor").status, "fail");
+  assert.equal(byName(results, "hubspot.channel_accounts").status, "fail");
+
+  mock.reset();
+  const rejected = await checkHubSpot({ env });
+  assert.deepEqual(rejected.map((r) => [r.name, r.status]), [["hubspot.token", "fail"]]);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStateStore } from "../src/state.js";
+import { createCircuitBreaker, createSendLimits, domainBlock } from "../src/guard.js";
+import { HubSpotAuthError } from "../src/hubspot.js";
+
+test("domain block and allowlists, including subdomains", (t) => {
+  process.env.BLOCKED_DOMAINS = "spam.test, @junk.example";
+  t.after(() => {
+    delete process.env.BLOCKED_DOMAINS;
+    delete process.env.ALLOWED_DOMAINS;
+  });
+  assert.deepEqual(domainBlock("x@mail.spam.test"), { reason: "domain_blocked", domain: "mail.spam.test" });
+  assert.equal(domainBlock("x@junk.example").reason, "domain_blocked");
+  assert.equal(domainBlock("x@notspam.test"), null);
+  assert.equal(domainBlock(null), null);
+  process.env.ALLOWED_DOMAINS = "acme.com";
+  assert.equal(domainBlock("x@eu.acme.com"), null);
+  assert.deepEqual(domainBlock("x@other.com"), { reason: "domain_not_allowed", domain: "other.com" });
+});
+
+test("send caps per sender, per domain and per day, without double-counting retries", async (t) => {
+  Object.assign(process.env, { SEND_LIMIT_PER_SENDER: "2", SEND_LIMIT_PER_DOMAIN: "3", SEND_LIMIT_PER_DAY: "4" });
+  t.after(() => {
+    for (const k of ["SEND_LIMIT_PER_SENDER", "SEND_LIMIT_PER_DOMAIN", "SEND_LIMIT_PER_DAY"]) delete process.env[k];
+  });
+  const store = await createStateStore("memory");
+  store.keys = () => assert.fail("caps read counters, they don't scan keys");
+  const limits = createSendLimits(store);
+  const a = { email: "a@acme.com" };
+  await limits.record(a, "t1:m1");
+  await limits.record(a, "t1:m1");
+  assert.equal(await limits.check(a, "t2:m1"), null);
+  await limits.record(a, "t2:m1");
+  assert.deepEqual(await limits.check(a, "t3:m1"), { limit: "sender", max: 2, count: 2 });
+  assert.equal(await limits.check(a, "t2:m1"), null, "a retry of a counted send isn't blocked by itself");
+  await limits.record({ email: "b@acme.com" }, "t4:m1");
+  assert.equal((await limits.check({ email: "c@acme.com" }, "t5:m1")).limit, "domain");
+  await limits.record({ identity: "V-9" }, "t6:m1");
+  assert.equal((await limits.check({ identity: "V-10" }, "t7:m1")).limit, "day");
+});
+
+test("the circuit breaker opens once on an outage and ignores client errors", async (t) => {
+  Object.assign(process.env, { BREAKER_MIN_FAILURES: "2", BREAKER_ERROR_RATE: "0.5" });
+  t.after(() => {
+    delete process.env.BREAKER_MIN_FAILURES;
+    delete process.env.BREAKER_ERROR_RATE;
+  });
+  const opened = [];
+  const breaker = createCircuitBreaker(await createStateStore("memory"), { onOpen: (s, { threadId }) => opened.push({ ...s, threadId }) });
+  const fail = (status, retryable) => breaker.wrap("send", async () => {
+    throw Object.assign(new Error(`HTTP ${status}`), { status, retryable });
+  });
+  const ok = breaker.wrap("send", async () => "ok");
+
+  assert.equal(await ok("1"), "ok");
+  await assert.rejects(fail(400, false)("2"));
+  await assert.rejects(fail(400, false)("3"));
+  assert.equal(await breaker.current(), null, "4xx errors don't count");
+  await assert.rejects(breaker.wrap("send", async () => {
+    throw new HubSpotAuthError("Portal 77 hasn't installed the app", {});
+  })("2b"));
+  await assert.rejects(fail(undefined, undefined)("2c"));
+  assert.equal(await breaker.current(), null, "one portal's missing install or a bug of ours isn't an outage");
+  await assert.rejects(fail(503, true)("4"));
+  assert.equal(await breaker.current(), null, "one failure of two calls is below the minimum");
+  await assert.rejects(fail(0, true)("5"));
+  const open = await breaker.current();
+  assert.equal(open.failures, 2);
+  assert.equal(open.calls, 3);
+  assert.match(open.lastError, /^send: HTTP 0/);
+  assert.deepEqual(opened.map((o) => o.threadId), ["5"]);
+
+  await assert.rejects(fail(503, true)("6"));
+  await assert.rejects(fail(503, true)("7"));
+  assert.equal(opened.length, 1, "already open: no second status comment");
+  await breaker.reset();
+  assert.equal((await breaker.status()).open, false);
+});
@@ -0,0 +1,86 @@
+import crypto from "node:crypto";
+
+export const APP_SECRET = "test-app-secret";
+export const TOKEN = "pat-test";
+
+// Env for the bot under test; must be applied before index.js is imported.
+export function botEnv(mockUrl, extra = {}) {
+  Object.assign(process.env, {
+    HUBSPOT_TOKEN: TOKEN,
+    HUBSPOT_BASE_URL: mockUrl,
+    HUBSPOT_MAX_RETRIES: "1",
+    VERIFY_SIGNATURE: "true",
+    HUBSPOT_APP_SECRET: APP_SECRET,
+    STATE_STORE: "memory",
+    REPLY_DELAY_MS: "0",
+    QUEUE_POLL_MS: "20",
+    QUEUE_RETRY_BASE_MS: "20",
+    QUEUE_MAX_ATTEMPTS: "3",
+    AUTO_REPLY: "true",
+    REPLY_MODE: "auto",
+    CALENDLY_URL: "https://cal.example/test",
+    ADMIN_TOKEN: "admin-test",
+    HUBSPOT_CLIENT_ID: "client-test",
+    TOKEN_ENCRYPTION_KEY: "test-encryption-key",
+    ...extra,
+  });
+}
+
+export async function postSigned(baseUrl, events, { secret = APP_SECRET, timestamp = Date.now(), signature } = {}) {
+  const url = `${baseUrl}/hubspot/webhook`;
+  const body = JSON.stringify(events);
+  const ts = String(timestamp);
+  const sig = signature ?? crypto.createHmac("sha256", secret).update(`POST${url}${body}${ts}`).digest("base64");
+  return fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-HubSpot-Signature-v3": sig, "X-HubSpot-Request-Timestamp": ts },
+    body,
+  });
+}
+
+export async function waitFor(check, { timeoutMs = 3000, intervalMs = 20 } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const v = await check();
+    if (v) return v;
+    if (Date.now() > until) throw new Error("waitFor timed out");
+    await new Promise((r) => setTimeout(r, intervalMs));
+  }
+}
+
+// Resolves once the queue has nothing pending or in flight.
+export const drained = (queue, timeoutMs = 10_000) => waitFor(async () => {
+  const s = await queue.stats();
+  return s.pending === 0 && s.active === 0;
+}, { timeoutMs });
+
+let seq = 0;
+export const newMessageEvent = (threadId, extra = {}) => ({
+  eventId: `${Date.now()}-${++seq}`,
+  subscriptionType: "conversation.newMessage",
+  objectId: String(threadId),
+  occurredAt: Date.now(),
+  ...extra,
+});
+
+export const inbound = (overrides = {}) => ({
+  id: `in-${++seq}`,
+  type: "MESSAGE",
+  direction: "INCOMING",
+  subject: "Hello",
+  text: "Hi there",
+  channelId: "1002",
+  channelAccountId: "55501",
+  senders: [{ actorId: "V-1", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "lead@example.com" } }],
+  createdAt: new Date().toISOString(),
+  ...overrides,
+});
+
+export const agentMessage = (actorId = "A-777") => ({
+  id: `out-${++seq}`,
+  type: "MESSAGE",
+  direction: "OUTGOING",
+  text: "Hi from the team",
+  senders: [{ actorId }],
+  createdAt: new Date(Date.now() - 60_000).toISOString(),
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { hubspotRequest, sendThreadMessage, createObject, createContact } from "../src/hubspot.js";
+
+// Answers each request with the next status from `statuses` (200 once they run out) and counts them.
+async function stubServer(t, statuses) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(`${req.method} ${req.url}`);
+    const status = statuses.shift() ?? 200;
+    res.writeHead(status, { "Content-Type": "application/json", ...(status === 429 ? { "Retry-After": "0" } : {}) });
+    res.end(JSON.stringify(status === 200 ? { id: "m1" } : { message: "stub failure" }));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  Object.assign(process.env, { HUBSPOT_BASE_URL: `http://127.0.0.1:${server.address().port}`, HUBSPOT_TOKEN: "pat-test", HUBSPOT_MAX_RETRIES: "2" });
+  t.after(() => {
+    server.close();
+    for (const k of ["HUBSPOT_BASE_URL", "HUBSPOT_TOKEN", "HUBSPOT_MAX_RETRIES"]) delete process.env[k];
+  });
+  return seen;
+}
+
+const message = { text: "hi", toEmail: "a@acme.com", senderActorId: "A-1", channelId: "1000", channelAccountId: "2000" };
+
+test("message POSTs aren't retried after a 5xx, since HubSpot may already have sent them", async (t) => {
+  const seen = await stubServer(t, [502]);
+  await assert.rejects(sendThreadMessage("7", message), { status: 502 });
+  assert.equal(seen.length, 1);
+});
+
+test("CRM create POSTs aren't retried after a 5xx either, so a retry can't duplicate the record", async (t) => {
+  const seen = await stubServer(t, [500, 502, 429]);
+  await assert.rejects(createObject("notes", { hs_note_body: "hi" }), { status: 500 });
+  assert.equal(await createContact("a@acme.com"), null);
+  assert.equal((await createObject("deals", { dealname: "x" })).id, "m1");
+  assert.deepEqual(seen, ["POST /crm/v3/objects/notes", "POST /crm/v3/objects/contacts", "POST /crm/v3/objects/deals", "POST /crm/v3/objects/deals"]);
+});
+
+test("message POSTs retry a 429; other requests still retry 5xx", async (t) => {
+  const seen = await stubServer(t, [429, 200, 500]);
+  assert.equal((await sendThreadMessage("7", message)).id, "m1");
+  assert.deepEqual(seen, ["POST /conversations/v3/conversations/threads/7/messages", "POST /conversations/v3/conversations/threads/7/messages"]);
+  assert.equal((await hubspotRequest("GET", "/crm/v3/objects/contacts/1")).id, "m1");
+  assert.equal(seen.length, 4);
+});
+
+test("message POSTs aren't retried after a timeout", async (t) => {
+  const seen = [];
+  const slow = http.createServer((req, res) => {
+    seen.push(req.url);
+    setTimeout(() => res.end("{}"), 300);
+  });
+  await new Promise((r) => slow.listen(0, "127.0.0.1", r));
+  Object.assign(process.env, { HUBSPOT_BASE_URL: `http://127.0.0.1:${slow.address().port}`, HUBSPOT_TOKEN: "pat-test", HUBSPOT_TIMEOUT_MS: "50" });
+  t.after(() => {
+    slow.close();
+    for (const k of ["HUBSPOT_BASE_URL", "HUBSPOT_TOKEN", "HUBSPOT_TIMEOUT_MS"]) delete process.env[k];
+  });
+  await assert.rejects(sendThreadMessage("7", message), { name: "HubSpotTimeoutError" });
+  assert.equal(seen.length, 1);
+});
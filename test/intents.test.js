@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { compileRules, classifyWith, createIntentEngine, parseRulesFile } from "../src/intents.js";
+import { waitFor } from "./helpers.js";
+
+const defaults = compileRules(await parseRulesFile(new URL("../config/intents.json", import.meta.url).pathname));
+const intentOf = (subject, text) => classifyWith(defaults, { subject, text }).intent;
+
+test("default rules keep the original priority order", () => {
+  assert.equal(intentOf("Pricing", "please unsubscribe me"), "unsubscribe");
+  assert.equal(intentOf("Demo + quote", "how much for a demo?"), "pricing");
+  assert.equal(intentOf("Trial", "the export is broken"), "demo");
+  assert.equal(intentOf("", "I hit an error on login"), "support");
+  assert.equal(intentOf("Hello", "Just saying hi"), "fallback");
+});
+
+test("matches whole words only and needs more than one weak hint", () => {
+  assert.equal(intentOf("Showcase", "Our callback URL is set"), "fallback");
+  assert.equal(intentOf("", "Can we set up a call?"), "fallback");
+  assert.equal(intentOf("", "Can we set up a call or a meeting?"), "demo");
+  assert.equal(intentOf("", "Thanks for your help!"), "fallback");
+});
+
+test("negative keywords veto an intent", () => {
+  const r = classifyWith(defaults, { subject: "", text: "What's the exchange rate and cost?" });
+  assert.equal(r.intent, "fallback");
+  assert.deepEqual(r.vetoed, [{ intent: "pricing", term: "exchange rate" }]);
+});
+
+test("subject matches weigh more than body matches", () => {
+  const rules = compileRules({
+    fieldWeights: { subject: 2, body: 1 },
+    intents: [{ name: "billing", threshold: 2, keywords: ["invoice"] }],
+  });
+  assert.equal(classifyWith(rules, { subject: "Invoice", text: "" }).intent, "billing");
+  assert.equal(classifyWith(rules, { subject: "", text: "invoice" }).intent, "fallback");
+});
+
+test("reports every schema problem at load", () => {
+  assert.throws(
+    () => compileRules({ intents: [{ name: "x", patterns: ["(unclosed"] }, { name: "x", keywords: [{ weight: 1 }] }] }),
+    (e) => /\(unclosed/.test(e.message) && /duplicate intent "x"/.test(e.message) && /needs "term" or "pattern"/.test(e.message),
+  );
+});
+
+test("hot-reloads the rules file and keeps the last good rules on a bad edit", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "intents-"));
+  const file = path.join(dir, "rules.yaml");
+  fs.writeFileSync(file, "intents:\n  - name: partner\n    keywords: [reseller]\n");
+  const engine = await createIntentEngine({ file, watch: true });
+  try {
+    assert.equal(engine.detectIntent({ text: "Are you looking for a reseller?" }), "partner");
+    fs.writeFileSync(file, "intents:\n  - name: partner\n    keywords: [agency]\n");
+    await waitFor(() => engine.detectIntent({ text: "we are an agency" }) === "partner");
+    fs.writeFileSync(file, "intents: []\n");
+    assert.equal(await engine.reload(), false);
+    assert.equal(engine.detectIntent({ text: "we are an agency" }), "partner");
+  } finally {
+    engine.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { htmlToText, normalizeMessage } from "../src/normalize.js";
+
+const clean = (m) => normalizeMessage(m);
+
+test("converts HTML to text", () => {
+  assert.equal(
+    htmlToText('<html><head><style>p{}</style></head><body><p>Hi&nbsp;there,</p><ul><li>one</li><li>two &amp; three</li></ul>Call <a href="x">us</a><br>now</body></html>'),
+    "Hi there,\n\n• one\n• two & three\nCall us\nnow",
+  );
+});
+
+test("cuts Gmail, Apple Mail and Outlook quoted history out of HTML", () => {
+  const gmail = clean({ richText: '<div dir="ltr">What does it cost?</div><br><div class="gmail_quote"><div class="gmail_attr">On Mon, Oct 5 Jo wrote:</div><blockquote>Our support team can call you</blockquote></div>' });
+  assert.equal(gmail.text, "What does it cost?");
+  assert.deepEqual(gmail.normalized, { source: "html", stripped: ["quote:gmail"] });
+  assert.equal(clean({ richText: '<div>Yes please</div><blockquote type="cite">Book a demo?</blockquote>' }).text, "Yes please");
+  assert.equal(clean({ richText: '<p>Pricing please</p><div id="appendonsend"></div><hr><div id="divRplyFwdMsg"><b>From:</b> Jo</div>' }).text, "Pricing please");
+});
+
+test("strips plain-text quote headers, forwarded headers and > lines", () => {
+  assert.equal(clean({ text: "Sounds good.\n\nOn Mon, Oct 5, 2026 at 10:00 AM Jo Rep <jo@us.co>\nwrote:\n> Need support?" }).text, "Sounds good.");
+  assert.equal(clean({ text: "Ja, gerne.\n\nAm 05.10.2026 um 10:00 schrieb Jo Rep <jo@us.co>:\n> Support" }).text, "Ja, gerne.");
+  assert.equal(clean({ text: "See below\n\n-----Original Message-----\nFrom: Jo\nSent: Monday\nSubject: support" }).text, "See below");
+  assert.equal(clean({ text: "FYI\n\nFrom: Jo Rep <jo@us.co>\nSent: Monday, October 5, 2026 10:00 AM\nTo: Pat\nSubject: Demo" }).text, "FYI");
+  assert.equal(clean({ text: "Have a look\n\nBegin forwarded message:\n\nFrom: Jo" }).text, "Have a look");
+  assert.equal(clean({ text: "Yes\n> old text\n> more" }).text, "Yes");
+});
+
+test("removes signatures and disclaimers but keeps requests after a thank-you", () => {
+  assert.equal(clean({ text: "How much is it?\n\n-- \nPat | Customer Support Lead\nCall +1 555" }).text, "How much is it?");
+  assert.equal(clean({ text: "How much is it?\n\nBest regards,\nPat Lee\nHead of Support, Acme\n+1 555 0100" }).text, "How much is it?");
+  assert.equal(clean({ text: "Price list please\n\nSent from my iPhone" }).text, "Price list please");
+  assert.equal(clean({ text: "Price list please\n\nThis email and any attachments are confidential and may be privileged. Call us if received in error." }).text, "Price list please");
+  assert.equal(clean({ text: "Hi team,\nThanks!\nHow much is it?" }).text, "Hi team,\nThanks!\nHow much is it?");
+  assert.equal(clean({ text: "Hi,\nThanks!\nWe'd like pricing for 50 seats.\nJane" }).text, "Hi,\nThanks!\nWe'd like pricing for 50 seats.\nJane");
+  assert.equal(clean({ text: "Hello team,\n\nThank you.\nPlease send a quote for 20 users.\n\nBob" }).text, "Hello team,\n\nThank you.\nPlease send a quote for 20 users.\n\nBob");
+  assert.equal(clean({ text: "Quote for 20 users please.\n\nThanks,\nBob Smith\nAcme Inc.\n+1 555 0100" }).text, "Quote for 20 users please.");
+});
+
+test("keeps the original text when stripping would leave nothing", () => {
+  const fwd = clean({ text: "---------- Forwarded message ---------\nFrom: Jo\nDemo request" });
+  assert.match(fwd.text, /Demo request/);
+  assert.deepEqual(fwd.normalized.stripped, []);
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStateStore } from "../src/state.js";
+import { createQueue } from "../src/queue.js";
+import { drained, waitFor } from "./helpers.js";
+
+test("polling reads the due index instead of scanning the store", async (t) => {
+  const store = await createStateStore("memory");
+  // A job left by an older version, before the index existed.
+  await store.set("queue:job:old", { id: "old", payload: { n: 0 }, attempts: 0, runAt: Date.now(), errors: [] });
+  let scans = 0;
+  const keys = store.keys;
+  store.keys = (prefix) => {
+    scans += 1;
+    return keys(prefix);
+  };
+  const seen = [];
+  const queue = createQueue(store, async (payload) => seen.push(payload.n), { pollMs: 10 });
+  t.after(() => queue.stop());
+  await queue.enqueue({ n: 2 }, "later", { delayMs: 60_000 });
+  queue.start();
+  await queue.enqueue({ n: 1 }, "now");
+  await waitFor(() => seen.length === 2);
+  const afterStart = scans;
+  await new Promise((r) => setTimeout(r, 50));
+
+  assert.deepEqual(seen.sort(), [0, 1]);
+  assert.equal(scans, afterStart, "only the startup rebuild lists keys");
+  assert.deepEqual(await queue.stats(), { pending: 1, dead: 0, active: 0, concurrency: 2 });
+  assert.deepEqual(await store.zrange("queue:due"), ["later"]);
+});
+
+test("dead letters are indexed, listed newest first and requeued through the due index", async (t) => {
+  const store = await createStateStore("memory");
+  let failing = true;
+  const queue = createQueue(store, async () => {
+    if (failing) throw Object.assign(new Error("bad payload"), { retryable: false });
+  }, { pollMs: 10 });
+  t.after(() => queue.stop());
+  queue.start();
+  await queue.enqueue({}, "a");
+  await waitFor(async () => (await queue.stats()).dead === 1);
+  await queue.enqueue({}, "b");
+  await waitFor(async () => (await queue.stats()).dead === 2);
+
+  assert.deepEqual((await queue.listDead()).map((j) => j.id), ["b", "a"]);
+  failing = false;
+  await queue.requeueDead("a");
+  await drained(queue);
+  assert.equal(await queue.deleteDead("b"), true);
+  assert.deepEqual(await queue.stats(), { pending: 0, dead: 0, active: 0, concurrency: 2 });
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compileRouting, createRouter, matchRoute } from "../src/routing.js";
+import { createStateStore } from "../src/state.js";
+
+const config = compileRouting({
+  teams: { sales: { members: ["A-1", "A-2"] }, support: { members: ["A-3", "A-4"], strategy: "least_busy" } },
+  rules: [
+    { intent: "unsubscribe", status: "closed" },
+    { intent: "support", channel: ["1002"], team: "support" },
+    { intent: ["pricing", "demo"], team: "sales" },
+    { intent: "*", channel: "2001", assignTo: "A-9", reassign: true },
+  ],
+});
+
+test("first matching rule wins, by intent and channel", () => {
+  assert.equal(matchRoute(config, { intent: "unsubscribe", channelId: "1" }).status, "CLOSED");
+  assert.equal(matchRoute(config, { intent: "support", channelId: "1002" }).team, "support");
+  assert.equal(matchRoute(config, { intent: "support", channelId: "2001" }).assignTo, "A-9");
+  assert.equal(matchRoute(config, { intent: "fallback", channelId: "1002" }), null);
+});
+
+test("round robin rotates, least busy picks the lightest load, assignees are kept", async () => {
+  const store = await createStateStore("memory");
+  const router = createRouter(store, config, { countOpenThreads: async (id) => ({ "A-3": 4, "A-4": 1 })[id] });
+  const picks = [];
+  for (let i = 0; i < 3; i++) picks.push((await router.decide({ intent: "pricing" })).assignTo);
+  assert.deepEqual(picks, ["A-1", "A-2", "A-1"]);
+  assert.equal((await router.decide({ intent: "pricing", dryRun: true })).assignTo, "A-2");
+  assert.equal((await router.decide({ intent: "pricing" })).assignTo, "A-2");
+  assert.equal((await router.decide({ intent: "support", channelId: "1002" })).assignTo, "A-4");
+  assert.equal((await router.decide({ intent: "demo", currentAssignee: "A-7" })).keptAssignee, "A-7");
+  assert.equal((await router.decide({ intent: "fallback", channelId: "2001", currentAssignee: "A-7" })).assignTo, "A-9");
+});
+
+test("rejects rules that point at unknown teams or non-agent actors", () => {
+  assert.throws(() => compileRouting({ rules: [{ intent: "demo", team: "nope" }, { intent: "x", assignTo: "V-1" }] }), /unknown team "nope"[\s\S]*agent actor ID/);
+});
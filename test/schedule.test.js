@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBusinessCalendar } from "../src/schedule.js";
+
+const calendar = createBusinessCalendar({
+  timezone: "America/New_York",
+  hours: { mon: ["09:00-17:00"], tue: ["09:00-12:00", "13:00-17:00"], wed: ["09:00-17:00"], thu: ["09:00-17:00"], fri: ["09:00-17:00"] },
+  holidays: ["2026-11-26"],
+});
+
+test("knows when the office is open in its own time zone", () => {
+  assert.equal(calendar.isOpen(new Date("2026-10-19T13:00:00Z")), true); // Mon 09:00 EDT
+  assert.equal(calendar.isOpen(new Date("2026-10-19T12:59:00Z")), false);
+  assert.equal(calendar.isOpen(new Date("2026-10-20T16:30:00Z")), false); // Tue lunch break
+  assert.equal(calendar.isOpen(new Date("2026-11-26T15:00:00Z")), false); // holiday
+});
+
+test("finds the next opening across weekends, holidays and DST changes", () => {
+  const iso = (d) => d.toISOString();
+  assert.equal(iso(calendar.nextOpen(new Date("2026-10-23T22:00:00Z"))), "2026-10-26T13:00:00.000Z"); // Fri evening → Mon
+  assert.equal(iso(calendar.nextOpen(new Date("2026-10-31T12:00:00Z"))), "2026-11-02T14:00:00.000Z"); // after DST ends
+  assert.equal(iso(calendar.nextOpen(new Date("2026-11-25T23:00:00Z"))), "2026-11-27T14:00:00.000Z"); // skips Thanksgiving
+  const now = new Date("2026-10-19T15:00:00Z");
+  assert.equal(calendar.nextOpen(now), now);
+});
+
+test("rejects invalid calendars and treats a missing one as always open", () => {
+  assert.throws(() => createBusinessCalendar({ timezone: "Mars/Base", hours: { mon: ["17:00-09:00"], funday: [] } }),
+    /unknown time zone[\s\S]*bad window[\s\S]*unknown day/);
+  assert.equal(createBusinessCalendar(null).isOpen(), true);
+});
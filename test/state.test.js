@@ -0,0 +1,218 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { createFileStore, createRedisStore } from "../src/state.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// In-process stand-in for Redis: GET, SET [PX] [NX], INCR, DEL, SCAN MATCH COUNT, PEXPIRE, PING,
+// and ZADD, ZRANGEBYSCORE, ZREM, ZCARD on a single member.
+// Commands named in `hang` never get a reply.
+async function respStub(t, { hang = [] } = {}) {
+  const data = new Map();
+  const commands = [];
+  const live = (k) => {
+    const e = data.get(k);
+    if (e && e.exp && e.exp <= Date.now()) data.delete(k);
+    return data.get(k);
+  };
+  const bulk = (s) => (s == null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`);
+  const array = (items) => `*${items.length}\r\n${items.map(bulk).join("")}`;
+  const score = (s) => (s === "+inf" ? Infinity : s === "-inf" ? -Infinity : Number(s));
+  const glob = (pattern) => new RegExp(`^${pattern.replace(/\\(.)|([.+^${}()|])|\*/g, (m, esc, lit) => (esc ? `\\${esc}` : lit ? `\\${lit}` : ".*"))}$`);
+
+  function reply(args) {
+    const [cmd, ...rest] = args;
+    switch (cmd.toUpperCase()) {
+      case "PING": return "+PONG\r\n";
+      case "GET": return bulk(live(rest[0])?.v ?? null);
+      case "DEL": return `:${data.delete(rest[0]) ? 1 : 0}\r\n`;
+      case "INCR": {
+        const e = live(rest[0]) || { exp: 0 };
+        data.set(rest[0], { ...e, v: String(Number(e.v || 0) + 1) });
+        return `:${data.get(rest[0]).v}\r\n`;
+      }
+      case "SET": {
+        const [key, v, ...opts] = rest;
+        const upper = opts.map((o) => o.toUpperCase());
+        if (upper.includes("NX") && live(key)) return "$-1\r\n";
+        const px = upper.indexOf("PX");
+        data.set(key, { v, exp: px >= 0 ? Date.now() + Number(opts[px + 1]) : 0 });
+        return "+OK\r\n";
+      }
+      case "PEXPIRE": {
+        const e = live(rest[0]);
+        if (e) e.exp = Date.now() + Number(rest[1]);
+        return `:${e ? 1 : 0}\r\n`;
+      }
+      case "ZADD": {
+        const [key, s, member] = rest;
+        const e = live(key) || { v: new Map(), exp: 0 };
+        e.v.set(member, Number(s));
+        data.set(key, e);
+        return ":1\r\n";
+      }
+      case "ZRANGEBYSCORE": {
+        const [key, min, max] = rest;
+        const members = [...(live(key)?.v || new Map())].filter(([, s]) => s >= score(min) && s <= score(max));
+        return array(members.sort(([a, x], [b, y]) => x - y || a.localeCompare(b)).map(([m]) => m));
+      }
+      case "ZREM": {
+        const e = live(rest[0]);
+        const removed = e?.v.delete(rest[1]) ? 1 : 0;
+        if (e && !e.v.size) data.delete(rest[0]);
+        return `:${removed}\r\n`;
+      }
+      case "ZCARD": return `:${live(rest[0])?.v.size ?? 0}\r\n`;
+      case "SCAN": {
+        // Two keys per page, so the client has to follow the cursor.
+        const cursor = Number(rest[0]);
+        const match = glob(rest[rest.indexOf("MATCH") + 1]);
+        const all = [...data.keys()].filter((k) => live(k)).sort();
+        const page = all.slice(cursor, cursor + 2);
+        const next = cursor + 2 < all.length ? String(cursor + 2) : "0";
+        const hits = page.filter((k) => match.test(k));
+        return `*2\r\n${bulk(next)}*${hits.length}\r\n${hits.map(bulk).join("")}`;
+      }
+      default: return `-ERR unknown command '${cmd}'\r\n`;
+    }
+  }
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    let buf = "";
+    socket.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      // The client only sends arrays of bulk strings.
+      for (;;) {
+        const m = /^\*(\d+)\r\n/.exec(buf);
+        if (!m) return;
+        let pos = m[0].length;
+        const args = [];
+        for (let i = 0; i < Number(m[1]); i++) {
+          const h = /^\$(\d+)\r\n/.exec(buf.slice(pos));
+          if (!h || buf.length < pos + h[0].length + Number(h[1]) + 2) return;
+          pos += h[0].length;
+          args.push(buf.slice(pos, pos + Number(h[1])));
+          pos += Number(h[1]) + 2;
+        }
+        buf = buf.slice(pos);
+        commands.push(args);
+        if (!hang.includes(args[0].toUpperCase())) socket.write(reply(args));
+      }
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  t.after(() => {
+    for (const s of sockets) s.destroy();
+    server.close();
+  });
+  return { url: `redis://127.0.0.1:${server.address().port}`, commands, data };
+}
+
+test("redis store: claims with SET PX NX, expiry, get and del", async (t) => {
+  const stub = await respStub(t);
+  const store = createRedisStore(stub.url, "bot:");
+  t.after(() => store.close());
+
+  assert.equal(await store.ping(), true);
+  assert.equal(await store.setIfAbsent("claim:1", { by: "a" }, 60_000), true);
+  assert.equal(await store.setIfAbsent("claim:1", { by: "b" }, 60_000), false);
+  assert.deepEqual(await store.get("claim:1"), { by: "a" });
+  assert.deepEqual(stub.commands.find((c) => c[0] === "SET"), ["SET", "bot:claim:1", '{"by":"a"}', "PX", "60000", "NX"]);
+
+  await store.set("short", 1, 30);
+  await sleep(50);
+  assert.equal(await store.get("short"), null);
+  assert.equal(await store.setIfAbsent("short", 2, 30), true);
+
+  await store.del("claim:1");
+  assert.equal(await store.get("claim:1"), null);
+  assert.equal(await store.get("missing"), null);
+
+  assert.equal(await store.incr("count", 60_000), 1);
+  assert.equal(await store.incr("count", 60_000), 2);
+  assert.equal(await store.get("count"), 2);
+  assert.ok(stub.data.get("bot:count").exp > Date.now(), "the counter expires");
+});
+
+test("redis store: keys() follows the SCAN cursor and strips the prefix", async (t) => {
+  const stub = await respStub(t);
+  const store = createRedisStore(stub.url, "bot:");
+  t.after(() => store.close());
+  for (const k of ["q:1", "q:2", "q:3", "q:4", "q:5", "other:1"]) await store.set(k, true);
+  stub.data.set("elsewhere:q:9", { v: "true", exp: 0 });
+  await store.set("glob[1]*", true);
+
+  assert.deepEqual((await store.keys("q:")).sort(), ["q:1", "q:2", "q:3", "q:4", "q:5"]);
+  assert.ok(stub.commands.filter((c) => c[0] === "SCAN").length > 1);
+  assert.deepEqual(await store.keys("glob[1]"), ["glob[1]*"]);
+  assert.equal((await store.keys()).length, 7);
+});
+
+test("redis store: sorted-set index by score, with expiry", async (t) => {
+  const stub = await respStub(t);
+  const store = createRedisStore(stub.url, "bot:");
+  t.after(() => store.close());
+  await store.zadd("idx", "b", 20);
+  await store.zadd("idx", "a", 10);
+  await store.zadd("idx", "c", 30, 60_000);
+  await store.zadd("idx", "a", 40);
+
+  assert.deepEqual(await store.zrange("idx"), ["b", "c", "a"]);
+  assert.deepEqual(await store.zrange("idx", 20, 30), ["b", "c"]);
+  assert.deepEqual(stub.commands.find((c) => c[0] === "ZRANGEBYSCORE"), ["ZRANGEBYSCORE", "bot:idx", "-inf", "+inf"]);
+  assert.ok(stub.data.get("bot:idx").exp > Date.now(), "a ttl expires the whole set");
+  assert.equal(await store.zcard("idx"), 3);
+  await store.zrem("idx", "b");
+  assert.deepEqual(await store.zrange("idx", -Infinity, 30), ["c"]);
+  assert.equal(await store.zcard("missing"), 0);
+  assert.deepEqual(await store.zrange("missing"), []);
+});
+
+test("redis client: a command without a reply times out instead of hanging", async (t) => {
+  const stub = await respStub(t, { hang: ["GET"] });
+  const store = createRedisStore(stub.url, "bot:", { timeoutMs: 100 });
+  t.after(() => store.close());
+  await store.set("k", 1);
+  await assert.rejects(store.get("k"), /Redis GET timed out after 100ms/);
+  // The connection was dropped; the next command reconnects.
+  assert.equal(await store.ping(), true);
+});
+
+test("file store keeps live keys across a restart and drops expired ones", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "state-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "state.json");
+
+  const before = await createFileStore(file);
+  await before.set("replied:1", { at: "now" });
+  await before.set("short", 1, 30);
+  assert.equal(await before.setIfAbsent("claim:1", "a", 60_000), true);
+  await before.incr("count", 60_000);
+  await before.incr("count", 60_000);
+  await before.set("gone", 1);
+  await before.del("gone");
+  await before.zadd("idx", "late", 2);
+  await before.zadd("idx", "early", 1);
+  await before.zadd("idx", "dropped", 3);
+  await before.zrem("idx", "dropped");
+  await before.zadd("idx:short", "x", 1, 30);
+  await sleep(50);
+
+  const after = await createFileStore(file);
+  assert.deepEqual(await after.get("replied:1"), { at: "now" });
+  assert.equal(await after.setIfAbsent("claim:1", "b", 60_000), false);
+  assert.equal(await after.get("short"), null);
+  assert.equal(await after.get("gone"), null);
+  assert.equal(await after.incr("count"), 3);
+  assert.deepEqual(await after.zrange("idx"), ["early", "late"]);
+  assert.deepEqual(await after.zrange("idx:short"), []);
+  assert.deepEqual((await after.keys("")).sort(), ["claim:1", "count", "idx", "replied:1"]);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createTemplateEngine } from "../src/templates.js";
+
+function tmpTemplates(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "templates-"));
+  for (const [name, body] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), body);
+  }
+  return dir;
+}
+
+test("the shipped templates load and personalize", () => {
+  const t = createTemplateEngine({ dir: "./templates" });
+  const r = t.render("demo", { contact: { firstname: "Ana" }, inbound: { subject: "Demo?" } });
+  assert.equal(r.subject, "Re: Demo?");
+  assert.match(r.text, /^Hi Ana,/);
+  assert.equal(t.render("no-such-intent", {}).template, "fallback");
+});
+
+test("conditionals, defaults, partials and HTML escaping", () => {
+  const dir = tmpTemplates({
+    "fallback.txt": "---\nsubject: About {{inbound.subject | \"your note\"}}\n---\nHi {{contact.firstname | \"there\"}}\n{{#if contact.company}}\nAt {{contact.company}}\n{{else}}\nNo company\n{{/if}}\n{{> sig}}\n",
+    "fallback.html": "<p>{{contact.company}}</p>{{> sig}}",
+    "partials/sig.txt": "-- {{settings.sender_name | \"Bot\"}}\n",
+  });
+  try {
+    const t = createTemplateEngine({ dir });
+    const a = t.render("fallback", { contact: { company: "A&B" }, inbound: {} });
+    assert.equal(a.subject, "About your note");
+    assert.equal(a.text, "Hi there\nAt A&B\n-- Bot");
+    assert.equal(a.html, "<p>A&amp;B</p>-- Bot");
+    assert.equal(t.render("fallback", { contact: {} }).text, "Hi there\nNo company\n-- Bot");
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("fails at load on unknown variables, partials and broken blocks", () => {
+  const dir = tmpTemplates({
+    "fallback.txt": "Hi {{contact.nickname}} {{> nope}}",
+    "pricing.txt": "{{#if intent}}open",
+  });
+  try {
+    assert.throws(() => createTemplateEngine({ dir }), (e) =>
+      /unknown variable "contact.nickname"/.test(e.message) &&
+      /unknown partial "nope"/.test(e.message) &&
+      /unclosed \{\{#if\}\}/.test(e.message));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
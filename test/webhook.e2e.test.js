@@ -0,0 +1,833 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createHubSpotMock } from "../mock/hubspot-mock.js";
+import { botEnv, postSigned, drained, waitFor, newMessageEvent, inbound, agentMessage, TOKEN } from "./helpers.js";
+
+const mock = createHubSpotMock({ token: TOKEN });
+let mockServer, botServer, bot, botUrl;
+
+before(async () => {
+  mockServer = await mock.listen(0);
+  botEnv(`http://127.0.0.1:${mockServer.address().port}`);
+  bot = await import("../index.js");
+  botServer = bot.start(0);
+  await new Promise((r) => botServer.once("listening", r));
+  botUrl = `http://127.0.0.1:${botServer.address().port}`;
+});
+
+after(async () => {
+  await bot.queue.stop();
+  botServer.close();
+  mockServer.close();
+});
+
+beforeEach(() => {
+  mock.reset();
+  process.env.REPLY_MODE = "auto";
+});
+
+test("rejects unsigned and badly signed batches before doing anything", async () => {
+  mock.load({ threads: { 100: [inbound(), agentMessage()] } });
+  const unsigned = await fetch(`${botUrl}/hubspot/webhook`, { method: "POST", body: JSON.stringify([newMessageEvent(100)]) });
+  assert.equal(unsigned.status, 401);
+  const forged = await postSigned(botUrl, [newMessageEvent(100)], { secret: "wrong" });
+  assert.equal(forged.status, 401);
+  const stale = await postSigned(botUrl, [newMessageEvent(100)], { timestamp: Date.now() - 10 * 60 * 1000 });
+  assert.equal(stale.status, 401);
+  await drained(bot.queue);
+  assert.equal(mock.db.calls.length, 0);
+});
+
+test("auto-replies to a pricing inquiry and tags the contact", async () => {
+  const fixture = JSON.parse(fs.readFileSync(new URL("../mock/fixtures/pricing-inquiry.json", import.meta.url), "utf8"));
+  mock.load(fixture);
+  const res = await postSigned(botUrl, [newMessageEvent(12345)]);
+  assert.equal(res.status, 200);
+  await drained(bot.queue);
+
+  const [msg] = mock.messages(12345);
+  assert.ok(msg, "expected a MESSAGE");
+  assert.equal(mock.messages(12345).length, 1);
+  assert.equal(mock.comments(12345).length, 0);
+  assert.equal(msg.subject, "Re: Pricing for 3 inboxes?");
+  assert.equal(msg.senderActorId, "A-777");
+  assert.equal(msg.channelId, "1002");
+  assert.equal(msg.channelAccountId, "55501");
+  assert.deepEqual(msg.recipients[0].deliveryIdentifier, { type: "HS_EMAIL_ADDRESS", value: "pat@example.com" });
+  assert.match(msg.text, /^Hi Pat,\n\nThanks for reaching out on behalf of Acme Co!/);
+  assert.match(msg.text, /book a quick call: https:\/\/cal\.example\/test/);
+  assert.match(msg.text, /\nJo Rep\n/);
+  assert.match(msg.richText, /<a href="https:\/\/cal\.example\/test">book a quick call<\/a>/);
+
+  const contact = await waitFor(() => mock.contactByEmail("pat@example.com")?.properties.bot_intent && mock.contactByEmail("pat@example.com"));
+  assert.equal(contact.properties.bot_intent, "pricing");
+  assert.ok(contact.properties.bot_last_reply_at);
+});
+
+test("replies only once for duplicate events and repeat messages on a thread", async () => {
+  mock.load({ threads: { 200: [inbound({ text: "Can I get a demo?" }), agentMessage()] } });
+  const ev = newMessageEvent(200);
+  await postSigned(botUrl, [ev, ev]);
+  await postSigned(botUrl, [newMessageEvent(200)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(200).length, 1);
+  assert.match(mock.messages(200)[0].text, /demo/i);
+  await waitFor(() => mock.contactByEmail("lead@example.com")?.properties.bot_intent === "demo");
+});
+
+test("skips bounces without replying or tagging", async () => {
+  mock.load({
+    threads: {
+      300: [
+        inbound({ subject: "Undeliverable: Pricing", senders: [{ actorId: "V-2", name: "Mail Delivery Subsystem", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "mailer-daemon@example.com" } }] }),
+        agentMessage(),
+      ],
+    },
+  });
+  await postSigned(botUrl, [newMessageEvent(300)]);
+  await drained(bot.queue);
+  assert.equal(mock.db.posted.length, 0);
+  assert.equal(mock.db.contactUpdates.length, 0);
+});
+
+test("hard bounces mark the contact invalid and suppress the address", async () => {
+  const ndr = "** Address not found **\n\nYour message wasn't delivered to gone@example.com because the address couldn't be found, or is unable to receive mail.\n\nThe response was:\n\n550 5.1.1 The email account that you tried to reach does not exist.";
+  mock.load({
+    threads: {
+      310: [
+        inbound({ subject: "Delivery Status Notification (Failure)", text: ndr, senders: [{ actorId: "V-3", name: "Mail Delivery Subsystem", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "mailer-daemon@googlemail.com" } }] }),
+        { ...agentMessage(), recipients: [{ recipientField: "TO", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "Gone@example.com" } }] },
+      ],
+    },
+    contacts: [{ id: "71", properties: { email: "gone@example.com" } }],
+  });
+  await postSigned(botUrl, [newMessageEvent(310)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(310).length, 0);
+  assert.equal(mock.contactByEmail("gone@example.com").properties.bot_email_invalid, "true");
+  assert.match(mock.contactByEmail("gone@example.com").properties.bot_email_invalid_reason, /^5\.1\.1/);
+  assert.equal((await bot.suppressions.check("gone@example.com")).source, "bounce");
+  assert.match(mock.comments(310)[0].text, /Hard bounce for gone@example\.com/);
+});
+
+test("a forged mailer-daemon bounce can't suppress addresses the thread never emailed", async () => {
+  const ndr = "Final-Recipient: rfc822; ceo@example.com\nAction: failed\nStatus: 5.1.1\nDiagnostic-Code: smtp; 550 User unknown";
+  mock.load({
+    threads: { 330: [
+      inbound({ subject: "Undelivered Mail Returned to Sender", text: ndr, headers: { "X-Failed-Recipients": "ceo@example.com" }, senders: [{ actorId: "V-5", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "mailer-daemon@attacker.example" } }] }),
+      { ...agentMessage(), recipients: [{ recipientField: "TO", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "lead@example.com" } }] },
+    ] },
+    contacts: [{ id: "73", properties: { email: "ceo@example.com" } }],
+  });
+  await postSigned(botUrl, [newMessageEvent(330)]);
+  await drained(bot.queue);
+  assert.equal(mock.db.contactUpdates.length, 0);
+  assert.equal(await bot.suppressions.check("ceo@example.com"), null);
+  assert.equal(mock.comments(330).length, 0);
+});
+
+test("a bounce recognized only by its subject is skipped without marking or suppressing anyone", async () => {
+  const ndr = "Your message wasn't delivered to boss@example.com because the address couldn't be found.\n\n550 5.1.1 User unknown";
+  mock.load({
+    threads: { 320: [inbound({ subject: "Undeliverable: Pricing", text: ndr }), agentMessage()] },
+    contacts: [{ id: "72", properties: { email: "boss@example.com" } }],
+  });
+  await postSigned(botUrl, [newMessageEvent(320)]);
+  await drained(bot.queue);
+  assert.equal(mock.db.posted.filter((p) => String(p.threadId) === "320").length, 0);
+  assert.equal(mock.contactByEmail("boss@example.com").properties.bot_email_invalid, undefined);
+  assert.equal(await bot.suppressions.check("boss@example.com"), null);
+});
+
+test("does not answer out-of-office replies", async () => {
+  mock.load({
+    threads: {
+      320: [inbound({ subject: "Automatic reply: Pricing", text: "I am currently out of the office until Monday." }), agentMessage()],
+      321: [inbound({ subject: "Re: Pricing", text: "Thanks!", headers: { "Auto-Submitted": "auto-replied" } }), agentMessage()],
+    },
+  });
+  await postSigned(botUrl, [newMessageEvent(320), newMessageEvent(321)]);
+  await drained(bot.queue);
+  assert.equal(mock.db.posted.length, 0);
+});
+
+test("review mode posts the draft as a comment instead of sending", async () => {
+  process.env.REPLY_MODE = "review";
+  mock.load({ threads: { 400: [inbound({ text: "I found a bug, it's broken" }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(400)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(400).length, 0);
+  const [comment] = mock.comments(400);
+  assert.match(comment.text, /^📝 Bot draft \(support\)/);
+  await waitFor(() => mock.contactByEmail("lead@example.com")?.properties.bot_intent === "support");
+});
+
+test("review drafts can be listed, edited, approved and rejected", async () => {
+  process.env.REPLY_MODE = "review";
+  mock.load({ threads: { 410: [inbound({ subject: "Pricing" }), agentMessage()], 411: [inbound({ subject: "Demo" }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(410), newMessageEvent(411)]);
+  await drained(bot.queue);
+  const auth = { Authorization: "Bearer admin-test", "Content-Type": "application/json", "X-Reviewer": "dana" };
+
+  const pending = await (await fetch(`${botUrl}/admin/drafts`, { headers: auth })).json();
+  const d410 = pending.results.find((d) => d.threadId === "410");
+  const d411 = pending.results.find((d) => d.threadId === "411");
+  assert.equal(d410.intent, "pricing");
+  assert.equal(d410.toEmail, "lead@example.com");
+
+  const edited = await (await fetch(`${botUrl}/admin/drafts/${d410.id}`, { method: "PATCH", headers: auth, body: JSON.stringify({ text: "Custom quote attached." }) })).json();
+  assert.equal(edited.text, "Custom quote attached.");
+
+  const sent = await fetch(`${botUrl}/admin/drafts/${d410.id}/approve`, { method: "POST", headers: auth });
+  assert.equal(sent.status, 200);
+  const sentDraft = await sent.json();
+  assert.equal(sentDraft.status, "sent");
+  assert.deepEqual(sentDraft.history.map((h) => h.status), ["pending", "pending", "approved", "sent"]);
+  assert.equal(mock.messages(410)[0].text, "Custom quote attached.");
+
+  const again = await fetch(`${botUrl}/admin/drafts/${d410.id}/approve`, { method: "POST", headers: auth });
+  assert.equal(again.status, 409);
+
+  const rejected = await (await fetch(`${botUrl}/admin/drafts/${d411.id}/reject`, { method: "POST", headers: auth, body: JSON.stringify({ reason: "agent replied" }) })).json();
+  assert.equal(rejected.status, "rejected");
+  assert.equal(rejected.history.at(-1).by, "dana");
+  assert.equal(mock.messages(411).length, 0);
+  await waitFor(() => mock.contactByEmail("lead@example.com")?.properties.bot_intent);
+});
+
+test("a failed draft note doesn't retry the event into duplicate drafts", async (t) => {
+  const admin = { Authorization: "Bearer admin-test" };
+  process.env.REPLY_MODE = "review";
+  t.after(() => fetch(`${botUrl}/admin/guard/breaker`, { method: "DELETE", headers: admin }));
+  mock.load({ threads: { 420: [inbound({ subject: "Pricing" }), agentMessage()] } });
+  mock.failNext({ method: "POST", path: "/threads/420/messages$", status: 500, times: 100 });
+  const ev = newMessageEvent(420);
+  await postSigned(botUrl, [ev]);
+  await drained(bot.queue);
+
+  const { results } = await (await fetch(`${botUrl}/admin/drafts?threadId=420`, { headers: admin })).json();
+  assert.equal(results.length, 1);
+  const dead = await (await fetch(`${botUrl}/admin/dead-letters`, { headers: admin })).json();
+  assert.ok(!dead.results.some((j) => j.id === ev.eventId));
+});
+
+test("falls back to the visitor actor for the sender email", async () => {
+  mock.load({
+    threads: { 500: [inbound({ senders: [{ actorId: "V-42" }] }), agentMessage()] },
+    actors: { "V-42": { name: "Sam", email: "sam@example.org" } },
+  });
+  await postSigned(botUrl, [newMessageEvent(500)]);
+  await drained(bot.queue);
+  const [msg] = mock.messages(500);
+  assert.equal(msg.recipients[0].deliveryIdentifier.value, "sam@example.org");
+  assert.ok(mock.db.calls.some((c) => c.path === "/conversations/v3/conversations/actors/V-42"));
+  await waitFor(() => mock.contactByEmail("sam@example.org")?.properties.bot_intent === "fallback");
+});
+
+test("honors unsubscribe: suppresses, syncs to HubSpot, and never replies again", async () => {
+  mock.load({
+    threads: { 600: [inbound({ text: "Please unsubscribe me" }), agentMessage()], 601: [inbound({ subject: "Pricing?" }), agentMessage()] },
+    subscriptionDefinitions: [{ id: "1", name: "Marketing", isActive: true }, { id: "2", name: "Product news", isActive: true }],
+    subscriptions: { "lead@example.com": { 1: "SUBSCRIBED" } },
+  });
+  await postSigned(botUrl, [newMessageEvent(600)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(600).length, 0);
+  assert.match(mock.comments(600)[0].text, /lead@example\.com asked to unsubscribe/);
+  assert.deepEqual(mock.db.subscriptionChanges.map((c) => [c.action, c.emailAddress, c.subscriptionId]), [["unsubscribe", "lead@example.com", "1"]]);
+  assert.deepEqual((await bot.suppressions.get("lead@example.com")).subscriptionIds, ["1"]);
+  assert.equal(mock.contactByEmail("lead@example.com").properties.bot_suppressed, "true");
+  assert.equal(mock.contactByEmail("lead@example.com").properties.bot_intent, undefined);
+
+  // A new thread from the same person gets no reply.
+  await postSigned(botUrl, [newMessageEvent(601)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(601).length, 0);
+  assert.match(mock.comments(601)[0].text, /is on the suppression list/);
+
+  // "resubscribe" lifts it.
+  mock.load({ threads: { 602: [inbound({ text: "Oops, please resubscribe me" }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(602)]);
+  await drained(bot.queue);
+  assert.match(mock.comments(602)[0].text, /removed from the suppression list/);
+  // Only the type the contact had been subscribed to comes back.
+  const resubscribed = mock.db.subscriptionChanges.filter((c) => c.action === "subscribe");
+  assert.deepEqual(resubscribed.map((c) => c.subscriptionId), ["1"]);
+  assert.match(resubscribed[0].legalBasisExplanation, /^Contact asked to resubscribe by email reply \(thread 602\)$/);
+  assert.equal(await bot.suppressions.check("lead@example.com"), null);
+  await waitFor(() => mock.contactByEmail("lead@example.com").properties.bot_intent === "resubscribe");
+});
+
+test("removing suppressions resubscribes only what the bot unsubscribed, with a stated reason", async () => {
+  const auth = { Authorization: "Bearer admin-test", "Content-Type": "application/json" };
+  mock.load({ subscriptions: { "jane@acme.example": { 1: "SUBSCRIBED" } } });
+  await bot.suppressions.add({ email: "jane@acme.example", reason: "asked by phone" });
+  await bot.suppressions.add({ email: "gone@acme.example", reason: "Hard bounce: 5.1.1", source: "bounce", sync: false });
+  const changes = mock.db.subscriptionChanges.length;
+
+  const noReason = await fetch(`${botUrl}/admin/suppressions/jane@acme.example`, { method: "DELETE", headers: auth });
+  assert.equal(noReason.status, 400);
+  assert.ok(await bot.suppressions.get("jane@acme.example"), "still suppressed");
+  const del = await fetch(`${botUrl}/admin/suppressions/jane@acme.example`, { method: "DELETE", headers: auth, body: JSON.stringify({ reason: "Re-opted in on the phone with Dana, 2026-10-19" }) });
+  assert.equal(del.status, 204);
+  const [resub] = mock.db.subscriptionChanges.slice(changes);
+  assert.deepEqual([resub.action, resub.subscriptionId, resub.legalBasisExplanation], ["subscribe", "1", "Re-opted in on the phone with Dana, 2026-10-19"]);
+
+  // A bounce was never synced, so removing it subscribes nobody.
+  assert.equal((await fetch(`${botUrl}/admin/suppressions/gone@acme.example`, { method: "DELETE", headers: auth })).status, 204);
+  assert.equal(mock.db.subscriptionChanges.length, changes + 1);
+});
+
+test("re-adding a suppressed address merges into the entry, so removing it still restores the original types", async () => {
+  mock.load({
+    subscriptionDefinitions: [{ id: "1", name: "Marketing", isActive: true }, { id: "2", name: "Product news", isActive: true }, { id: "3", name: "Events", isActive: true }],
+    subscriptions: { "kim@acme.example": { 1: "SUBSCRIBED", 2: "NOT_SUBSCRIBED", 3: "SUBSCRIBED" } },
+  });
+  // HubSpot rejecting one type doesn't stop the others.
+  mock.failNext({ method: "POST", path: "/communication-preferences/v3/unsubscribe$", status: 400 });
+  const first = await bot.suppressions.add({ email: "kim@acme.example", reason: "asked by phone", source: "admin" });
+  assert.deepEqual([first.synced, first.subscriptionIds], [false, ["3"]]);
+  assert.match(first.syncError, /^subscription 1: /);
+
+  // The retry picks up type 1; a later bounce changes nothing about the entry's origin.
+  const again = await bot.suppressions.add({ email: "kim@acme.example", reason: "Replied unsubscribe", source: "unsubscribe" });
+  assert.deepEqual([again.synced, again.subscriptionIds, again.syncError], [true, ["3", "1"], undefined]);
+  await bot.suppressions.add({ email: "kim@acme.example", reason: "Hard bounce: 5.1.1", source: "bounce", sync: false });
+  const entry = await bot.suppressions.get("kim@acme.example");
+  assert.deepEqual([entry.reason, entry.source, entry.createdAt], ["asked by phone", "admin", first.createdAt]);
+  assert.ok(!mock.db.subscriptionChanges.some((c) => c.subscriptionId === "2"), "never touches a type the contact wasn't subscribed to");
+
+  const changes = mock.db.subscriptionChanges.length;
+  await bot.suppressions.remove("kim@acme.example", { reason: "Re-opted in by phone" });
+  assert.deepEqual(mock.db.subscriptionChanges.slice(changes).map((c) => [c.action, c.subscriptionId]), [["subscribe", "3"], ["subscribe", "1"]]);
+});
+
+test("admin endpoints manage domain suppressions", async () => {
+  const auth = { Authorization: "Bearer admin-test", "Content-Type": "application/json" };
+  const add = await fetch(`${botUrl}/admin/suppressions`, { method: "POST", headers: auth, body: JSON.stringify({ domain: "spammy.example", reason: "abuse" }) });
+  assert.equal(add.status, 201);
+  mock.load({ threads: { 610: [inbound({ senders: [{ actorId: "V-3", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "x@spammy.example" } }] }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(610)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(610).length, 0);
+
+  const list = await (await fetch(`${botUrl}/admin/suppressions`, { headers: auth })).json();
+  assert.ok(list.results.some((e) => e.type === "domain" && e.value === "spammy.example"));
+  const del = await fetch(`${botUrl}/admin/suppressions/spammy.example`, { method: "DELETE", headers: auth });
+  assert.equal(del.status, 204);
+  assert.equal(await bot.suppressions.check("x@spammy.example"), null);
+  await waitFor(() => mock.contactByEmail("x@spammy.example")?.properties.bot_intent);
+});
+
+test("ignores threads whose latest message is our own", async () => {
+  mock.load({ threads: { 700: [agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(700)]);
+  await drained(bot.queue);
+  assert.equal(mock.db.posted.length, 0);
+});
+
+test("retries through HubSpot 429s and 502s", async () => {
+  mock.load({
+    threads: { 800: [inbound({ subject: "Quote please" }), agentMessage()] },
+    failures: [
+      { method: "GET", path: "/threads/800/messages$", status: 429, retryAfter: 0 },
+      { method: "POST", path: "/threads/800/messages$", status: 502 },
+    ],
+  });
+  await postSigned(botUrl, [newMessageEvent(800)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(800).length, 1);
+  await waitFor(() => mock.contactByEmail("lead@example.com")?.properties.bot_intent === "pricing");
+});
+
+test("dead-letters an event after repeated failures and requeues it on demand", async () => {
+  mock.load({ threads: { 900: [inbound({ subject: "Pricing" }), agentMessage()] } });
+  mock.failNext({ method: "GET", path: "/threads/900/messages$", status: 500, times: 100 });
+  const ev = newMessageEvent(900);
+  await postSigned(botUrl, [ev]);
+  await drained(bot.queue);
+
+  const auth = { Authorization: "Bearer admin-test" };
+  const list = await (await fetch(`${botUrl}/admin/dead-letters`, { headers: auth })).json();
+  assert.ok(list.results.some((j) => j.id === ev.eventId));
+
+  mock.db.failures.length = 0;
+  const rq = await fetch(`${botUrl}/admin/dead-letters/${ev.eventId}/requeue`, { method: "POST", headers: auth });
+  assert.equal(rq.status, 200);
+  await waitFor(() => mock.messages(900).length === 1);
+  await waitFor(() => mock.contactByEmail("lead@example.com")?.properties.bot_intent === "pricing");
+});
+
+test("answers in the sender's language and records it on the contact", async () => {
+  mock.load({
+    threads: { 1000: [inbound({ subject: "Precios", text: "Hola, ¿cuánto cuesta el plan para nuestro equipo?" }), agentMessage()] },
+    contacts: [{ id: "61", properties: { email: "lead@example.com", firstname: "Lucía" } }],
+  });
+  await postSigned(botUrl, [newMessageEvent(1000)]);
+  await drained(bot.queue);
+  const [msg] = mock.messages(1000);
+  assert.match(msg.text, /^Hola Lucía,/);
+  assert.match(msg.text, /«darse de baja»/);
+  const contact = await waitFor(() => mock.contactByEmail("lead@example.com")?.properties.bot_language && mock.contactByEmail("lead@example.com"));
+  assert.equal(contact.properties.bot_intent, "pricing");
+  assert.equal(contact.properties.bot_language, "es");
+});
+
+test("honors localized unsubscribe phrases", async () => {
+  const senders = [{ actorId: "V-5", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "baja@example.es" } }];
+  mock.load({ threads: { 1100: [inbound({ subject: "Re: Precios", text: "Por favor, quiero darme de baja", senders }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(1100)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(1100).length, 0);
+  assert.match(mock.comments(1100)[0].text, /unsubscribe/);
+  assert.equal((await bot.suppressions.check("baja@example.es")).reason, "Replied unsubscribe");
+});
+
+test("delays replies and cancels them when an agent answers first", async (t) => {
+  Object.assign(process.env, { SEND_DELAY_MIN_MS: "800", SEND_DELAY_MAX_MS: "800" });
+  t.after(() => { delete process.env.SEND_DELAY_MIN_MS; delete process.env.SEND_DELAY_MAX_MS; });
+  const senders = (value) => [{ actorId: "V-7", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value } }];
+  mock.load({
+    threads: {
+      1200: [inbound({ text: "Can I get a demo?", senders: senders("later@example.com") }), agentMessage()],
+      1201: [inbound({ text: "Can I get a demo?", senders: senders("human@example.com") }), agentMessage()],
+    },
+  });
+  await postSigned(botUrl, [newMessageEvent(1200), newMessageEvent(1201)]);
+  await waitFor(async () => (await bot.state.keys("queue:job:send:")).length === 2);
+  assert.equal(mock.messages(1200).length, 0);
+
+  mock.db.threads.get("1201").unshift({ ...agentMessage("A-888"), createdAt: new Date().toISOString() });
+  await drained(bot.queue);
+  assert.equal(mock.messages(1200).length, 1);
+  assert.equal(mock.messages(1201).length, 0);
+  assert.match(mock.comments(1201)[0].text, /cancelled — agent A-888 answered first/);
+});
+
+test("installs a portal over OAuth and answers its events with its own token and settings", async () => {
+  const admin = { Authorization: "Bearer admin-test", "Content-Type": "application/json" };
+  mock.load({ oauthCodes: { "code-42": { hubId: 42, hubDomain: "acme.hubspot.com" } } });
+
+  const install = await fetch(`${botUrl}/oauth/install`, { redirect: "manual" });
+  assert.equal(install.status, 302);
+  const authorize = new URL(install.headers.get("location"));
+  assert.equal(authorize.searchParams.get("client_id"), "client-test");
+  const state = authorize.searchParams.get("state");
+  assert.equal((await fetch(`${botUrl}/oauth/callback?code=code-42&state=forged`)).status, 400);
+  const cb = await fetch(`${botUrl}/oauth/callback?code=code-42&state=${state}`);
+  assert.equal(cb.status, 200);
+  assert.match(await cb.text(), /Installed for portal 42/);
+
+  const stored = await bot.state.get("portal:42");
+  assert.ok(!JSON.stringify(stored).includes("oauth-rt-"), "tokens are stored encrypted");
+  const patched = await fetch(`${botUrl}/admin/portals/42/settings`, {
+    method: "PATCH", headers: admin, body: JSON.stringify({ calendlyUrl: "https://cal.example/acme", senderActorId: "A-4242" }),
+  });
+  assert.equal(patched.status, 200);
+  const bad = await fetch(`${botUrl}/admin/portals/42/settings`, { method: "PATCH", headers: admin, body: JSON.stringify({ intentRulesFile: "./nope.json" }) });
+  assert.equal(bad.status, 400);
+
+  mock.load({ threads: { 4200: [inbound({ text: "What does the Growth plan cost?", senders: [{ actorId: "V-42", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "buyer@acme.example" } }] })] } });
+  await postSigned(botUrl, [{ ...newMessageEvent(4200), portalId: 42 }]);
+  await drained(bot.queue);
+  const [msg] = mock.messages(4200);
+  assert.equal(msg.senderActorId, "A-4242");
+  assert.match(msg.text, /https:\/\/cal\.example\/acme/);
+  assert.ok(mock.db.calls.filter((c) => c.path.includes("/threads/4200/")).every((c) => c.portalId === 42));
+});
+
+test("refreshes and rotates a portal's token before it expires", async () => {
+  mock.db.oauthExpiresIn = 60; // inside the refresh window, so every use refreshes
+  mock.load({ oauthCodes: { "code-43": { hubId: 43 } } });
+  await bot.portals.install({ grant_type: "authorization_code", code: "code-43", redirect_uri: "http://localhost/oauth/callback" });
+  mock.db.oauthExpiresIn = 1800;
+  const first = await bot.portals.accessToken("43");
+  assert.equal(await bot.portals.accessToken("43"), first);
+  assert.deepEqual(mock.db.tokenExchanges.map((x) => x.grant), ["authorization_code", "refresh_token"]);
+
+  mock.db.refreshTokens.clear(); // HubSpot revoked the grant
+  await assert.rejects(bot.portals.accessToken("43", { forceRefresh: true }), /400/);
+  assert.equal((await bot.portals.get("43")).needsReauth, true);
+});
+
+test("answers only the private app's own portal with HUBSPOT_TOKEN, never an uninstalled one", async () => {
+  const admin = { Authorization: "Bearer admin-test" };
+  const buyer = [{ actorId: "V-44", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "buyer@acme.example" } }];
+  mock.load({
+    tokenInfo: { hubId: 44, appId: 1, scopes: ["conversations.read", "conversations.write"] },
+    threads: {
+      4400: [inbound({ text: "Can I get a demo?", senders: buyer }), agentMessage()],
+      4500: [inbound({ text: "Can I get a demo?", senders: buyer }), agentMessage()],
+    },
+  });
+  const stranger = { ...newMessageEvent(4500), portalId: 45 };
+  await postSigned(botUrl, [{ ...newMessageEvent(4400), portalId: 44 }, stranger]);
+  await drained(bot.queue);
+
+  assert.equal(mock.messages(4400).length, 1);
+  assert.ok(!mock.db.calls.some((c) => c.path.includes("/threads/4500/")), "no HubSpot call for the uninstalled portal");
+  const dead = await (await fetch(`${botUrl}/admin/dead-letters`, { headers: admin })).json();
+  assert.match(dead.results.find((j) => j.id === stranger.eventId).lastError, /Portal 45 hasn't installed the app/);
+});
+
+test("exposes Prometheus metrics and a readiness probe that checks the token", async (t) => {
+  mock.load({ threads: { 1300: [inbound({ text: "How much does it cost?", senders: [{ actorId: "V-13", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "metrics@example.com" } }] }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(1300)]);
+  await drained(bot.queue);
+
+  const metrics = await (await fetch(`${botUrl}/metrics`)).text();
+  assert.match(metrics, /hubspot_bot_events_total\{subscription_type="conversation.newMessage"\} \d+/);
+  assert.match(metrics, /hubspot_bot_intents_total\{intent="pricing",locale="en"\} \d+/);
+  assert.match(metrics, /hubspot_bot_replies_total\{action="sent",reason="pricing"\} \d+/);
+  assert.match(metrics, /hubspot_api_request_duration_seconds_count\{method="GET",route="\/conversations\/v3\/conversations\/threads\/:id\/messages",status="200"\} \d+/);
+  assert.match(metrics, /hubspot_bot_queue_jobs\{state="pending"\} 0/);
+
+  const ready = await fetch(`${botUrl}/readyz?fresh=1`);
+  assert.equal(ready.status, 200);
+  assert.equal((await ready.json()).checks.hubspot.ok, true);
+
+  const token = process.env.HUBSPOT_TOKEN;
+  process.env.HUBSPOT_TOKEN = "revoked";
+  t.after(() => { process.env.HUBSPOT_TOKEN = token; });
+  const notReady = await fetch(`${botUrl}/readyz?fresh=1`);
+  assert.equal(notReady.status, 503);
+  const body = await notReady.json();
+  assert.equal(body.checks.state.ok, true);
+  assert.match(body.checks.hubspot.error, /token rejected/);
+  assert.match(await (await fetch(`${botUrl}/metrics`)).text(), /hubspot_api_errors_total\{method="GET",route="\/account-info\/v3\/details",status="401"\} 1/);
+});
+
+test("debug endpoints classify text and replay events without side effects", async () => {
+  const admin = { Authorization: "Bearer admin-test", "Content-Type": "application/json" };
+  const denied = await fetch(`${botUrl}/debug/classify`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+  assert.equal(denied.status, 401);
+
+  const classified = await (await fetch(`${botUrl}/debug/classify`, {
+    method: "POST", headers: admin, body: JSON.stringify({ subject: "Quote", text: "What's the price for 10 seats?" }),
+  })).json();
+  assert.equal(classified.intent, "pricing");
+  assert.ok(classified.matches.some((m) => m.intent === "pricing"));
+  assert.equal(classified.reply.template, "pricing");
+  assert.match(classified.reply.text, /^Hi there,/);
+
+  const senders = [{ actorId: "V-14", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "replay@example.com" } }];
+  mock.load({ threads: { 1400: [inbound({ text: "Can we book a demo?", senders }), agentMessage()] } });
+  const replay = await (await fetch(`${botUrl}/debug/replay`, { method: "POST", headers: admin, body: JSON.stringify({ event: newMessageEvent(1400) }) })).json();
+  assert.equal(replay.outcome, "send");
+  assert.deepEqual(replay.trace.map((t) => t.step), ["dedupe", "event", "settings", "inbound", "bounce_check", "normalize", "email", "intent", "tag_contact", "suppression", "throttle", "conversation", "send"]);
+  const send = replay.trace.at(-1);
+  assert.equal(send.dryRun, true);
+  assert.equal(send.toEmail, "replay@example.com");
+  assert.match(send.text, /demo/i);
+  assert.equal(mock.db.posted.length, 0);
+  assert.equal(mock.db.contactUpdates.length, 0);
+  assert.deepEqual(await bot.state.keys("replied:1400"), []);
+
+  const missing = await fetch(`${botUrl}/debug/replay`, { method: "POST", headers: admin, body: JSON.stringify({ eventId: "nope" }) });
+  assert.equal(missing.status, 404);
+});
+
+test("walks a pricing lead through the follow-up sequence, then hands over to a human", async () => {
+  const senders = [{ actorId: "V-16", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "seq@example.com" } }];
+  mock.load({ threads: { 1600: [inbound({ text: "What does it cost for 5 seats?", senders }), agentMessage()] } });
+  const followUp = async (text) => {
+    mock.db.threads.get("1600").unshift(inbound({ text, senders }));
+    await postSigned(botUrl, [newMessageEvent(1600)]);
+    await drained(bot.queue);
+  };
+
+  await postSigned(botUrl, [newMessageEvent(1600)]);
+  await drained(bot.queue);
+  await followUp("Thanks, sounds interesting.");
+  await followUp("OK, what next?");
+  const texts = mock.messages(1600).map((m) => m.text);
+  assert.equal(texts.length, 3);
+  assert.match(texts[0], /overview of pricing/);
+  assert.match(texts[1], /tell us a bit more/);
+  assert.match(texts[2], /short call/);
+
+  // Three bot turns is the limit: the next message goes to a human and the bot stops.
+  await followUp("One more question about the pricing.");
+  assert.equal(mock.messages(1600).length, 3);
+  assert.match(mock.comments(1600)[0].text, /Handing this thread to a human: the bot already replied 3 times/);
+  await followUp("Hello?");
+  assert.equal(mock.messages(1600).length, 3);
+  assert.equal(mock.comments(1600).length, 1);
+});
+
+test("escalates frustrated customers instead of sending another template", async () => {
+  mock.load({ threads: { 1610: [inbound({ text: "Do you have a demo?" }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(1610)]);
+  await drained(bot.queue);
+  mock.db.threads.get("1610").unshift(inbound({ text: "This is useless, I want to talk to a human!!!" }));
+  await postSigned(botUrl, [newMessageEvent(1610)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(1610).length, 1);
+  assert.match(mock.comments(1610)[0].text, /sounds frustrated or asked for a person/);
+});
+
+test("routes threads by intent: team assignment and closing unsubscribes", async (t) => {
+  process.env.ROUTING_FILE = new URL("../mock/fixtures/routing.json", import.meta.url).pathname;
+  t.after(() => delete process.env.ROUTING_FILE);
+  const from = (n) => [{ actorId: `V-17${n}`, deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: `route${n}@example.com` } }];
+  mock.load({
+    threads: {
+      9: [agentMessage()],
+      1700: [inbound({ text: "What are your prices?", senders: from(0) }), agentMessage()],
+      1701: [inbound({ text: "Can I see a demo?", senders: from(1) }), agentMessage()],
+      1702: [inbound({ text: "The export is broken, I get an error", senders: from(2) }), agentMessage()],
+      1703: [inbound({ text: "Please unsubscribe me", senders: from(3) }), agentMessage()],
+    },
+    threadInfo: { 9: { status: "OPEN", assignedTo: "A-601" } },
+  });
+  for (const id of [1700, 1701, 1702, 1703]) {
+    await postSigned(botUrl, [newMessageEvent(id)]);
+    await drained(bot.queue);
+  }
+  assert.equal(mock.db.threadInfo.get("1700").assignedTo, "A-501");
+  assert.equal(mock.db.threadInfo.get("1701").assignedTo, "A-502");
+  assert.equal(mock.db.threadInfo.get("1702").assignedTo, "A-602");
+  assert.equal(mock.db.threadInfo.get("1703").status, "CLOSED");
+  assert.match(mock.comments(1702)[0].text, /^🧭 Routing: intent support on channel 1002 matched rule #3 — assigned to A-602 \(team support, least busy\)\.$/);
+  assert.ok(mock.comments(1703).some((c) => /status set to CLOSED/.test(c.text)));
+  assert.equal(mock.messages(1700).length, 1);
+
+  // A repeat event for the same message doesn't route again.
+  await postSigned(botUrl, [newMessageEvent(1700)]);
+  await drained(bot.queue);
+  assert.equal(mock.db.threadUpdates.filter((u) => u.threadId === "1700").length, 1);
+});
+
+test("opens one deal per thread with associations and a note per inbound message", async (t) => {
+  process.env.CRM_RECORDS_FILE = new URL("../mock/fixtures/crm-records.json", import.meta.url).pathname;
+  t.after(() => delete process.env.CRM_RECORDS_FILE);
+  const senders = [{ actorId: "V-18", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: "deal@example.com" } }];
+  mock.load({
+    threads: { 1800: [inbound({ subject: "Quote", text: "How much for 20 seats?", senders }), agentMessage()] },
+    contacts: [{ id: "81", properties: { email: "deal@example.com" }, companyIds: ["900"] }],
+  });
+  await postSigned(botUrl, [newMessageEvent(1800)]);
+  await drained(bot.queue);
+  mock.db.threads.get("1800").unshift(inbound({ subject: "Re: Quote", text: "Can we also get a demo?", senders }));
+  await postSigned(botUrl, [newMessageEvent(1800)]);
+  await drained(bot.queue);
+
+  const [deal, ...more] = mock.objects("deals");
+  assert.equal(more.length, 0);
+  assert.equal(deal.properties.dealname, "Pricing inquiry — deal@example.com");
+  assert.equal(deal.properties.dealstage, "appointmentscheduled");
+  assert.equal(deal.properties.bot_thread_id, "1800");
+  assert.equal(deal.properties.description, "Can we also get a demo?");
+  assert.deepEqual(deal.associations.map((a) => [a.to.id, a.types[0].associationTypeId]), [["81", 3], ["900", 5]]);
+  const notes = mock.objects("notes");
+  assert.equal(notes.length, 2);
+  assert.match(notes[0].properties.hs_note_body, /thread 1800 — Quote:\n\nHow much for 20 seats\?/);
+  assert.ok(notes.every((n) => n.associations.some((a) => a.to.id === deal.id && a.types[0].associationTypeId === 214)));
+  assert.equal(mock.objects("tickets").length, 0);
+});
+
+test("classifies only the new part of HTML replies, not the quote or signature", async () => {
+  const richText = '<div dir="ltr">Could we book a <b>demo</b> next week?<br><br>--<br>Pat | Support Lead</div>'
+    + '<div class="gmail_quote"><div class="gmail_attr">On Mon, Jo wrote:</div><blockquote class="gmail_quote">What is your pricing? We have an error.</blockquote></div>';
+  mock.load({ threads: { 1900: [inbound({ text: "", richText }), agentMessage()] } });
+  await postSigned(botUrl, [newMessageEvent(1900)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(1900).length, 1);
+  assert.match(mock.messages(1900)[0].text, /show you a demo/);
+});
+
+test("drafts low-confidence classifications for review instead of sending", async (t) => {
+  process.env.CLASSIFIER_MIN_CONFIDENCE = "0.6";
+  t.after(() => delete process.env.CLASSIFIER_MIN_CONFIDENCE);
+  mock.load({ threads: {
+    2000: [inbound({ text: "Can I get a demo and what is your pricing?" }), agentMessage()],
+    2001: [inbound({ subject: "Demo", text: "Can we book a demo walkthrough?" }), agentMessage()],
+  } });
+  await postSigned(botUrl, [newMessageEvent(2000), newMessageEvent(2001)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(2000).length, 0);
+  assert.match(mock.comments(2000)[0].text, /^📝 Bot draft \(pricing, low confidence 0\.48\)/);
+  const [draft] = (await (await fetch(`${botUrl}/admin/drafts?threadId=2000`, { headers: { Authorization: "Bearer admin-test" } })).json()).results;
+  assert.equal(draft.reviewReason, "low_confidence");
+  assert.equal(mock.messages(2001).length, 1);
+});
+
+test("answers live chat and WhatsApp threads with channel recipients and chat-sized text", async (t) => {
+  mock.load({ threads: {
+    2100: [inbound({ channelId: "1000", channelAccountId: "777", subject: undefined, text: "How much does it cost?", senders: [{ actorId: "V-21" }] }), agentMessage()],
+    2101: [inbound({ channelId: "1007", channelAccountId: "888", text: "Can I get a demo?", senders: [{ actorId: "V-22", deliveryIdentifier: { type: "HS_PHONE_NUMBER", value: "+15550100" } }] }), agentMessage()],
+    2102: [inbound({ channelId: "1007", channelAccountId: "888", text: "Can I get a demo?", senders: [{ actorId: "V-23" }] }), agentMessage()],
+  } });
+  process.env.CHAT_MAX_LENGTH = "120";
+  t.after(() => delete process.env.CHAT_MAX_LENGTH);
+  await postSigned(botUrl, [newMessageEvent(2100), newMessageEvent(2101), newMessageEvent(2102)]);
+  await drained(bot.queue);
+
+  const [chat] = mock.messages(2100);
+  assert.deepEqual(chat.recipients, [{ actorId: "V-21" }]);
+  assert.equal(chat.channelId, "1000");
+  assert.equal(chat.subject, undefined);
+  assert.equal(chat.richText, undefined);
+  assert.match(chat.text, /^Hi there! Quick overview of pricing:/);
+  assert.ok(chat.text.length <= 120);
+
+  const [whatsapp] = mock.messages(2101);
+  assert.deepEqual(whatsapp.recipients[0].deliveryIdentifier, { type: "HS_PHONE_NUMBER", value: "+15550100" });
+  assert.match(whatsapp.text, /demo/);
+  assert.equal(whatsapp.subject, undefined);
+  // No phone number to answer: nothing is sent (and the API never sees a broken recipient).
+  assert.equal(mock.messages(2102).length, 0);
+});
+
+test("approves a live-chat draft without an email address", async () => {
+  process.env.REPLY_MODE = "review";
+  const admin = { Authorization: "Bearer admin-test" };
+  mock.load({ threads: {
+    2110: [inbound({ channelId: "1000", channelAccountId: "777", subject: undefined, text: "How much does it cost?", senders: [{ actorId: "V-31" }] }), agentMessage()],
+  } });
+  await postSigned(botUrl, [newMessageEvent(2110)]);
+  await drained(bot.queue);
+
+  const [draft] = (await (await fetch(`${botUrl}/admin/drafts?threadId=2110`, { headers: admin })).json()).results;
+  assert.equal(draft.toEmail, null);
+  assert.deepEqual(draft.recipients, [{ actorId: "V-31" }]);
+  const approved = await fetch(`${botUrl}/admin/drafts/${draft.id}/approve`, { method: "POST", headers: admin });
+  assert.equal(approved.status, 200);
+  assert.equal((await approved.json()).status, "sent");
+  const [msg] = mock.messages(2110);
+  assert.deepEqual(msg.recipients, [{ actorId: "V-31" }]);
+  assert.equal(msg.channelId, "1000");
+});
+
+test("REPLY_CHANNELS limits which channel types get replies", async (t) => {
+  process.env.REPLY_CHANNELS = "email";
+  t.after(() => delete process.env.REPLY_CHANNELS);
+  mock.load({ threads: {
+    2200: [inbound({ channelId: "1000", text: "How much does it cost?", senders: [{ actorId: "V-24" }] }), agentMessage()],
+    2201: [inbound({ text: "How much does it cost?" }), agentMessage()],
+  } });
+  await postSigned(botUrl, [newMessageEvent(2200), newMessageEvent(2201)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(2200).length, 0);
+  assert.equal(mock.messages(2201).length, 1);
+});
+
+test("caps replies per domain and skips blocked domains", async (t) => {
+  Object.assign(process.env, { SEND_LIMIT_PER_DOMAIN: "1", BLOCKED_DOMAINS: "blocked.example" });
+  t.after(() => {
+    delete process.env.SEND_LIMIT_PER_DOMAIN;
+    delete process.env.BLOCKED_DOMAINS;
+  });
+  const from = (email) => [{ actorId: "V-30", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: email } }];
+  mock.load({ threads: {
+    2300: [inbound({ text: "Can I get a demo?", senders: from("a@capped.example") }), agentMessage()],
+    2301: [inbound({ text: "Can I get a demo?", senders: from("b@capped.example") }), agentMessage()],
+    2302: [inbound({ text: "Can I get a demo?", senders: from("c@mail.blocked.example") }), agentMessage()],
+  } });
+  await postSigned(botUrl, [newMessageEvent(2300)]);
+  await drained(bot.queue);
+  await postSigned(botUrl, [newMessageEvent(2301), newMessageEvent(2302)]);
+  await drained(bot.queue);
+  assert.equal(mock.messages(2300).length, 1);
+  assert.equal(mock.messages(2301).length, 0);
+  assert.equal(mock.messages(2302).length, 0);
+  const metrics = await (await fetch(`${botUrl}/metrics`)).text();
+  assert.match(metrics, /hubspot_bot_replies_total\{action="skipped",reason="rate_limited"\} 1/);
+  assert.match(metrics, /hubspot_bot_replies_total\{action="skipped",reason="domain_blocked"\} 1/);
+});
+
+test("switches to review-only mode when sends fail, with a status comment", async (t) => {
+  const admin = { Authorization: "Bearer admin-test" };
+  Object.assign(process.env, { BREAKER_MIN_FAILURES: "1" });
+  t.after(async () => {
+    delete process.env.BREAKER_MIN_FAILURES;
+    await fetch(`${botUrl}/admin/guard/breaker`, { method: "DELETE", headers: admin });
+  });
+  // Start from an empty sample window: earlier tests' successful sends would dilute the error rate.
+  await fetch(`${botUrl}/admin/guard/breaker`, { method: "DELETE", headers: admin });
+  mock.load({
+    threads: { 2400: [inbound({ text: "Can I get a demo?" }), agentMessage()] },
+    failures: [{ method: "POST", path: "/messages$", status: 503, times: 1 }],
+  });
+  await postSigned(botUrl, [newMessageEvent(2400)]);
+  await drained(bot.queue);
+
+  assert.equal(mock.messages(2400).length, 0);
+  const [status, draftNote] = mock.comments(2400);
+  assert.match(status.text, /^⚠️ Bot switched to review-only mode for 15 min: 1 of the last 1 HubSpot sends\/comments failed/);
+  assert.match(draftNote.text, /^📝 Bot draft \(demo, review-only after HubSpot errors\)/);
+  const guard = await (await fetch(`${botUrl}/admin/guard`, { headers: admin })).json();
+  assert.equal(guard.breaker.open, true);
+  const [draft] = (await (await fetch(`${botUrl}/admin/drafts?threadId=2400`, { headers: admin })).json()).results;
+  assert.equal(draft.reviewReason, "circuit_open");
+
+  assert.equal((await fetch(`${botUrl}/admin/guard/breaker`, { method: "DELETE", headers: admin })).status, 204);
+  assert.equal((await (await fetch(`${botUrl}/admin/guard`, { headers: admin })).json()).breaker.open, false);
+});
+
+test("keeps an audit record per decision, queryable and exportable as CSV", async (t) => {
+  const admin = { Authorization: "Bearer admin-test" };
+  process.env.BLOCKED_DOMAINS = "blocked.example";
+  t.after(() => delete process.env.BLOCKED_DOMAINS);
+  const from = (email) => [{ actorId: "V-40", deliveryIdentifier: { type: "HS_EMAIL_ADDRESS", value: email } }];
+  const since = new Date().toISOString();
+  mock.load({ threads: {
+    2500: [inbound({ text: "Can I get a demo?", senders: from("Audit@Acme.example") }), agentMessage()],
+    2501: [inbound({ text: "Can I get a demo?", senders: from("x@blocked.example") }), agentMessage()],
+  } });
+  await postSigned(botUrl, [newMessageEvent(2500), newMessageEvent(2501)]);
+  await drained(bot.queue);
+
+  const { results: [sent] } = await (await fetch(`${botUrl}/admin/audit?threadId=2500`, { headers: admin })).json();
+  assert.equal(sent.action, "sent");
+  assert.equal(sent.email, "Audit@Acme.example");
+  assert.equal(sent.intent, "demo");
+  assert.equal(sent.template, "demo");
+  assert.match(sent.templateVersion, /^[0-9a-f]{12}$/);
+  assert.equal(sent.hubspotStatus, "SENT");
+  assert.ok(sent.eventId);
+
+  const byEmail = await (await fetch(`${botUrl}/admin/audit?email=audit@acme.example&from=${since}`, { headers: admin })).json();
+  assert.deepEqual(byEmail.results.map((r) => r.threadId), ["2500"]);
+  const { results: [skipped] } = await (await fetch(`${botUrl}/admin/audit?threadId=2501&action=skipped`, { headers: admin })).json();
+  assert.equal(skipped.reason, "domain_blocked");
+  assert.deepEqual(skipped.detail, { domain: "blocked.example" });
+  const none = await (await fetch(`${botUrl}/admin/audit?intent=demo&to=2000-01-01`, { headers: admin })).json();
+  assert.equal(none.total, 0);
+  assert.equal((await fetch(`${botUrl}/admin/audit?from=yesterday`, { headers: admin })).status, 400);
+
+  const csv = await fetch(`${botUrl}/admin/audit/export?format=csv&intent=demo&from=${since}`, { headers: admin });
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(csv.headers.get("content-disposition"), /attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"/);
+  const [header, ...rows] = (await csv.text()).trim().split("\r\n");
+  assert.ok(header.startsWith("at,eventId,portalId,threadId,messageId,email,channel,intent"));
+  assert.equal(rows.length, 2);
+  assert.ok(rows.some((r) => r.includes(",skipped,domain_blocked,") && r.endsWith('"{""domain"":""blocked.example""}"')));
+  const json = await (await fetch(`${botUrl}/admin/audit/export?format=json&intent=demo&from=${since}`, { headers: admin })).json();
+  assert.deepEqual(json.map((e) => e.action).sort(), ["sent", "skipped"]);
+  assert.equal((await fetch(`${botUrl}/admin/audit`)).status, 401);
+});
+
+test("review-only mode saves one draft even when the draft note fails too", async (t) => {
+  const admin = { Authorization: "Bearer admin-test" };
+  Object.assign(process.env, { BREAKER_MIN_FAILURES: "1" });
+  t.after(async () => {
+    delete process.env.BREAKER_MIN_FAILURES;
+    await fetch(`${botUrl}/admin/guard/breaker`, { method: "DELETE", headers: admin });
+  });
+  await fetch(`${botUrl}/admin/guard/breaker`, { method: "DELETE", headers: admin });
+  mock.load({ threads: { 2410: [inbound({ text: "Can I get a demo?" }), agentMessage()] } });
+  mock.failNext({ method: "POST", path: "/threads/2410/messages$", status: 503, times: 100 });
+  await postSigned(botUrl, [newMessageEvent(2410)]);
+  await drained(bot.queue);
+
+  assert.equal(mock.messages(2410).length, 0);
+  const { results } = await (await fetch(`${botUrl}/admin/drafts?threadId=2410`, { headers: admin })).json();
+  assert.equal(results.length, 1);
+  assert.equal(results[0].reviewReason, "circuit_open");
+  // A retried scheduled send gets the same draft back.
+  const again = await bot.drafts.create({ threadId: "2410", inboundMessageId: results[0].inboundMessageId, portalId: results[0].portalId, intent: "demo" });
+  assert.equal(again.id, results[0].id);
+  assert.equal(again.reused, true);
+});